@@ -5,12 +5,23 @@ const cors = require('cors');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 
-const { logger, requestLogger, errorLogger } = require('./utils/logger');
+const { logger, requestLogger, errorLogger, redactSensitive } = require('./utils/logger');
+const { authenticate } = require('./utils/auth');
+const { idempotency } = require('./utils/idempotency');
 const db = require('./db');
+const migrator = require('./utils/migrator');
+const UserModel = require('./models/userModel');
+const OrderModel = require('./models/orderModel');
 
+const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
+const warehouseRoutes = require('./routes/warehouses');
+const promotionRoutes = require('./routes/promotions');
+const taxRuleRoutes = require('./routes/taxRules');
 const orderRoutes = require('./routes/orders');
+const analyticsRoutes = require('./routes/analytics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,7 +40,8 @@ app.use(helmet({
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000'],
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 };
 app.use(cors(corsOptions));
@@ -50,6 +62,20 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Stricter limit on credential endpoints to slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20,
+  message: {
+    success: false,
+    message: 'Too many authentication attempts',
+    error: 'Rate limit exceeded. Please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -104,20 +130,81 @@ app.get('/api-info', (req, res) => {
     version: '1.0.0',
     description: 'Basic order management REST API',
     endpoints: {
+      auth: {
+        'POST /auth/register': 'Register a new account',
+        'POST /auth/login': 'Log in and receive access and refresh tokens',
+        'POST /auth/refresh': 'Rotate a refresh token',
+        'POST /auth/logout': 'Revoke the current session',
+        'GET /auth/me': 'Get the authenticated user'
+      },
       users: {
         'POST /users': 'Create a new user',
         'GET /users': 'Get all users',
-        'GET /users/:id': 'Get user by ID'
+        'GET /users/:id': 'Get user by ID',
+        'PATCH /users/:id': 'Update a user',
+        'DELETE /users/:id': 'Deactivate a user',
+        'GET /users/:id/stats': 'Get order statistics for a user',
+        'GET /users/:id/orders': 'Get the orders of a user'
       },
       products: {
         'POST /products': 'Create a new product',
         'GET /products': 'Get all products',
-        'GET /products/:id': 'Get product by ID'
+        'GET /products/search': 'Full-text product search with highlighted matches',
+        'POST /products/import': 'Create or update products from a CSV or JSON lines file',
+        'GET /products/export': 'Download the product catalogue as CSV',
+        'GET /products/categories': 'Get product counts and average price per category',
+        'GET /products/low-stock': 'Get products at or below a stock threshold',
+        'GET /products/:id': 'Get product by ID',
+        'PUT /products/:id': 'Update a product',
+        'PATCH /products/:id': 'Partially update a product',
+        'DELETE /products/:id': 'Discontinue a product',
+        'POST /products/:id/stock': 'Add or subtract stock',
+        'GET /products/:id/movements': 'Get the inventory movement ledger of a product',
+        'POST /products/:id/variants': 'Add a variant with its own SKU, options, price and stock',
+        'PATCH /products/:id/variants/:variantId': 'Update a variant',
+        'DELETE /products/:id/variants/:variantId': 'Discontinue a variant',
+        'POST /products/:id/variants/:variantId/stock': 'Add or subtract variant stock'
+      },
+      categories: {
+        'POST /categories': 'Create a category',
+        'GET /categories': 'Get all categories with their paths',
+        'GET /categories/:id': 'Get a category with its ancestors and subcategories',
+        'PATCH /categories/:id': 'Rename, re-slug or move a category',
+        'DELETE /categories/:id': 'Delete an empty category'
+      },
+      warehouses: {
+        'POST /warehouses': 'Create a warehouse',
+        'GET /warehouses': 'Get all warehouses in allocation order',
+        'GET /warehouses/:id': 'Get a warehouse with its stock totals',
+        'PATCH /warehouses/:id': 'Rename, re-prioritise or (de)activate a warehouse',
+        'GET /warehouses/:id/stock': 'Get the stock lines of a warehouse',
+        'POST /warehouses/transfers': 'Move stock from one warehouse to another',
+        'GET /warehouses/transfers': 'Get stock transfers'
+      },
+      promotions: {
+        'POST /promotions': 'Create a coupon or automatic promotion',
+        'GET /promotions': 'Get all promotions',
+        'GET /promotions/:id': 'Get a promotion with its usage',
+        'PATCH /promotions/:id': 'Change the value, limits, validity window or status of a promotion'
+      },
+      taxRules: {
+        'POST /tax-rules': 'Create a tax rate for a region, a category or both',
+        'GET /tax-rules': 'Get all tax rules',
+        'GET /tax-rules/:id': 'Get a tax rule',
+        'PATCH /tax-rules/:id': 'Rename, change the rate of or (de)activate a tax rule'
       },
       orders: {
         'POST /orders': 'Create a new order',
         'GET /orders': 'Get all orders',
-        'GET /orders/:id': 'Get order details by ID'
+        'GET /orders/export': 'Download matching orders as CSV or XLSX',
+        'GET /orders/:id': 'Get order details by ID',
+        'GET /orders/:id/history': 'Get order status timeline',
+        'PATCH /orders/:id/status': 'Update order status',
+        'POST /orders/:id/cancel': 'Cancel an order and restore stock'
+      },
+      analytics: {
+        'GET /analytics/sales': 'Sales over time with breakdowns, top sellers and previous-period comparison',
+        'GET /analytics/products': 'Units sold, revenue, cancellation rate and stock turnover per product'
       }
     }
   };
@@ -130,9 +217,16 @@ app.get('/api-info', (req, res) => {
   });
 });
 
-app.use('/users', userRoutes);
-app.use('/products', productRoutes);
-app.use('/orders', orderRoutes);
+app.use('/auth', authLimiter, authRoutes);
+// Auth endpoints are left out of idempotency: their responses carry tokens that must not be stored
+app.use('/users', authenticate, idempotency, userRoutes);
+app.use('/products', authenticate, idempotency, productRoutes);
+app.use('/categories', authenticate, idempotency, categoryRoutes);
+app.use('/warehouses', authenticate, idempotency, warehouseRoutes);
+app.use('/promotions', authenticate, idempotency, promotionRoutes);
+app.use('/tax-rules', authenticate, idempotency, taxRuleRoutes);
+app.use('/orders', authenticate, idempotency, orderRoutes);
+app.use('/analytics', authenticate, analyticsRoutes);
 
 app.use('*', (req, res) => {
   logger.warn('Route not found', { 
@@ -158,7 +252,7 @@ app.use((err, req, res, next) => {
     stack: err.stack,
     method: req.method,
     url: req.originalUrl,
-    body: req.body,
+    body: redactSensitive(req.body),
     ip: req.ip
   });
 
@@ -177,9 +271,10 @@ const gracefulShutdown = async (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
   
   try {
+    clearInterval(global.reservationSweeper);
     await db.close();
     
-    server.close(() => {
+    global.server.close(() => {
       logger.info('Server closed successfully');
       process.exit(0);
     });
@@ -200,7 +295,25 @@ const initializeServer = async () => {
     logger.info('Starting Order Management API...');
     
     await db.connect();
-    await db.initDatabase();
+    
+    // Never serve against a schema the code does not expect
+    let pendingMigrations = await migrator.pending();
+    if (pendingMigrations.length > 0 && process.env.DB_AUTO_MIGRATE === 'true') {
+      await migrator.migrate();
+      pendingMigrations = await migrator.pending();
+    }
+    
+    if (pendingMigrations.length > 0) {
+      logger.error('Database has pending migrations, refusing to start', {
+        pending: pendingMigrations.map(migration => `${migration.version}_${migration.name}`),
+        hint: 'Run "npm run db:migrate" or set DB_AUTO_MIGRATE=true'
+      });
+      console.error('❌ Database has pending migrations. Run "npm run db:migrate" or set DB_AUTO_MIGRATE=true');
+      await db.close();
+      process.exit(1);
+    }
+    
+    await UserModel.ensureAdmin();
     
     // Start server
     const server = app.listen(PORT, () => {
@@ -227,6 +340,15 @@ const initializeServer = async () => {
 
     global.server = server;
     
+    // Cancel pending orders whose stock reservation ran out
+    const sweepIntervalMs = parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+    global.reservationSweeper = setInterval(() => {
+      OrderModel.expireReservations().catch(error => {
+        logger.error('Reservation sweep failed', { error: error.message });
+      });
+    }, sweepIntervalMs);
+    global.reservationSweeper.unref();
+    
     process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
     process.on('SIGINT', () => gracefulShutdown('SIGINT'));
     
@@ -239,7 +361,9 @@ const initializeServer = async () => {
   }
 };
 
-// Start the application
-initializeServer();
+// Start the application when run directly; tests mount the app without listening
+if (require.main === module) {
+  initializeServer();
+}
 
 module.exports = app;
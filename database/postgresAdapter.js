@@ -0,0 +1,138 @@
+const { Pool, types } = require('pg');
+const { toPostgres, normalizeParams, isInsert } = require('./queryLayer');
+
+// Return values in the same shapes the SQLite driver produces, so models do not care
+// which backend they run on
+const TYPE_PARSERS = {
+  [types.builtins.INT8]: value => parseInt(value, 10),
+  [types.builtins.NUMERIC]: value => parseFloat(value),
+  [types.builtins.BOOL]: value => (value === 't' ? 1 : 0),
+  [types.builtins.TIMESTAMP]: value => value.slice(0, 19)
+};
+
+// Postgres reports constraint violations by SQLSTATE; map them onto the SQLite wording
+// that models already check for
+const CONSTRAINT_ERRORS = {
+  '23505': 'UNIQUE constraint failed',
+  '23503': 'FOREIGN KEY constraint failed',
+  '23514': 'CHECK constraint failed',
+  '23502': 'NOT NULL constraint failed'
+};
+
+// PostgreSQL backend, configured with DATABASE_URL or the standard PG* variables.
+// options.Pool replaces pg's Pool with a compatible one (the tests use pg-mem's);
+// options.connectionString overrides DATABASE_URL.
+class PostgresAdapter {
+  constructor(options = {}) {
+    this.dialect = 'postgres';
+    this.Pool = options.Pool || Pool;
+    this.connectionString = options.connectionString;
+    this.pool = null;
+    this.isConnected = false;
+  }
+
+  async connect() {
+    this.pool = new this.Pool({
+      connectionString: this.connectionString || process.env.DATABASE_URL,
+      max: parseInt(process.env.DB_POOL_SIZE) || 10,
+      options: '-c TimeZone=UTC',
+      types: {
+        getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format)
+      }
+    });
+
+    // Errors on idle pooled connections are reported here instead of crashing the process
+    this.pool.on('error', (err) => {
+      console.error('Database error:', err.message);
+    });
+
+    try {
+      const client = await this.pool.connect();
+      client.release();
+    } catch (error) {
+      console.error('❌ Database connection failed:', error.message);
+      throw error;
+    }
+
+    this.isConnected = true;
+    console.log('Connected to PostgreSQL database successfully');
+
+    return this.pool;
+  }
+
+  // Check out a dedicated connection for one unit of work; call release() when done
+  async acquire() {
+    const client = await this.pool.connect();
+
+    return {
+      run: (sql, params) => this.run(sql, params, client),
+      get: (sql, params) => this.get(sql, params, client),
+      all: (sql, params) => this.all(sql, params, client),
+      release: () => client.release()
+    };
+  }
+
+  async query(sql, params = [], client = this.pool) {
+    if (!this.isConnected) {
+      throw new Error('Database not connected');
+    }
+
+    try {
+      return await client.query(toPostgres(sql), normalizeParams(params));
+    } catch (error) {
+      console.error('❌ Query execution failed:', error.message);
+      console.error('SQL:', sql);
+      console.error('Params:', params);
+
+      if (CONSTRAINT_ERRORS[error.code]) {
+        const normalized = new Error(`${CONSTRAINT_ERRORS[error.code]}: ${error.constraint || error.detail || error.message}`);
+        normalized.code = error.code;
+        throw normalized;
+      }
+
+      throw error;
+    }
+  }
+
+  async run(sql, params = [], client = this.pool) {
+    const result = await this.query(sql, params, client);
+    const inserted = isInsert(sql) && result.rows.length > 0 ? result.rows[0] : null;
+
+    return {
+      id: inserted ? inserted.id : undefined,
+      changes: result.rowCount || 0
+    };
+  }
+
+  async get(sql, params = [], client = this.pool) {
+    const result = await this.query(sql, params, client);
+    return result.rows[0];
+  }
+
+  async all(sql, params = [], client = this.pool) {
+    const result = await this.query(sql, params, client);
+    return result.rows;
+  }
+
+  async getDatabaseSize() {
+    const result = await this.get('SELECT pg_database_size(current_database()) as size');
+    return result.size;
+  }
+
+  async close() {
+    if (!this.pool) {
+      return;
+    }
+
+    try {
+      await this.pool.end();
+      console.log('✅ Database connection closed');
+    } catch (error) {
+      console.error('❌ Error closing database:', error.message);
+    }
+
+    this.isConnected = false;
+  }
+}
+
+module.exports = PostgresAdapter;
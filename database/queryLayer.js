@@ -0,0 +1,83 @@
+// Shared query layer: models write one SQLite-flavoured statement with `?` placeholders
+// and the adapters use these helpers to run it on their own engine.
+
+// Walk the SQL outside string literals and quoted identifiers, so `?` or keywords
+// inside quotes are never rewritten
+const mapUnquoted = (sql, transform) => {
+  let result = '';
+  let segment = '';
+  let quote = null;
+
+  for (const char of sql) {
+    if (quote) {
+      result += char;
+      if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      result += transform(segment) + char;
+      segment = '';
+      quote = char;
+      continue;
+    }
+
+    segment += char;
+  }
+
+  return result + transform(segment);
+};
+
+// `?` → `$1`, `$2`, ...
+const toNumberedPlaceholders = (sql) => {
+  let index = 0;
+  return mapUnquoted(sql, segment => segment.replace(/\?/g, () => `$${++index}`));
+};
+
+const isInsert = (sql) => /^\s*INSERT\b/i.test(sql);
+
+const hasReturning = (sql) => /\bRETURNING\b/i.test(sql);
+
+// Rewrite SQLite-only syntax into its PostgreSQL equivalent
+const toPostgres = (sql) => {
+  let translated = mapUnquoted(sql, segment => segment
+    .replace(/\bINTEGER PRIMARY KEY AUTOINCREMENT\b/gi, 'SERIAL PRIMARY KEY')
+    .replace(/\bDATETIME\b/gi, 'TIMESTAMP(0)')
+    .replace(/\bLIKE\b/g, 'ILIKE')
+  );
+
+  // INSERT OR IGNORE → INSERT ... ON CONFLICT DO NOTHING
+  if (/^\s*INSERT\s+OR\s+IGNORE\b/i.test(translated)) {
+    translated = translated.replace(/^\s*INSERT\s+OR\s+IGNORE\b/i, 'INSERT');
+    translated = translated.trim().replace(/;$/, '') + ' ON CONFLICT DO NOTHING';
+  }
+
+  // Postgres has no lastID, so inserts hand back the new row instead
+  if (isInsert(translated) && !hasReturning(translated)) {
+    translated = translated.trim().replace(/;$/, '') + ' RETURNING *';
+  }
+
+  return toNumberedPlaceholders(translated);
+};
+
+// Booleans are stored as 0/1 on every backend, dates as 'YYYY-MM-DD HH:MM:SS' UTC
+const normalizeParams = (params = []) => {
+  return params.map(param => {
+    if (typeof param === 'boolean') {
+      return param ? 1 : 0;
+    }
+
+    if (param instanceof Date) {
+      return param.toISOString().replace('T', ' ').slice(0, 19);
+    }
+
+    return param;
+  });
+};
+
+module.exports = {
+  toNumberedPlaceholders,
+  toPostgres,
+  normalizeParams,
+  isInsert
+};
@@ -0,0 +1,231 @@
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const { normalizeParams } = require('./queryLayer');
+
+// FIFO lock: the single SQLite connection can only hold one transaction at a time
+class Mutex {
+  constructor() {
+    this.queue = [];
+    this.locked = false;
+  }
+
+  acquire() {
+    return new Promise(resolve => {
+      const release = () => {
+        const next = this.queue.shift();
+        if (next) {
+          next(release);
+        } else {
+          this.locked = false;
+        }
+      };
+
+      if (this.locked) {
+        this.queue.push(resolve);
+      } else {
+        this.locked = true;
+        resolve(release);
+      }
+    });
+  }
+}
+
+// SQLite backend, used for development and small deployments
+class SqliteAdapter {
+  constructor() {
+    this.dialect = 'sqlite';
+    this.db = null;
+    this.isConnected = false;
+    this.connectionRetries = 0;
+    this.maxRetries = 3;
+    this.lock = new Mutex();
+  }
+
+  async connect() {
+    return new Promise((resolve, reject) => {
+      const dbPath = process.env.DB_PATH || path.join(__dirname, '..', 'order_management.db');
+
+      const dbDir = path.dirname(dbPath);
+      if (!fs.existsSync(dbDir)) {
+        fs.mkdirSync(dbDir, { recursive: true });
+      }
+
+      this.db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
+        if (err) {
+          console.error('❌ Database connection failed:', err.message);
+
+          if (this.connectionRetries < this.maxRetries) {
+            this.connectionRetries++;
+            console.log(`Retrying database connection (${this.connectionRetries}/${this.maxRetries})...`);
+            setTimeout(() => this.connect().then(resolve).catch(reject), 2000);
+            return;
+          }
+
+          reject(err);
+          return;
+        }
+
+        this.isConnected = true;
+        console.log('Connected to SQLite database successfully');
+        console.log(`Database location: ${dbPath}`);
+
+        this.configurePragmas()
+          .then(() => resolve(this.db))
+          .catch(reject);
+      });
+
+      this.db.on('error', (err) => {
+        console.error('Database error:', err.message);
+        this.isConnected = false;
+      });
+    });
+  }
+
+  async configurePragmas() {
+    return new Promise((resolve, reject) => {
+      const pragmas = [
+        'PRAGMA foreign_keys = ON',
+        'PRAGMA journal_mode = WAL',
+        'PRAGMA synchronous = NORMAL',
+        'PRAGMA cache_size = 1000',
+        'PRAGMA temp_store = MEMORY'
+      ];
+
+      let completed = 0;
+      pragmas.forEach(pragma => {
+        this.db.run(pragma, (err) => {
+          if (err) {
+            console.warn(`⚠️  Warning: Failed to set ${pragma}:`, err.message);
+          } else {
+            console.log(`${pragma}`);
+          }
+
+          completed++;
+          if (completed === pragmas.length) {
+            resolve();
+          }
+        });
+      });
+    });
+  }
+
+  // Queries outside a transaction wait until no transaction holds the connection
+  async run(sql, params = []) {
+    return this.withLock(() => this.execRun(sql, params));
+  }
+
+  async get(sql, params = []) {
+    return this.withLock(() => this.execGet(sql, params));
+  }
+
+  async all(sql, params = []) {
+    return this.withLock(() => this.execAll(sql, params));
+  }
+
+  async withLock(operation) {
+    const release = await this.lock.acquire();
+    try {
+      return await operation();
+    } finally {
+      release();
+    }
+  }
+
+  // Hold the connection exclusively for one unit of work; call release() when done
+  async acquire() {
+    const release = await this.lock.acquire();
+
+    return {
+      run: (sql, params) => this.execRun(sql, params),
+      get: (sql, params) => this.execGet(sql, params),
+      all: (sql, params) => this.execAll(sql, params),
+      release
+    };
+  }
+
+  execRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected) {
+        reject(new Error('Database not connected'));
+        return;
+      }
+
+      this.db.run(sql, normalizeParams(params), function(err) {
+        if (err) {
+          console.error('❌ Query execution failed:', err.message);
+          console.error('SQL:', sql);
+          console.error('Params:', params);
+          reject(err);
+        } else {
+          resolve({ id: this.lastID, changes: this.changes });
+        }
+      });
+    });
+  }
+
+  execGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected) {
+        reject(new Error('Database not connected'));
+        return;
+      }
+
+      this.db.get(sql, normalizeParams(params), (err, row) => {
+        if (err) {
+          console.error('❌ Query execution failed:', err.message);
+          console.error('SQL:', sql);
+          console.error('Params:', params);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  execAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      if (!this.isConnected) {
+        reject(new Error('Database not connected'));
+        return;
+      }
+
+      this.db.all(sql, normalizeParams(params), (err, rows) => {
+        if (err) {
+          console.error('❌ Query execution failed:', err.message);
+          console.error('SQL:', sql);
+          console.error('Params:', params);
+          reject(err);
+        } else {
+          resolve(rows || []);
+        }
+      });
+    });
+  }
+
+  async getDatabaseSize() {
+    const result = await this.get('SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()');
+    return result.size;
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (this.db) {
+        this.db.close((err) => {
+          if (err) {
+            console.error('❌ Error closing database:', err.message);
+          } else {
+            console.log('✅ Database connection closed');
+          }
+          this.isConnected = false;
+          resolve();
+        });
+      } else {
+        resolve();
+      }
+    });
+  }
+}
+
+module.exports = SqliteAdapter;
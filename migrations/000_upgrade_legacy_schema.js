@@ -0,0 +1,103 @@
+// Databases created by db.js before migrations existed have users without password_hash
+// and role, products without reservedQuantity, and one product line stored on each order
+// (orders.product_id, quantity and unit_price). Bring those tables up to the shape the
+// initial schema expects: add the missing columns, move every order's line into
+// order_items and rebuild orders without the line columns. Fresh databases have none of
+// these tables and upgraded ones already match, so for them this does nothing.
+//
+// On PostgreSQL it only creates set_updated_at(), which the updated_at triggers of every
+// later migration call.
+
+const columnsOf = async (db, table) => {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  return new Set(columns.map(column => column.name));
+};
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(`
+        CREATE OR REPLACE FUNCTION set_updated_at() RETURNS TRIGGER AS $$
+        BEGIN
+          NEW.updated_at = CURRENT_TIMESTAMP;
+          RETURN NEW;
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      return;
+    }
+
+    // Stock is now held by stock_reservations and only decremented on confirmation
+    await db.run('DROP TRIGGER IF EXISTS update_stock_on_order');
+    await db.run('DROP TRIGGER IF EXISTS update_stock_on_order_item');
+
+    const userColumns = await columnsOf(db, 'users');
+    if (userColumns.size > 0 && !userColumns.has('role')) {
+      await db.run('ALTER TABLE users ADD COLUMN password_hash TEXT');
+      await db.run('ALTER TABLE users ADD COLUMN role TEXT DEFAULT \'customer\' CHECK(role IN (\'admin\', \'staff\', \'customer\'))');
+    }
+
+    const productColumns = await columnsOf(db, 'products');
+    if (productColumns.size > 0 && !productColumns.has('reservedQuantity') && !productColumns.has('reserved_quantity')) {
+      await db.run('ALTER TABLE products ADD COLUMN reservedQuantity INTEGER DEFAULT 0 CHECK(reservedQuantity >= 0 AND reservedQuantity <= stockQuantity)');
+    }
+
+    const orderColumns = await columnsOf(db, 'orders');
+    if (!orderColumns.has('product_id')) {
+      return;
+    }
+
+    // Renaming keeps the old rows, indexes and triggers together until they are dropped
+    await db.run('ALTER TABLE orders RENAME TO legacy_orders');
+
+    await db.run(`
+      CREATE TABLE orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        total_price DECIMAL(10, 2) NOT NULL,
+        status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled')),
+        order_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE RESTRICT
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        unit_price DECIMAL(10, 2) NOT NULL,
+        line_total DECIMAL(10, 2) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT,
+        UNIQUE (order_id, product_id)
+      )
+    `);
+
+    await db.run(`
+      INSERT INTO orders (id, user_id, total_price, status, order_date, notes, created_at, updated_at)
+      SELECT id, user_id, total_price, status, order_date, notes, created_at, updated_at
+      FROM legacy_orders
+    `);
+
+    await db.run(`
+      INSERT INTO order_items (order_id, product_id, quantity, unit_price, line_total, created_at)
+      SELECT id, product_id, quantity, unit_price, ROUND(quantity * unit_price, 2), created_at
+      FROM legacy_orders
+    `);
+
+    await db.run('DROP TABLE legacy_orders');
+  },
+
+  // The legacy layout is not restored: the initial schema's down() drops these tables
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      await db.run('DROP FUNCTION IF EXISTS set_updated_at()');
+    }
+  }
+};
@@ -0,0 +1,195 @@
+// Baseline schema. Statements use IF NOT EXISTS so databases created before migrations
+// existed keep their data; 000_upgrade_legacy_schema has already brought their tables up
+// to this shape. The updated_at triggers are created by 009_updated_at_triggers.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL CHECK(length(name) > 0),
+        email TEXT UNIQUE NOT NULL CHECK(email LIKE '%_@_%._%'),
+        phone TEXT,
+        address TEXT,
+        password_hash TEXT,
+        role TEXT DEFAULT 'customer' CHECK(role IN ('admin', 'staff', 'customer')),
+        status TEXT DEFAULT 'active' CHECK(status IN ('active', 'inactive', 'suspended')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS products (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL CHECK(length(name) > 0),
+        description TEXT,
+        price DECIMAL(10, 2) NOT NULL CHECK(price >= 0.01),
+        category TEXT DEFAULT 'general',
+        stockQuantity INTEGER DEFAULT 0 CHECK(stockQuantity >= 0),
+        reservedQuantity INTEGER DEFAULT 0 CHECK(reservedQuantity >= 0),
+        sku TEXT UNIQUE,
+        status TEXT DEFAULT 'available' CHECK(status IN ('available', 'out_of_stock', 'discontinued')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK(reservedQuantity <= stockQuantity)
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        total_price DECIMAL(10, 2) NOT NULL,
+        status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled')),
+        order_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE RESTRICT
+      )
+    `);
+
+    // One row per product line; unit_price is a snapshot of the product price at order time
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        unit_price DECIMAL(10, 2) NOT NULL,
+        line_total DECIMAL(10, 2) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT,
+        UNIQUE (order_id, product_id)
+      )
+    `);
+
+    // Append-only timeline of every order status change
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        note TEXT,
+        changed_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Issued refresh tokens, tracked by JWT ID so they can be rotated and revoked
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        jti TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Access tokens revoked on logout before they expire
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Stock held by pending orders; committed on confirmation, released on cancel or expiry
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        order_item_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        status TEXT DEFAULT 'active' CHECK(status IN ('active', 'committed', 'released', 'expired')),
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (order_item_id) REFERENCES order_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT
+      )
+    `);
+
+    // Append-only ledger of every change to on-hand stock
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS inventory_movements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        delta INTEGER NOT NULL CHECK(delta != 0),
+        balance_after INTEGER NOT NULL,
+        reason TEXT NOT NULL CHECK(reason IN ('order', 'cancellation', 'manual_adjustment', 'restock')),
+        reference_type TEXT,
+        reference_id INTEGER,
+        actor_id INTEGER,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT,
+        FOREIGN KEY (actor_id) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Responses of POST requests sent with an Idempotency-Key, replayed for retries
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope TEXT NOT NULL,
+        idempotency_key TEXT NOT NULL,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        fingerprint TEXT NOT NULL,
+        status TEXT DEFAULT 'in_progress' CHECK(status IN ('in_progress', 'completed')),
+        response_status INTEGER,
+        response_body TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        expires_at DATETIME NOT NULL,
+        UNIQUE(scope, idempotency_key)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_users_role ON users(role)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_products_category ON products(category)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_products_sku ON products(sku)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_orders_date ON orders(order_date)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_order_status_history_order_id ON order_status_history(order_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_stock_reservations_order_id ON stock_reservations(order_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_stock_reservations_status_expiry ON stock_reservations(status, expires_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_inventory_movements_product_id ON inventory_movements(product_id, created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at)');
+  },
+
+  async down(db) {
+    const tables = [
+      'idempotency_keys',
+      'inventory_movements',
+      'stock_reservations',
+      'revoked_tokens',
+      'refresh_tokens',
+      'order_status_history',
+      'order_items',
+      'orders',
+      'products',
+      'users'
+    ];
+
+    for (const table of tables) {
+      await db.run(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,13 @@
+// PostgreSQL folds unquoted identifiers to lower case, so the camelCase stock columns
+// would come back as "stockquantity". Use snake_case like every other column.
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE products RENAME COLUMN stockQuantity TO stock_quantity');
+    await db.run('ALTER TABLE products RENAME COLUMN reservedQuantity TO reserved_quantity');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE products RENAME COLUMN stock_quantity TO stockQuantity');
+    await db.run('ALTER TABLE products RENAME COLUMN reserved_quantity TO reservedQuantity');
+  }
+};
@@ -0,0 +1,77 @@
+// Full-text search index over product name, description, SKU and category.
+// SQLite uses an FTS5 table kept in sync by triggers; PostgreSQL uses a generated
+// tsvector column with a GIN index, which stays in sync on its own.
+
+const SEARCH_COLUMNS = 'name, description, sku, category';
+
+module.exports = {
+  async up(db) {
+    if (db.dialect === 'postgres') {
+      await db.run(`
+        ALTER TABLE products ADD COLUMN search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('simple', coalesce(name, '')), 'A') ||
+          setweight(to_tsvector('simple', coalesce(sku, '')), 'A') ||
+          setweight(to_tsvector('simple', coalesce(category, '')), 'B') ||
+          setweight(to_tsvector('simple', coalesce(description, '')), 'C')
+        ) STORED
+      `);
+      await db.run('CREATE INDEX idx_products_search ON products USING GIN (search_vector)');
+      return;
+    }
+
+    // External-content table: the text lives in products, the index in products_fts
+    await db.run(`
+      CREATE VIRTUAL TABLE products_fts USING fts5(
+        ${SEARCH_COLUMNS},
+        content = 'products',
+        content_rowid = 'id',
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
+
+    await db.run(`
+      CREATE TRIGGER products_fts_insert AFTER INSERT ON products
+      BEGIN
+        INSERT INTO products_fts (rowid, ${SEARCH_COLUMNS})
+        VALUES (NEW.id, NEW.name, NEW.description, NEW.sku, NEW.category);
+      END
+    `);
+
+    await db.run(`
+      CREATE TRIGGER products_fts_delete AFTER DELETE ON products
+      BEGIN
+        INSERT INTO products_fts (products_fts, rowid, ${SEARCH_COLUMNS})
+        VALUES ('delete', OLD.id, OLD.name, OLD.description, OLD.sku, OLD.category);
+      END
+    `);
+
+    // Only text changes touch the index, not stock or status updates
+    await db.run(`
+      CREATE TRIGGER products_fts_update AFTER UPDATE OF ${SEARCH_COLUMNS} ON products
+      BEGIN
+        INSERT INTO products_fts (products_fts, rowid, ${SEARCH_COLUMNS})
+        VALUES ('delete', OLD.id, OLD.name, OLD.description, OLD.sku, OLD.category);
+        INSERT INTO products_fts (rowid, ${SEARCH_COLUMNS})
+        VALUES (NEW.id, NEW.name, NEW.description, NEW.sku, NEW.category);
+      END
+    `);
+
+    // Index the products that already exist
+    await db.run("INSERT INTO products_fts (products_fts) VALUES ('rebuild')");
+  },
+
+  async down(db) {
+    if (db.dialect === 'postgres') {
+      await db.run('DROP INDEX IF EXISTS idx_products_search');
+      await db.run('ALTER TABLE products DROP COLUMN IF EXISTS search_vector');
+      return;
+    }
+
+    await db.run('DROP TRIGGER IF EXISTS products_fts_update');
+    await db.run('DROP TRIGGER IF EXISTS products_fts_delete');
+    await db.run('DROP TRIGGER IF EXISTS products_fts_insert');
+    await db.run('DROP TABLE IF EXISTS products_fts');
+  }
+};
@@ -0,0 +1,102 @@
+// Categories become rows with a slug and an optional parent. Products point at one with
+// category_id; products.category keeps a copy of its name for the search index.
+// Existing free-text categories are merged by slug, so "Electronics" and "electronics"
+// end up as one category.
+
+// Kept here rather than imported so this migration does not change if the app's version does
+const slugify = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+};
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL CHECK(length(name) > 0),
+        slug TEXT UNIQUE NOT NULL CHECK(length(slug) > 0),
+        description TEXT,
+        parent_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (parent_id) REFERENCES categories (id) ON DELETE RESTRICT
+      )
+    `);
+    await db.run('CREATE INDEX idx_categories_parent_id ON categories(parent_id)');
+
+    if (db.dialect === 'postgres') {
+      await db.run(`
+        CREATE TRIGGER categories_updated_at
+        BEFORE UPDATE ON categories FOR EACH ROW
+        EXECUTE FUNCTION set_updated_at()
+      `);
+    } else {
+      await db.run(`
+        CREATE TRIGGER categories_updated_at
+        AFTER UPDATE ON categories FOR EACH ROW
+        BEGIN
+          UPDATE categories SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+        END
+      `);
+    }
+
+    await db.run('ALTER TABLE products ADD COLUMN category_id INTEGER REFERENCES categories (id)');
+
+    // Each slug is named after its most used spelling
+    const spellings = await db.all(`
+      SELECT category, COUNT(*) as product_count
+      FROM products
+      GROUP BY category
+      ORDER BY product_count DESC, category
+    `);
+
+    const bySlug = new Map();
+    spellings.forEach(({ category }) => {
+      const slug = slugify(category) || 'general';
+      if (!bySlug.has(slug)) {
+        bySlug.set(slug, { name: category ? category.trim() : 'general', spellings: [] });
+      }
+      bySlug.get(slug).spellings.push(category);
+    });
+
+    // New products without a category go here
+    if (!bySlug.has('general')) {
+      bySlug.set('general', { name: 'general', spellings: [] });
+    }
+
+    for (const [slug, { name, spellings: names }] of bySlug) {
+      const inserted = await db.run('INSERT INTO categories (name, slug) VALUES (?, ?)', [name, slug]);
+      const nonNull = names.filter(category => category !== null);
+
+      if (nonNull.length > 0) {
+        await db.run(
+          `UPDATE products SET category_id = ?, category = ? WHERE category IN (${nonNull.map(() => '?').join(', ')})`,
+          [inserted.id, name, ...nonNull]
+        );
+      }
+      if (nonNull.length < names.length) {
+        await db.run('UPDATE products SET category_id = ?, category = ? WHERE category IS NULL', [inserted.id, name]);
+      }
+    }
+
+    await db.run('CREATE INDEX idx_products_category_id ON products(category_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_products_category_id');
+    await db.run('ALTER TABLE products DROP COLUMN category_id');
+    if (db.dialect === 'postgres') {
+      await db.run('DROP TRIGGER IF EXISTS categories_updated_at ON categories');
+    } else {
+      await db.run('DROP TRIGGER IF EXISTS categories_updated_at');
+    }
+    await db.run('DROP TABLE IF EXISTS categories');
+  }
+};
@@ -0,0 +1,132 @@
+// Product variants: sellable versions of a product (a T-shirt in size M, colour red) with
+// their own SKU, optional price and stock. A product with variants keeps the sum of their
+// stock in its own stock columns, so listings and reports keep working per product.
+// Order lines, reservations and ledger entries gain a variant_id.
+
+const ORDER_ITEM_COLUMNS = 'id, order_id, product_id, quantity, unit_price, line_total, created_at';
+const RESERVATION_COLUMNS = 'id, order_id, order_item_id, product_id, quantity, status, expires_at, created_at, updated_at';
+
+// SQLite cannot drop the UNIQUE (order_id, product_id) constraint of order_items in place.
+// Copy both tables aside and drop the child first, so dropping order_items cascades nowhere.
+const rebuildOrderTables = async (db, withVariants) => {
+  await db.run(`CREATE TABLE order_items_copy AS SELECT * FROM order_items`);
+  await db.run(`CREATE TABLE stock_reservations_copy AS SELECT * FROM stock_reservations`);
+  await db.run('DROP TABLE stock_reservations');
+  await db.run('DROP TABLE order_items');
+
+  await db.run(`
+    CREATE TABLE order_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      ${withVariants ? 'variant_id INTEGER,' : ''}
+      quantity INTEGER NOT NULL CHECK(quantity > 0),
+      unit_price DECIMAL(10, 2) NOT NULL,
+      line_total DECIMAL(10, 2) NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT
+      ${withVariants ? ', FOREIGN KEY (variant_id) REFERENCES product_variants (id) ON DELETE RESTRICT' : ', UNIQUE (order_id, product_id)'}
+    )
+  `);
+
+  await db.run(`
+    CREATE TABLE stock_reservations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id INTEGER NOT NULL,
+      order_item_id INTEGER NOT NULL,
+      product_id INTEGER NOT NULL,
+      ${withVariants ? 'variant_id INTEGER,' : ''}
+      quantity INTEGER NOT NULL CHECK(quantity > 0),
+      status TEXT DEFAULT 'active' CHECK(status IN ('active', 'committed', 'released', 'expired')),
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+      FOREIGN KEY (order_item_id) REFERENCES order_items (id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT
+      ${withVariants ? ', FOREIGN KEY (variant_id) REFERENCES product_variants (id) ON DELETE RESTRICT' : ''}
+    )
+  `);
+
+  await db.run(`INSERT INTO order_items (${ORDER_ITEM_COLUMNS}) SELECT ${ORDER_ITEM_COLUMNS} FROM order_items_copy`);
+  await db.run(`INSERT INTO stock_reservations (${RESERVATION_COLUMNS}) SELECT ${RESERVATION_COLUMNS} FROM stock_reservations_copy`);
+  await db.run('DROP TABLE order_items_copy');
+  await db.run('DROP TABLE stock_reservations_copy');
+
+  await db.run('CREATE INDEX idx_order_items_order_id ON order_items(order_id)');
+  await db.run('CREATE INDEX idx_order_items_product_id ON order_items(product_id)');
+  await db.run('CREATE INDEX idx_stock_reservations_order_id ON stock_reservations(order_id)');
+  await db.run('CREATE INDEX idx_stock_reservations_status_expiry ON stock_reservations(status, expires_at)');
+};
+
+module.exports = {
+  async up(db) {
+    // options holds the variant's attributes as JSON ({"size": "M", "colour": "Red"});
+    // option_key is the same in a canonical form, so a product cannot have two identical variants
+    await db.run(`
+      CREATE TABLE product_variants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_id INTEGER NOT NULL,
+        sku TEXT UNIQUE NOT NULL,
+        options TEXT NOT NULL,
+        option_key TEXT NOT NULL,
+        price DECIMAL(10, 2) CHECK(price IS NULL OR price >= 0.01),
+        stock_quantity INTEGER DEFAULT 0 CHECK(stock_quantity >= 0),
+        reserved_quantity INTEGER DEFAULT 0 CHECK(reserved_quantity >= 0),
+        status TEXT DEFAULT 'available' CHECK(status IN ('available', 'out_of_stock', 'discontinued')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK(reserved_quantity <= stock_quantity),
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT,
+        UNIQUE (product_id, option_key)
+      )
+    `);
+
+    if (db.dialect === 'postgres') {
+      await db.run(`
+        CREATE TRIGGER product_variants_updated_at
+        BEFORE UPDATE ON product_variants FOR EACH ROW
+        EXECUTE FUNCTION set_updated_at()
+      `);
+
+      await db.run('ALTER TABLE order_items ADD COLUMN variant_id INTEGER REFERENCES product_variants (id) ON DELETE RESTRICT');
+      await db.run('ALTER TABLE order_items DROP CONSTRAINT IF EXISTS order_items_order_id_product_id_key');
+      await db.run('ALTER TABLE stock_reservations ADD COLUMN variant_id INTEGER REFERENCES product_variants (id) ON DELETE RESTRICT');
+    } else {
+      await db.run(`
+        CREATE TRIGGER product_variants_updated_at
+        AFTER UPDATE ON product_variants FOR EACH ROW
+        BEGIN
+          UPDATE product_variants SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+        END
+      `);
+
+      await rebuildOrderTables(db, true);
+    }
+
+    // One line per product, or per variant for products that have them
+    await db.run('CREATE UNIQUE INDEX idx_order_items_order_product_variant ON order_items(order_id, product_id, COALESCE(variant_id, 0))');
+
+    await db.run('ALTER TABLE inventory_movements ADD COLUMN variant_id INTEGER REFERENCES product_variants (id)');
+    await db.run('CREATE INDEX idx_inventory_movements_variant_id ON inventory_movements(variant_id)');
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_inventory_movements_variant_id');
+    await db.run('ALTER TABLE inventory_movements DROP COLUMN variant_id');
+    await db.run('DROP INDEX IF EXISTS idx_order_items_order_product_variant');
+
+    if (db.dialect === 'postgres') {
+      await db.run('ALTER TABLE stock_reservations DROP COLUMN variant_id');
+      await db.run('ALTER TABLE order_items DROP COLUMN variant_id');
+      await db.run('ALTER TABLE order_items ADD CONSTRAINT order_items_order_id_product_id_key UNIQUE (order_id, product_id)');
+      await db.run('DROP TRIGGER IF EXISTS product_variants_updated_at ON product_variants');
+    } else {
+      await rebuildOrderTables(db, false);
+      await db.run('DROP TRIGGER IF EXISTS product_variants_updated_at');
+    }
+
+    await db.run('DROP TABLE IF EXISTS product_variants');
+  }
+};
@@ -0,0 +1,183 @@
+// Warehouses and the stock each of them holds. warehouse_stock has one row per warehouse and
+// product, or per warehouse and variant for products with variants; the stock columns on
+// products and product_variants remain the totals across warehouses.
+// Existing stock, reservations and order lines move to a "MAIN" warehouse.
+
+const MOVEMENT_COLUMNS = 'id, product_id, variant_id, delta, balance_after, reason, reference_type, reference_id, actor_id, note, created_at';
+
+// SQLite cannot change the CHECK constraint on inventory_movements.reason in place. Nothing
+// references the ledger, so it can be copied into a new table and renamed. The columns added
+// by migrations keep their inline REFERENCES so those migrations can still drop them.
+const rebuildMovements = async (db, withWarehouses) => {
+  const reasons = ["'order'", "'cancellation'", "'manual_adjustment'", "'restock'"];
+  if (withWarehouses) {
+    reasons.push("'transfer'");
+  }
+
+  await db.run(`
+    CREATE TABLE inventory_movements_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      variant_id INTEGER REFERENCES product_variants (id),
+      ${withWarehouses ? 'warehouse_id INTEGER REFERENCES warehouses (id),' : ''}
+      delta INTEGER NOT NULL CHECK(delta != 0),
+      balance_after INTEGER NOT NULL,
+      reason TEXT NOT NULL CHECK(reason IN (${reasons.join(', ')})),
+      reference_type TEXT,
+      reference_id INTEGER,
+      actor_id INTEGER,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT,
+      FOREIGN KEY (actor_id) REFERENCES users (id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.run(`INSERT INTO inventory_movements_new (${MOVEMENT_COLUMNS}) SELECT ${MOVEMENT_COLUMNS} FROM inventory_movements`);
+  await db.run('DROP TABLE inventory_movements');
+  await db.run('ALTER TABLE inventory_movements_new RENAME TO inventory_movements');
+
+  await db.run('CREATE INDEX idx_inventory_movements_product_id ON inventory_movements(product_id, created_at)');
+  await db.run('CREATE INDEX idx_inventory_movements_variant_id ON inventory_movements(variant_id)');
+};
+
+module.exports = {
+  async up(db) {
+    // Order lines are allocated to active warehouses by ascending priority
+    await db.run(`
+      CREATE TABLE warehouses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE NOT NULL CHECK(length(code) > 0),
+        name TEXT NOT NULL CHECK(length(name) > 0),
+        address TEXT,
+        priority INTEGER NOT NULL DEFAULT 100,
+        status TEXT DEFAULT 'active' CHECK(status IN ('active', 'inactive')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE warehouse_stock (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        warehouse_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        variant_id INTEGER,
+        stock_quantity INTEGER DEFAULT 0 CHECK(stock_quantity >= 0),
+        reserved_quantity INTEGER DEFAULT 0 CHECK(reserved_quantity >= 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK(reserved_quantity <= stock_quantity),
+        FOREIGN KEY (warehouse_id) REFERENCES warehouses (id) ON DELETE RESTRICT,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT,
+        FOREIGN KEY (variant_id) REFERENCES product_variants (id) ON DELETE RESTRICT
+      )
+    `);
+    await db.run('CREATE UNIQUE INDEX idx_warehouse_stock_item ON warehouse_stock(warehouse_id, product_id, COALESCE(variant_id, 0))');
+    await db.run('CREATE INDEX idx_warehouse_stock_product_id ON warehouse_stock(product_id)');
+
+    // Stock moved between warehouses; each transfer is also two ledger entries
+    await db.run(`
+      CREATE TABLE warehouse_transfers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        from_warehouse_id INTEGER NOT NULL,
+        to_warehouse_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        variant_id INTEGER,
+        quantity INTEGER NOT NULL CHECK(quantity > 0),
+        note TEXT,
+        actor_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK(from_warehouse_id != to_warehouse_id),
+        FOREIGN KEY (from_warehouse_id) REFERENCES warehouses (id) ON DELETE RESTRICT,
+        FOREIGN KEY (to_warehouse_id) REFERENCES warehouses (id) ON DELETE RESTRICT,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT,
+        FOREIGN KEY (variant_id) REFERENCES product_variants (id) ON DELETE RESTRICT,
+        FOREIGN KEY (actor_id) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    for (const table of ['warehouses', 'warehouse_stock']) {
+      if (db.dialect === 'postgres') {
+        await db.run(`
+          CREATE TRIGGER ${table}_updated_at
+          BEFORE UPDATE ON ${table} FOR EACH ROW
+          EXECUTE FUNCTION set_updated_at()
+        `);
+      } else {
+        await db.run(`
+          CREATE TRIGGER ${table}_updated_at
+          AFTER UPDATE ON ${table} FOR EACH ROW
+          BEGIN
+            UPDATE ${table} SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+          END
+        `);
+      }
+    }
+
+    await db.run('ALTER TABLE order_items ADD COLUMN warehouse_id INTEGER REFERENCES warehouses (id)');
+    await db.run('ALTER TABLE stock_reservations ADD COLUMN warehouse_id INTEGER REFERENCES warehouses (id)');
+
+    if (db.dialect === 'postgres') {
+      await db.run('ALTER TABLE inventory_movements ADD COLUMN warehouse_id INTEGER REFERENCES warehouses (id)');
+      await db.run('ALTER TABLE inventory_movements DROP CONSTRAINT inventory_movements_reason_check');
+      await db.run(`
+        ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_reason_check
+        CHECK(reason IN ('order', 'cancellation', 'manual_adjustment', 'restock', 'transfer'))
+      `);
+    } else {
+      await rebuildMovements(db, true);
+    }
+    await db.run('CREATE INDEX idx_inventory_movements_warehouse_id ON inventory_movements(warehouse_id)');
+
+    // Everything in stock so far is in the one warehouse there was
+    const main = await db.run("INSERT INTO warehouses (code, name, priority) VALUES ('MAIN', 'Main warehouse', 1)");
+
+    await db.run(`
+      INSERT INTO warehouse_stock (warehouse_id, product_id, variant_id, stock_quantity, reserved_quantity)
+      SELECT ?, p.id, NULL, p.stock_quantity, p.reserved_quantity
+      FROM products p
+      WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+    `, [main.id]);
+    await db.run(`
+      INSERT INTO warehouse_stock (warehouse_id, product_id, variant_id, stock_quantity, reserved_quantity)
+      SELECT ?, product_id, id, stock_quantity, reserved_quantity
+      FROM product_variants
+    `, [main.id]);
+
+    await db.run('UPDATE order_items SET warehouse_id = ?', [main.id]);
+    await db.run('UPDATE stock_reservations SET warehouse_id = ?', [main.id]);
+    await db.run('UPDATE inventory_movements SET warehouse_id = ?', [main.id]);
+  },
+
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_inventory_movements_warehouse_id');
+    await db.run("DELETE FROM inventory_movements WHERE reason = 'transfer'");
+
+    if (db.dialect === 'postgres') {
+      await db.run('ALTER TABLE inventory_movements DROP COLUMN warehouse_id');
+      await db.run('ALTER TABLE inventory_movements DROP CONSTRAINT inventory_movements_reason_check');
+      await db.run(`
+        ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_reason_check
+        CHECK(reason IN ('order', 'cancellation', 'manual_adjustment', 'restock'))
+      `);
+    } else {
+      await rebuildMovements(db, false);
+    }
+
+    await db.run('ALTER TABLE stock_reservations DROP COLUMN warehouse_id');
+    await db.run('ALTER TABLE order_items DROP COLUMN warehouse_id');
+
+    if (db.dialect === 'postgres') {
+      await db.run('DROP TRIGGER IF EXISTS warehouse_stock_updated_at ON warehouse_stock');
+      await db.run('DROP TRIGGER IF EXISTS warehouses_updated_at ON warehouses');
+    } else {
+      await db.run('DROP TRIGGER IF EXISTS warehouse_stock_updated_at');
+      await db.run('DROP TRIGGER IF EXISTS warehouses_updated_at');
+    }
+
+    await db.run('DROP TABLE IF EXISTS warehouse_transfers');
+    await db.run('DROP TABLE IF EXISTS warehouse_stock');
+    await db.run('DROP TABLE IF EXISTS warehouses');
+  }
+};
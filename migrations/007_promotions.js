@@ -0,0 +1,86 @@
+// Promotions discount orders. Those with a code are coupons the customer has to enter; those
+// without one apply to every order that qualifies. Each discount given is kept in
+// order_discounts and their sum in orders.discount_total; total_price is what the customer pays.
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE promotions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT UNIQUE,
+        name TEXT NOT NULL CHECK(length(name) > 0),
+        description TEXT,
+        type TEXT NOT NULL CHECK(type IN ('percentage', 'fixed_amount', 'buy_x_get_y')),
+        value DECIMAL(10, 2),
+        buy_quantity INTEGER,
+        get_quantity INTEGER,
+        product_id INTEGER,
+        category_id INTEGER,
+        min_subtotal DECIMAL(10, 2),
+        usage_limit INTEGER,
+        per_user_limit INTEGER,
+        times_used INTEGER NOT NULL DEFAULT 0,
+        starts_at DATETIME,
+        ends_at DATETIME,
+        status TEXT DEFAULT 'active' CHECK(status IN ('active', 'inactive')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        CHECK(type != 'percentage' OR (value > 0 AND value <= 100)),
+        CHECK(type != 'fixed_amount' OR value > 0),
+        CHECK(type != 'buy_x_get_y' OR (buy_quantity > 0 AND get_quantity > 0)),
+        CHECK(usage_limit IS NULL OR times_used <= usage_limit),
+        CHECK(times_used >= 0),
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT,
+        FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE RESTRICT
+      )
+    `);
+
+    if (db.dialect === 'postgres') {
+      await db.run(`
+        CREATE TRIGGER promotions_updated_at
+        BEFORE UPDATE ON promotions FOR EACH ROW
+        EXECUTE FUNCTION set_updated_at()
+      `);
+    } else {
+      await db.run(`
+        CREATE TRIGGER promotions_updated_at
+        AFTER UPDATE ON promotions FOR EACH ROW
+        BEGIN
+          UPDATE promotions SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+        END
+      `);
+    }
+
+    // code and name are copied so the order still shows them if the promotion changes
+    await db.run(`
+      CREATE TABLE order_discounts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL,
+        promotion_id INTEGER NOT NULL,
+        code TEXT,
+        name TEXT NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL CHECK(amount > 0),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(order_id, promotion_id),
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (promotion_id) REFERENCES promotions (id) ON DELETE RESTRICT
+      )
+    `);
+    await db.run('CREATE INDEX idx_order_discounts_promotion_id ON order_discounts(promotion_id)');
+
+    await db.run('ALTER TABLE orders ADD COLUMN discount_total DECIMAL(10, 2) NOT NULL DEFAULT 0');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE orders DROP COLUMN discount_total');
+    await db.run('DROP TABLE IF EXISTS order_discounts');
+
+    if (db.dialect === 'postgres') {
+      await db.run('DROP TRIGGER IF EXISTS promotions_updated_at ON promotions');
+    } else {
+      await db.run('DROP TRIGGER IF EXISTS promotions_updated_at');
+    }
+
+    await db.run('DROP TABLE IF EXISTS promotions');
+  }
+};
@@ -0,0 +1,67 @@
+// Tax rules set a rate for a destination region, a product category, or both; a rule without
+// one of them applies to every region or category. Orders now keep their invoice totals:
+// subtotal (the lines) - discount_total + tax_total + shipping_total = total_price. Each order
+// line keeps the rate it was taxed at and its tax, so changing a rule leaves past orders alone.
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE tax_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL CHECK(length(name) > 0),
+        region TEXT,
+        category_id INTEGER,
+        rate DECIMAL(5, 2) NOT NULL CHECK(rate >= 0 AND rate <= 100),
+        status TEXT DEFAULT 'active' CHECK(status IN ('active', 'inactive')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE RESTRICT
+      )
+    `);
+    await db.run('CREATE UNIQUE INDEX idx_tax_rules_scope ON tax_rules(COALESCE(region, \'\'), COALESCE(category_id, 0))');
+
+    if (db.dialect === 'postgres') {
+      await db.run(`
+        CREATE TRIGGER tax_rules_updated_at
+        BEFORE UPDATE ON tax_rules FOR EACH ROW
+        EXECUTE FUNCTION set_updated_at()
+      `);
+    } else {
+      await db.run(`
+        CREATE TRIGGER tax_rules_updated_at
+        AFTER UPDATE ON tax_rules FOR EACH ROW
+        BEGIN
+          UPDATE tax_rules SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+        END
+      `);
+    }
+
+    await db.run('ALTER TABLE orders ADD COLUMN subtotal DECIMAL(10, 2) NOT NULL DEFAULT 0');
+    await db.run('ALTER TABLE orders ADD COLUMN tax_total DECIMAL(10, 2) NOT NULL DEFAULT 0');
+    await db.run('ALTER TABLE orders ADD COLUMN shipping_total DECIMAL(10, 2) NOT NULL DEFAULT 0');
+    await db.run('ALTER TABLE orders ADD COLUMN shipping_region TEXT');
+    await db.run('ALTER TABLE order_items ADD COLUMN tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0');
+    await db.run('ALTER TABLE order_items ADD COLUMN tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0');
+
+    // Existing orders were placed without tax or shipping
+    await db.run('UPDATE orders SET subtotal = total_price + discount_total');
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE order_items DROP COLUMN tax_amount');
+    await db.run('ALTER TABLE order_items DROP COLUMN tax_rate');
+    await db.run('ALTER TABLE orders DROP COLUMN shipping_region');
+    await db.run('ALTER TABLE orders DROP COLUMN shipping_total');
+    await db.run('ALTER TABLE orders DROP COLUMN tax_total');
+    await db.run('ALTER TABLE orders DROP COLUMN subtotal');
+
+    if (db.dialect === 'postgres') {
+      await db.run('DROP TRIGGER IF EXISTS tax_rules_updated_at ON tax_rules');
+    } else {
+      await db.run('DROP TRIGGER IF EXISTS tax_rules_updated_at');
+    }
+
+    await db.run('DROP INDEX IF EXISTS idx_tax_rules_scope');
+    await db.run('DROP TABLE IF EXISTS tax_rules');
+  }
+};
@@ -0,0 +1,38 @@
+// Keep updated_at current on every update of users, products and orders. The initial
+// schema only had SQLite triggers for this; PostgreSQL uses set_updated_at() from 000.
+// Databases whose initial schema already created the triggers keep them.
+
+const TABLES = ['users', 'products', 'orders'];
+
+module.exports = {
+  async up(db) {
+    for (const table of TABLES) {
+      if (db.dialect === 'postgres') {
+        await db.run(`DROP TRIGGER IF EXISTS ${table}_updated_at ON ${table}`);
+        await db.run(`
+          CREATE TRIGGER ${table}_updated_at
+          BEFORE UPDATE ON ${table} FOR EACH ROW
+          EXECUTE FUNCTION set_updated_at()
+        `);
+      } else {
+        await db.run(`
+          CREATE TRIGGER IF NOT EXISTS ${table}_updated_at
+          AFTER UPDATE ON ${table} FOR EACH ROW
+          BEGIN
+            UPDATE ${table} SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+          END
+        `);
+      }
+    }
+  },
+
+  async down(db) {
+    for (const table of TABLES) {
+      if (db.dialect === 'postgres') {
+        await db.run(`DROP TRIGGER IF EXISTS ${table}_updated_at ON ${table}`);
+      } else {
+        await db.run(`DROP TRIGGER IF EXISTS ${table}_updated_at`);
+      }
+    }
+  }
+};
@@ -0,0 +1,20 @@
+// Each order line keeps the part of the order's discounts that fell on it, so sales can be
+// reported per product and category after discounts. Existing orders did not record it;
+// their discount is shared between their lines in proportion to the line totals.
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE order_items ADD COLUMN discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0');
+
+    await db.run(`
+      UPDATE order_items SET discount_amount = ROUND(line_total * (
+        SELECT o.discount_total * 1.0 / o.subtotal FROM orders o WHERE o.id = order_items.order_id
+      ), 2)
+      WHERE order_id IN (SELECT id FROM orders WHERE discount_total > 0 AND subtotal > 0)
+    `);
+  },
+
+  async down(db) {
+    await db.run('ALTER TABLE order_items DROP COLUMN discount_amount');
+  }
+};
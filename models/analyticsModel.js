@@ -0,0 +1,440 @@
+const db = require('../db');
+const { logger, dbLogger } = require('../utils/logger');
+const { resources, buildFilters } = require('../utils/queryBuilder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SQL giving the first day ('YYYY-MM-DD') of the bucket an order falls into.
+// Weeks start on Monday, as ISO weeks do.
+const bucketExpression = (interval, column) => {
+  if (db.dialect === 'postgres') {
+    return `to_char(date_trunc('${interval}', ${column}), 'YYYY-MM-DD')`;
+  }
+
+  if (interval === 'week') {
+    return `date(${column}, '-' || ((CAST(strftime('%w', ${column}) AS INTEGER) + 6) % 7) || ' days')`;
+  }
+
+  return interval === 'month' ? `strftime('%Y-%m-01', ${column})` : `date(${column})`;
+};
+
+// The same bucketing in JavaScript, used to list buckets that have no orders
+const bucketStart = (date, interval) => {
+  const start = new Date(date.getTime());
+
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+
+  return start;
+};
+
+const nextBucket = (date, interval) => {
+  const next = new Date(date.getTime());
+
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+
+  return next;
+};
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const roundMoney = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Percentage change from the previous value; null when there is nothing to compare with
+const percentChange = (current, previous) => {
+  if (!previous) {
+    return null;
+  }
+  return Math.round((current - previous) / previous * 10000) / 100;
+};
+
+// Cancelled orders never count as sales; they only show up in the status breakdown
+const SALES_CONDITION = "o.status != 'cancelled'";
+
+// Revenue is what was sold after discounts, before tax and shipping, so the breakdowns by
+// category and product add up to the totals. What customers paid is reported as totalPaid.
+const ORDER_REVENUE = '(o.subtotal - o.discount_total)';
+const LINE_REVENUE = '(oi.line_total - oi.discount_amount)';
+
+// Columns the product performance report can be sorted by
+const PERFORMANCE_SORT_FIELDS = ['revenue', 'units_sold', 'order_count', 'cancellation_rate', 'stock_turnover'];
+
+// On-hand stock of a product at a point in time: the balance after its last ledger entry before then
+const stockAt = "COALESCE((SELECT m.balance_after FROM inventory_movements m WHERE m.product_id = p.id AND m.created_at < ? ORDER BY m.id DESC LIMIT 1), 0)";
+
+class AnalyticsModel {
+  constructor() {
+    this.tableName = 'orders';
+  }
+
+  // Sales over a period of whole UTC days: a gap-free time series per day, week or month,
+  // breakdowns by status and category, top products and customers, and the same totals
+  // for the period of equal length just before it
+  async getSalesReport(options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const { interval = 'day', top = 10 } = options;
+      const { from, to } = this.resolvePeriod(options.date_from, options.date_to);
+      const toExclusive = new Date(to.getTime() + DAY_MS);
+      const previousFrom = new Date(from.getTime() - (toExclusive.getTime() - from.getTime()));
+
+      const period = [db.formatDateTime(from), db.formatDateTime(toExclusive)];
+      const previousPeriod = [db.formatDateTime(previousFrom), db.formatDateTime(from)];
+
+      const [series, totals, previousTotals, byStatus, byCategory, topProducts, topCustomers] = await Promise.all([
+        this.getSeries(period, interval),
+        this.getTotals(period),
+        this.getTotals(previousPeriod),
+        this.getStatusBreakdown(period),
+        this.getCategoryBreakdown(period),
+        this.getTopProducts(period, top),
+        this.getTopCustomers(period, top)
+      ]);
+
+      const buckets = [];
+      for (let bucket = bucketStart(from, interval); bucket < toExclusive; bucket = nextBucket(bucket, interval)) {
+        const key = toDateString(bucket);
+        buckets.push(series.get(key) || { bucket: key, orderCount: 0, revenue: 0, totalPaid: 0 });
+      }
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_SALES_ANALYTICS', this.tableName, options, duration);
+
+      logger.info('Sales analytics generated', {
+        from: toDateString(from),
+        to: toDateString(to),
+        interval,
+        buckets: buckets.length,
+        duration: `${duration}ms`
+      });
+
+      return {
+        period: {
+          from: toDateString(from),
+          to: toDateString(to),
+          interval
+        },
+        totals,
+        previousPeriod: {
+          from: toDateString(previousFrom),
+          to: toDateString(new Date(from.getTime() - DAY_MS)),
+          totals: previousTotals
+        },
+        change: {
+          orderCount: percentChange(totals.orderCount, previousTotals.orderCount),
+          revenue: percentChange(totals.revenue, previousTotals.revenue),
+          averageOrderValue: percentChange(totals.averageOrderValue, previousTotals.averageOrderValue),
+          unitsSold: percentChange(totals.unitsSold, previousTotals.unitsSold)
+        },
+        series: buckets,
+        byStatus,
+        byCategory,
+        topProducts,
+        topCustomers
+      };
+
+    } catch (error) {
+      dbLogger.logError('SELECT_SALES_ANALYTICS', this.tableName, error, options);
+      throw error;
+    }
+  }
+
+  // Per product over a period: units sold, revenue, how many of the orders containing it were
+  // cancelled, and stock turnover (units sold / average of opening and closing stock)
+  async getProductPerformance(options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        category = null,
+        sort = 'revenue',
+        order = 'DESC'
+      } = options;
+
+      if (!PERFORMANCE_SORT_FIELDS.includes(sort)) {
+        throw new Error(`Invalid sort field: ${sort}`);
+      }
+
+      const { from, to } = this.resolvePeriod(options.date_from, options.date_to);
+      const toExclusive = new Date(to.getTime() + DAY_MS);
+      const period = [db.formatDateTime(from), db.formatDateTime(toExclusive)];
+      const offset = (page - 1) * limit;
+
+      // A category includes its subcategories, as in GET /products
+      const { conditions, params } = buildFilters(resources.products, category ? { category } : {});
+
+      const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+      const countResult = await db.get(`SELECT COUNT(*) as total FROM products p ${whereClause}`, params);
+      const total = countResult.total;
+
+      const rows = await db.all(`
+        SELECT * FROM (
+          SELECT
+            p.id,
+            p.name,
+            p.sku,
+            p.category,
+            p.status,
+            p.stock_quantity,
+            COALESCE(s.order_count, 0) as order_count,
+            COALESCE(s.cancelled_orders, 0) as cancelled_orders,
+            COALESCE(s.units_sold, 0) as units_sold,
+            COALESCE(s.revenue, 0) as revenue,
+            CASE WHEN s.order_count > 0 THEN s.cancelled_orders * 100.0 / s.order_count ELSE 0 END as cancellation_rate,
+            ${stockAt} as opening_stock,
+            ${stockAt} as closing_stock
+          FROM products p
+          LEFT JOIN (
+            SELECT
+              oi.product_id,
+              COUNT(DISTINCT o.id) as order_count,
+              COUNT(DISTINCT CASE WHEN o.status = 'cancelled' THEN o.id END) as cancelled_orders,
+              SUM(CASE WHEN ${SALES_CONDITION} THEN oi.quantity ELSE 0 END) as units_sold,
+              SUM(CASE WHEN ${SALES_CONDITION} THEN ${LINE_REVENUE} ELSE 0 END) as revenue
+            FROM orders o
+            JOIN order_items oi ON oi.order_id = o.id
+            WHERE o.order_date >= ? AND o.order_date < ?
+            GROUP BY oi.product_id
+          ) s ON s.product_id = p.id
+          ${whereClause}
+        ) report
+        ORDER BY ${this.performanceSortColumn(sort)} ${order === 'ASC' ? 'ASC' : 'DESC'} NULLS LAST, report.id ASC
+        LIMIT ? OFFSET ?
+      `, [...period, ...period, ...params, limit, offset]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_PRODUCT_PERFORMANCE', 'products', options, duration);
+
+      logger.info('Product performance report generated', {
+        from: toDateString(from),
+        to: toDateString(to),
+        count: rows.length,
+        total,
+        duration: `${duration}ms`
+      });
+
+      return {
+        period: {
+          from: toDateString(from),
+          to: toDateString(to)
+        },
+        products: rows.map(row => this.formatPerformanceRow(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      dbLogger.logError('SELECT_PRODUCT_PERFORMANCE', 'products', error, options);
+      throw error;
+    }
+  }
+
+  // Turnover has no value for products that held no stock over the period
+  performanceSortColumn(sort) {
+    if (sort === 'stock_turnover') {
+      return 'CASE WHEN report.opening_stock + report.closing_stock > 0 THEN report.units_sold * 2.0 / (report.opening_stock + report.closing_stock) END';
+    }
+    return `report.${sort}`;
+  }
+
+  formatPerformanceRow(row) {
+    const averageStock = (row.opening_stock + row.closing_stock) / 2;
+
+    return {
+      productId: row.id,
+      name: row.name,
+      sku: row.sku,
+      category: row.category,
+      status: row.status,
+      orderCount: row.order_count,
+      cancelledOrders: row.cancelled_orders,
+      cancellationRate: Math.round(parseFloat(row.cancellation_rate) * 100) / 100,
+      unitsSold: row.units_sold,
+      revenue: roundMoney(row.revenue),
+      stock: {
+        opening: row.opening_stock,
+        closing: row.closing_stock,
+        current: row.stock_quantity
+      },
+      stockTurnover: averageStock > 0 ? Math.round(row.units_sold / averageStock * 100) / 100 : null
+    };
+  }
+
+  // Whole UTC days; defaults to the last 30 days up to and including today
+  resolvePeriod(dateFrom, dateTo) {
+    const startOfDay = (date) => new Date(`${toDateString(new Date(date))}T00:00:00.000Z`);
+
+    const to = dateTo ? startOfDay(dateTo) : startOfDay(Date.now());
+    const from = dateFrom ? startOfDay(dateFrom) : new Date(to.getTime() - 29 * DAY_MS);
+
+    return { from, to };
+  }
+
+  async getSeries(period, interval) {
+    const bucket = bucketExpression(interval, 'o.order_date');
+    const rows = await db.all(`
+      SELECT
+        ${bucket} as bucket,
+        COUNT(*) as order_count,
+        COALESCE(SUM(${ORDER_REVENUE}), 0) as revenue,
+        COALESCE(SUM(o.total_price), 0) as total_paid
+      FROM orders o
+      WHERE o.order_date >= ? AND o.order_date < ? AND ${SALES_CONDITION}
+      GROUP BY bucket
+      ORDER BY bucket
+    `, period);
+
+    return new Map(rows.map(row => [row.bucket, {
+      bucket: row.bucket,
+      orderCount: row.order_count,
+      revenue: roundMoney(row.revenue),
+      totalPaid: roundMoney(row.total_paid)
+    }]));
+  }
+
+  async getTotals(period) {
+    const orders = await db.get(`
+      SELECT
+        COUNT(*) as order_count,
+        COALESCE(SUM(${ORDER_REVENUE}), 0) as revenue,
+        COALESCE(SUM(o.total_price), 0) as total_paid
+      FROM orders o
+      WHERE o.order_date >= ? AND o.order_date < ? AND ${SALES_CONDITION}
+    `, period);
+
+    const items = await db.get(`
+      SELECT COALESCE(SUM(oi.quantity), 0) as units_sold
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      WHERE o.order_date >= ? AND o.order_date < ? AND ${SALES_CONDITION}
+    `, period);
+
+    return {
+      orderCount: orders.order_count,
+      revenue: roundMoney(orders.revenue),
+      totalPaid: roundMoney(orders.total_paid),
+      averageOrderValue: orders.order_count > 0 ? roundMoney(orders.revenue / orders.order_count) : 0,
+      unitsSold: items.units_sold
+    };
+  }
+
+  async getStatusBreakdown(period) {
+    const rows = await db.all(`
+      SELECT
+        o.status,
+        COUNT(*) as order_count,
+        COALESCE(SUM(${ORDER_REVENUE}), 0) as revenue,
+        COALESCE(SUM(o.total_price), 0) as total_paid
+      FROM orders o
+      WHERE o.order_date >= ? AND o.order_date < ?
+      GROUP BY o.status
+      ORDER BY order_count DESC, o.status
+    `, period);
+
+    return rows.map(row => ({
+      status: row.status,
+      orderCount: row.order_count,
+      revenue: roundMoney(row.revenue),
+      totalPaid: roundMoney(row.total_paid)
+    }));
+  }
+
+  async getCategoryBreakdown(period) {
+    const rows = await db.all(`
+      SELECT
+        p.category,
+        COUNT(DISTINCT o.id) as order_count,
+        SUM(oi.quantity) as units_sold,
+        SUM(${LINE_REVENUE}) as revenue
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      JOIN products p ON p.id = oi.product_id
+      WHERE o.order_date >= ? AND o.order_date < ? AND ${SALES_CONDITION}
+      GROUP BY p.category
+      ORDER BY revenue DESC, p.category
+    `, period);
+
+    return rows.map(row => ({
+      category: row.category,
+      orderCount: row.order_count,
+      unitsSold: row.units_sold,
+      revenue: roundMoney(row.revenue)
+    }));
+  }
+
+  async getTopProducts(period, limit) {
+    const rows = await db.all(`
+      SELECT
+        p.id,
+        p.name,
+        p.sku,
+        p.category,
+        COUNT(DISTINCT o.id) as order_count,
+        SUM(oi.quantity) as units_sold,
+        SUM(${LINE_REVENUE}) as revenue
+      FROM orders o
+      JOIN order_items oi ON oi.order_id = o.id
+      JOIN products p ON p.id = oi.product_id
+      WHERE o.order_date >= ? AND o.order_date < ? AND ${SALES_CONDITION}
+      GROUP BY p.id, p.name, p.sku, p.category
+      ORDER BY revenue DESC, p.id
+      LIMIT ?
+    `, [...period, limit]);
+
+    return rows.map(row => ({
+      productId: row.id,
+      name: row.name,
+      sku: row.sku,
+      category: row.category,
+      orderCount: row.order_count,
+      unitsSold: row.units_sold,
+      revenue: roundMoney(row.revenue)
+    }));
+  }
+
+  async getTopCustomers(period, limit) {
+    const rows = await db.all(`
+      SELECT
+        u.id,
+        u.name,
+        u.email,
+        COUNT(*) as order_count,
+        SUM(${ORDER_REVENUE}) as revenue,
+        SUM(o.total_price) as total_paid
+      FROM orders o
+      JOIN users u ON u.id = o.user_id
+      WHERE o.order_date >= ? AND o.order_date < ? AND ${SALES_CONDITION}
+      GROUP BY u.id, u.name, u.email
+      ORDER BY revenue DESC, u.id
+      LIMIT ?
+    `, [...period, limit]);
+
+    return rows.map(row => ({
+      userId: row.id,
+      name: row.name,
+      email: row.email,
+      orderCount: row.order_count,
+      revenue: roundMoney(row.revenue),
+      totalPaid: roundMoney(row.total_paid)
+    }));
+  }
+}
+
+module.exports = new AnalyticsModel();
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { logger, dbLogger } = require('../utils/logger');
+const UserModel = require('./userModel');
+
+const DEVELOPMENT_SECRET = 'development-only-jwt-secret';
+
+class AuthModel {
+  constructor() {
+    this.tableName = 'refresh_tokens';
+    this.accessTokenExpiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+    this.refreshTokenExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+  }
+
+  // Resolve the signing secret lazily so dotenv has been loaded by the time it is read
+  getSecret() {
+    if (process.env.JWT_SECRET) {
+      return process.env.JWT_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be configured in production');
+    }
+
+    logger.warn('JWT_SECRET is not set, using an insecure development secret');
+    return DEVELOPMENT_SECRET;
+  }
+
+  // Register a new user with a password and log them in
+  async register(userData) {
+    const user = await UserModel.create(userData);
+
+    logger.info('User registered', { userId: user.id, email: user.email });
+
+    return await this.issueTokens(user);
+  }
+
+  // Exchange email and password for a token pair
+  async login(email, password) {
+    const user = await UserModel.verifyCredentials(email, password);
+
+    if (!user) {
+      logger.warn('Failed login attempt', { email });
+      throw new Error('Invalid email or password');
+    }
+
+    if (user.status !== 'active') {
+      logger.warn('Login attempt on inactive account', { userId: user.id, status: user.status });
+      throw new Error(`Account is ${user.status}`);
+    }
+
+    logger.info('User logged in', { userId: user.id });
+
+    return await this.issueTokens(user);
+  }
+
+  // Rotate a refresh token: the presented token is revoked and a new pair is issued
+  async refresh(refreshToken) {
+    const startTime = Date.now();
+
+    try {
+      const payload = this.verifyToken(refreshToken, 'refresh');
+
+      const storedToken = await db.get(
+        'SELECT * FROM refresh_tokens WHERE jti = ?',
+        [payload.jti]
+      );
+
+      if (!storedToken) {
+        throw new Error('Invalid refresh token');
+      }
+
+      // A revoked token being replayed means it may have leaked, so end every session of that user
+      if (storedToken.revoked_at) {
+        await this.revokeAllForUser(storedToken.user_id);
+        logger.warn('Revoked refresh token reused', { userId: storedToken.user_id, jti: payload.jti });
+        throw new Error('Refresh token has been revoked');
+      }
+
+      const user = await UserModel.findById(storedToken.user_id);
+      if (!user || user.status !== 'active') {
+        throw new Error('Account is not active');
+      }
+
+      // The guard makes the check above and the revocation a single step: when two requests
+      // rotate the same token at once only one of them gets a new pair, and the other is reuse
+      const rotated = await db.run(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE jti = ? AND revoked_at IS NULL',
+        [payload.jti]
+      );
+
+      if (rotated.changes !== 1) {
+        await this.revokeAllForUser(storedToken.user_id);
+        logger.warn('Refresh token reused during rotation', { userId: storedToken.user_id, jti: payload.jti });
+        throw new Error('Refresh token has been revoked');
+      }
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('ROTATE', this.tableName, { userId: user.id }, duration);
+
+      return await this.issueTokens(user);
+
+    } catch (error) {
+      dbLogger.logError('ROTATE', this.tableName, error, {});
+      throw error;
+    }
+  }
+
+  // Revoke the current access token and, when given, the refresh token of the session
+  async logout(accessPayload, refreshToken = null) {
+    const startTime = Date.now();
+
+    try {
+      await db.run(
+        'INSERT OR IGNORE INTO revoked_tokens (jti, expires_at) VALUES (?, ?)',
+        [accessPayload.jti, db.formatDateTime(new Date(accessPayload.exp * 1000))]
+      );
+
+      if (refreshToken) {
+        const payload = this.verifyToken(refreshToken, 'refresh');
+
+        if (String(payload.sub) !== String(accessPayload.sub)) {
+          throw new Error('Refresh token does not belong to this user');
+        }
+
+        await db.run(
+          'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE jti = ? AND revoked_at IS NULL',
+          [payload.jti]
+        );
+      }
+
+      // Revocations are only needed until the token would have expired anyway
+      await db.run('DELETE FROM revoked_tokens WHERE expires_at < ?', [db.formatDateTime()]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('REVOKE', 'revoked_tokens', { userId: accessPayload.sub }, duration);
+
+      logger.info('User logged out', { userId: accessPayload.sub });
+
+      return { success: true, message: 'Logged out successfully' };
+
+    } catch (error) {
+      dbLogger.logError('REVOKE', 'revoked_tokens', error, { userId: accessPayload.sub });
+      throw error;
+    }
+  }
+
+  async revokeAllForUser(userId) {
+    return db.run(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+  }
+
+  async isAccessTokenRevoked(jti) {
+    const revoked = await db.get('SELECT jti FROM revoked_tokens WHERE jti = ?', [jti]);
+    return Boolean(revoked);
+  }
+
+  // Sign an access/refresh pair and persist the refresh token ID
+  async issueTokens(user) {
+    const secret = this.getSecret();
+
+    const accessToken = jwt.sign(
+      { sub: user.id, type: 'access' },
+      secret,
+      { expiresIn: this.accessTokenExpiresIn, jwtid: crypto.randomUUID() }
+    );
+
+    const refreshJti = crypto.randomUUID();
+    const refreshToken = jwt.sign(
+      { sub: user.id, type: 'refresh' },
+      secret,
+      { expiresIn: this.refreshTokenExpiresIn, jwtid: refreshJti }
+    );
+
+    const { exp: refreshExp } = jwt.decode(refreshToken);
+    const { exp: accessExp, iat } = jwt.decode(accessToken);
+
+    await db.run(
+      'INSERT INTO refresh_tokens (user_id, jti, expires_at) VALUES (?, ?, ?)',
+      [user.id, refreshJti, db.formatDateTime(new Date(refreshExp * 1000))]
+    );
+
+    return {
+      user,
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: accessExp - iat
+    };
+  }
+
+  // Verify signature, expiry and token type; throws with a client-safe message
+  verifyToken(token, expectedType) {
+    let payload;
+
+    try {
+      payload = jwt.verify(token, this.getSecret());
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw new Error('Token has expired');
+      }
+      throw new Error('Invalid token');
+    }
+
+    if (payload.type !== expectedType) {
+      throw new Error('Invalid token type');
+    }
+
+    return payload;
+  }
+}
+
+module.exports = new AuthModel();
@@ -0,0 +1,354 @@
+const db = require('../db');
+const { logger, dbLogger } = require('../utils/logger');
+const { sanitize } = require('../utils/validation');
+
+// A category and everything below it
+const SUBTREE_QUERY = `
+  WITH RECURSIVE subtree(id) AS (
+    SELECT id FROM categories WHERE id = ?
+    UNION ALL
+    SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+  )
+  SELECT id FROM subtree
+`;
+
+class CategoryModel {
+  constructor() {
+    this.tableName = 'categories';
+  }
+
+  // Create a category; the slug defaults to one derived from the name
+  async create(categoryData) {
+    const startTime = Date.now();
+
+    try {
+      const { name, slug, description, parentId = null } = categoryData;
+
+      const sanitizedData = {
+        name: sanitize.cleanString(name),
+        slug: sanitize.slugify(slug || name),
+        description: sanitize.cleanString(description) || null,
+        parentId
+      };
+
+      if (!sanitizedData.slug) {
+        throw new Error('Category name must contain a letter or number');
+      }
+
+      await this.assertSlugAvailable(sanitizedData.slug);
+
+      if (parentId !== null) {
+        await this.assertParentExists(parentId);
+      }
+
+      const result = await db.run(
+        'INSERT INTO categories (name, slug, description, parent_id) VALUES (?, ?, ?, ?)',
+        [sanitizedData.name, sanitizedData.slug, sanitizedData.description, sanitizedData.parentId]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('INSERT', this.tableName, sanitizedData, duration);
+
+      logger.info('Category created successfully', {
+        categoryId: result.id,
+        slug: sanitizedData.slug,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(result.id);
+
+    } catch (error) {
+      dbLogger.logError('INSERT', this.tableName, error, categoryData);
+
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Category slug is already in use');
+      }
+
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    const startTime = Date.now();
+
+    try {
+      const category = await db.get('SELECT * FROM categories WHERE id = ?', [id]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT', this.tableName, { id }, duration);
+
+      return category ? this.formatCategoryResponse(category) : null;
+
+    } catch (error) {
+      dbLogger.logError('SELECT', this.tableName, error, { id });
+      throw error;
+    }
+  }
+
+  async findBySlug(slug) {
+    const startTime = Date.now();
+
+    try {
+      const category = await db.get('SELECT * FROM categories WHERE slug = ?', [slug]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT', this.tableName, { slug }, duration);
+
+      return category ? this.formatCategoryResponse(category) : null;
+
+    } catch (error) {
+      dbLogger.logError('SELECT', this.tableName, error, { slug });
+      throw error;
+    }
+  }
+
+  // Every category, parents before their children, each with its slug path from the root
+  // ("electronics/computers/laptops") and depth
+  async findAll() {
+    const startTime = Date.now();
+
+    try {
+      const rows = await db.all('SELECT * FROM categories ORDER BY name, id');
+      const byId = new Map(rows.map(row => [row.id, row]));
+
+      const pathOf = (row) => {
+        const slugs = [row.slug];
+        for (let parent = byId.get(row.parent_id); parent; parent = byId.get(parent.parent_id)) {
+          slugs.unshift(parent.slug);
+        }
+        return slugs;
+      };
+
+      const categories = rows
+        .map(row => {
+          const path = pathOf(row);
+          return { ...this.formatCategoryResponse(row), path: path.join('/'), depth: path.length - 1 };
+        })
+        .sort((a, b) => a.path.localeCompare(b.path));
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_ALL', this.tableName, {}, duration);
+
+      return categories;
+
+    } catch (error) {
+      dbLogger.logError('SELECT_ALL', this.tableName, error, {});
+      throw error;
+    }
+  }
+
+  // A category with its ancestors (root first), its direct children and the number of
+  // products in it or any of its subcategories
+  async findWithRelations(id) {
+    const startTime = Date.now();
+
+    try {
+      const category = await this.findById(id);
+      if (!category) {
+        return null;
+      }
+
+      const ancestors = await db.all(`
+        WITH RECURSIVE ancestors(id, parent_id, depth) AS (
+          SELECT id, parent_id, 0 FROM categories WHERE id = ?
+          UNION ALL
+          SELECT c.id, c.parent_id, a.depth + 1 FROM categories c JOIN ancestors a ON c.id = a.parent_id
+        )
+        SELECT c.* FROM ancestors a JOIN categories c ON c.id = a.id
+        WHERE a.depth > 0
+        ORDER BY a.depth DESC
+      `, [id]);
+
+      const children = await db.all('SELECT * FROM categories WHERE parent_id = ? ORDER BY name, id', [id]);
+
+      const products = await db.get(
+        `SELECT COUNT(*) as count FROM products WHERE category_id IN (${SUBTREE_QUERY})`,
+        [id]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_RELATIONS', this.tableName, { id }, duration);
+
+      return {
+        ...category,
+        ancestors: ancestors.map(row => this.formatCategoryResponse(row)),
+        children: children.map(row => this.formatCategoryResponse(row)),
+        productCount: products.count
+      };
+
+    } catch (error) {
+      dbLogger.logError('SELECT_RELATIONS', this.tableName, error, { id });
+      throw error;
+    }
+  }
+
+  // Renaming a category also renames it on its products. A category cannot be moved
+  // under itself or one of its own subcategories.
+  async update(id, updateData) {
+    const startTime = Date.now();
+
+    try {
+      const sanitizedData = {};
+      if (updateData.name) sanitizedData.name = sanitize.cleanString(updateData.name);
+      if (updateData.slug) sanitizedData.slug = sanitize.slugify(updateData.slug);
+      if (updateData.description !== undefined) sanitizedData.description = sanitize.cleanString(updateData.description) || null;
+      if (updateData.parentId !== undefined) sanitizedData.parent_id = updateData.parentId;
+
+      const updateFields = Object.keys(sanitizedData);
+      if (updateFields.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      if (sanitizedData.slug === '') {
+        throw new Error('Category slug must contain a letter or number');
+      }
+
+      await db.transaction(async (tx) => {
+        const existing = await tx.get('SELECT * FROM categories WHERE id = ?', [id]);
+        if (!existing) {
+          throw new Error(`Category with ID ${id} not found`);
+        }
+
+        if (sanitizedData.slug && sanitizedData.slug !== existing.slug) {
+          await this.assertSlugAvailable(sanitizedData.slug);
+        }
+
+        if (sanitizedData.parent_id !== undefined && sanitizedData.parent_id !== null) {
+          await this.assertParentExists(sanitizedData.parent_id);
+
+          const subtree = await tx.all(SUBTREE_QUERY, [id]);
+          if (subtree.some(row => row.id === sanitizedData.parent_id)) {
+            throw new Error('A category cannot be moved under itself or one of its subcategories');
+          }
+        }
+
+        const setClause = updateFields.map(field => `${field} = ?`).join(', ');
+        await tx.run(
+          `UPDATE categories SET ${setClause} WHERE id = ?`,
+          [...updateFields.map(field => sanitizedData[field]), id]
+        );
+
+        if (sanitizedData.name && sanitizedData.name !== existing.name) {
+          await tx.run('UPDATE products SET category = ? WHERE category_id = ?', [sanitizedData.name, id]);
+        }
+      });
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('UPDATE', this.tableName, { id, ...sanitizedData }, duration);
+
+      logger.info('Category updated successfully', {
+        categoryId: id,
+        updatedFields: updateFields,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(id);
+
+    } catch (error) {
+      dbLogger.logError('UPDATE', this.tableName, error, { id, updateData });
+
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Category slug is already in use');
+      }
+
+      throw error;
+    }
+  }
+
+  // Only empty categories can be deleted: no subcategories and no products
+  async delete(id) {
+    const startTime = Date.now();
+
+    try {
+      await db.transaction(async (tx) => {
+        const existing = await tx.get('SELECT * FROM categories WHERE id = ?', [id]);
+        if (!existing) {
+          throw new Error(`Category with ID ${id} not found`);
+        }
+
+        const children = await tx.get('SELECT COUNT(*) as count FROM categories WHERE parent_id = ?', [id]);
+        if (children.count > 0) {
+          throw new Error(`Category ${existing.slug} still has subcategories`);
+        }
+
+        const products = await tx.get('SELECT COUNT(*) as count FROM products WHERE category_id = ?', [id]);
+        if (products.count > 0) {
+          throw new Error(`Category ${existing.slug} still has products`);
+        }
+
+        await tx.run('DELETE FROM categories WHERE id = ?', [id]);
+      });
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('DELETE', this.tableName, { id }, duration);
+
+      logger.info('Category deleted', { categoryId: id, duration: `${duration}ms` });
+
+      return { success: true, message: 'Category deleted successfully' };
+
+    } catch (error) {
+      dbLogger.logError('DELETE', this.tableName, error, { id });
+      throw error;
+    }
+  }
+
+  // Look up the category a product refers to, by ID or by name or slug
+  async resolve(reference) {
+    const category = typeof reference === 'number' ?
+      await this.findById(reference) :
+      await this.findBySlug(sanitize.slugify(reference));
+
+    if (!category) {
+      throw new Error(`Unknown category: ${reference}`);
+    }
+
+    return category;
+  }
+
+  // IDs of a category and of every category below it
+  async findSubtreeIds(id) {
+    const rows = await db.all(SUBTREE_QUERY, [id]);
+    return rows.map(row => row.id);
+  }
+
+  // IDs of a category and of every category above it, nearest first
+  async findAncestorIds(id) {
+    const rows = await db.all(`
+      WITH RECURSIVE ancestors(id, parent_id, depth) AS (
+        SELECT id, parent_id, 0 FROM categories WHERE id = ?
+        UNION ALL
+        SELECT c.id, c.parent_id, a.depth + 1 FROM categories c JOIN ancestors a ON c.id = a.parent_id
+      )
+      SELECT id FROM ancestors ORDER BY depth
+    `, [id]);
+    return rows.map(row => row.id);
+  }
+
+  async assertSlugAvailable(slug) {
+    const existing = await db.get('SELECT id FROM categories WHERE slug = ?', [slug]);
+    if (existing) {
+      throw new Error(`Category slug ${slug} is already in use`);
+    }
+  }
+
+  async assertParentExists(parentId) {
+    const parent = await db.get('SELECT id FROM categories WHERE id = ?', [parentId]);
+    if (!parent) {
+      throw new Error(`Parent category with ID ${parentId} does not exist`);
+    }
+  }
+
+  formatCategoryResponse(category) {
+    return {
+      id: category.id,
+      name: category.name,
+      slug: category.slug,
+      description: category.description,
+      parentId: category.parent_id,
+      createdAt: category.created_at,
+      updatedAt: category.updated_at
+    };
+  }
+}
+
+module.exports = new CategoryModel();
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const db = require('../db');
+const { dbLogger } = require('../utils/logger');
+
+// Stored responses of POST requests sent with an Idempotency-Key header
+class IdempotencyModel {
+  constructor() {
+    this.tableName = 'idempotency_keys';
+    this.ttlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+  }
+
+  // Hash of everything that makes two requests "the same": method, path and body
+  fingerprint(method, path, body) {
+    const canonical = JSON.stringify([method, path, this.canonicalize(body || {})]);
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  // Sort object keys so property order does not change the fingerprint
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.canonicalize(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = this.canonicalize(value[key]);
+        return sorted;
+      }, {});
+    }
+
+    return value;
+  }
+
+  async find(scope, key) {
+    return db.get(
+      'SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ? AND expires_at > ?',
+      [scope, key, db.formatDateTime()]
+    );
+  }
+
+  // Claim a key before the request runs; returns false when another request already holds it
+  async claim(scope, key, method, path, fingerprint) {
+    const startTime = Date.now();
+    const expiresAt = db.formatDateTime(new Date(Date.now() + this.ttlHours * 60 * 60 * 1000));
+
+    try {
+      // Expired keys may be reused, so clear them out before claiming
+      await db.run('DELETE FROM idempotency_keys WHERE expires_at <= ?', [db.formatDateTime()]);
+
+      const result = await db.run(
+        `INSERT OR IGNORE INTO idempotency_keys
+         (scope, idempotency_key, method, path, fingerprint, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [scope, key, method, path, fingerprint, expiresAt]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('CLAIM', this.tableName, { scope, key, path }, duration);
+
+      return result.changes > 0;
+
+    } catch (error) {
+      dbLogger.logError('CLAIM', this.tableName, error, { scope, key, path });
+      throw error;
+    }
+  }
+
+  async complete(scope, key, statusCode, body) {
+    try {
+      await db.run(
+        `UPDATE idempotency_keys
+         SET status = 'completed', response_status = ?, response_body = ?, completed_at = CURRENT_TIMESTAMP
+         WHERE scope = ? AND idempotency_key = ?`,
+        [statusCode, JSON.stringify(body), scope, key]
+      );
+    } catch (error) {
+      dbLogger.logError('COMPLETE', this.tableName, error, { scope, key, statusCode });
+      throw error;
+    }
+  }
+
+  // Forget a claim so the client can retry, e.g. after a server error
+  async release(scope, key) {
+    try {
+      await db.run(
+        'DELETE FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+        [scope, key]
+      );
+    } catch (error) {
+      dbLogger.logError('RELEASE', this.tableName, error, { scope, key });
+      throw error;
+    }
+  }
+}
+
+module.exports = new IdempotencyModel();
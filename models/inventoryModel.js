@@ -0,0 +1,166 @@
+const db = require('../db');
+const { logger, dbLogger } = require('../utils/logger');
+
+// Ledger of every change to a product's on-hand stock. Changes to a variant's stock are
+// recorded against its product with variant_id set; balance_after is always the product's total.
+// warehouse_id says which warehouse's stock changed.
+class InventoryModel {
+  constructor() {
+    this.tableName = 'inventory_movements';
+  }
+
+  // Record a stock change after it has been applied (call inside the caller's transaction)
+  async recordMovement(movement) {
+    const {
+      productId,
+      variantId = null,
+      warehouseId = null,
+      delta,
+      reason,
+      referenceType = null,
+      referenceId = null,
+      actorId = null,
+      note = null
+    } = movement;
+
+    if (!delta) {
+      return null;
+    }
+
+    try {
+      const product = await db.get('SELECT stock_quantity FROM products WHERE id = ?', [productId]);
+
+      const result = await db.run(
+        `INSERT INTO inventory_movements
+         (product_id, variant_id, warehouse_id, delta, balance_after, reason, reference_type, reference_id, actor_id, note)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [productId, variantId, warehouseId, delta, product.stock_quantity, reason, referenceType, referenceId, actorId, note]
+      );
+
+      dbLogger.logQuery('INSERT', this.tableName, movement);
+
+      return result.id;
+
+    } catch (error) {
+      dbLogger.logError('INSERT', this.tableName, error, movement);
+      throw error;
+    }
+  }
+
+  // Get the movements of a product, newest first
+  async findByProduct(productId, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        reason = null,
+        variant_id = null,
+        warehouse_id = null,
+        date_from = null,
+        date_to = null
+      } = options;
+
+      const offset = (page - 1) * limit;
+      const conditions = ['m.product_id = ?'];
+      const params = [productId];
+
+      if (reason) {
+        conditions.push('m.reason = ?');
+        params.push(reason);
+      }
+
+      if (variant_id) {
+        conditions.push('m.variant_id = ?');
+        params.push(variant_id);
+      }
+
+      if (warehouse_id) {
+        conditions.push('m.warehouse_id = ?');
+        params.push(warehouse_id);
+      }
+
+      if (date_from) {
+        conditions.push('m.created_at >= ?');
+        params.push(db.formatDateTime(new Date(date_from)));
+      }
+
+      if (date_to) {
+        conditions.push('m.created_at <= ?');
+        params.push(db.formatDateTime(new Date(date_to)));
+      }
+
+      const whereClause = 'WHERE ' + conditions.join(' AND ');
+
+      const countResult = await db.get(
+        `SELECT COUNT(*) as total FROM inventory_movements m ${whereClause}`,
+        params
+      );
+      const total = countResult.total;
+
+      const movements = await db.all(`
+        SELECT
+          m.*,
+          u.name as actor_name,
+          u.email as actor_email
+        FROM inventory_movements m
+        LEFT JOIN users u ON m.actor_id = u.id
+        ${whereClause}
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT ? OFFSET ?
+      `, [...params, limit, offset]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_BY_PRODUCT', this.tableName, { productId, ...options }, duration);
+
+      logger.info('Inventory movements retrieved', {
+        productId,
+        count: movements.length,
+        total,
+        duration: `${duration}ms`
+      });
+
+      return {
+        movements: movements.map(movement => this.formatMovementResponse(movement)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      dbLogger.logError('SELECT_BY_PRODUCT', this.tableName, error, { productId, ...options });
+      throw error;
+    }
+  }
+
+  formatMovementResponse(movement) {
+    return {
+      id: movement.id,
+      productId: movement.product_id,
+      variantId: movement.variant_id,
+      warehouseId: movement.warehouse_id,
+      delta: movement.delta,
+      balanceAfter: movement.balance_after,
+      reason: movement.reason,
+      reference: movement.reference_type ? {
+        type: movement.reference_type,
+        id: movement.reference_id
+      } : null,
+      actor: movement.actor_id ? {
+        id: movement.actor_id,
+        name: movement.actor_name,
+        email: movement.actor_email
+      } : null,
+      note: movement.note,
+      createdAt: movement.created_at
+    };
+  }
+}
+
+module.exports = new InventoryModel();
@@ -1,30 +1,36 @@
 const db = require('../db');
 const { logger, dbLogger } = require('../utils/logger');
 const { businessValidators } = require('../utils/validation');
-const UserModel = require('./userModel');
-const ProductModel = require('./productModel');
+const { resources, parseSort, buildOrderBy, buildFilters } = require('../utils/queryBuilder');
+const { encodeCursor, decodeCursor, keysetCondition } = require('../utils/pagination');
+const ReservationModel = require('./reservationModel');
+const InventoryModel = require('./inventoryModel');
+const WarehouseModel = require('./warehouseModel');
+const PromotionModel = require('./promotionModel');
+const TaxRuleModel = require('./taxRuleModel');
 
 class OrderModel {
   constructor() {
     this.tableName = 'orders';
+    this.shippingFlatRate = parseFloat(process.env.SHIPPING_FLAT_RATE) || 0;
+    this.freeShippingThreshold = parseFloat(process.env.FREE_SHIPPING_THRESHOLD) || null;
   }
 
-  // Create a new order
-  async create(orderData) {
+  // Create a new order with one or more line items, discounted by any promotions that apply,
+  // then taxed and charged shipping for its destination region
+  async create(orderData, actorId = null) {
     const startTime = Date.now();
     
     try {
-      const { user_id, product_id, quantity, notes } = orderData;
+      const { user_id, notes, coupon_code } = orderData;
+      const shipping_region = orderData.shipping_region ? orderData.shipping_region.toUpperCase() : null;
       
       // Validate input
-      if (!user_id || !product_id || !quantity) {
-        throw new Error('User ID, Product ID, and quantity are required');
+      if (!user_id) {
+        throw new Error('User ID is required');
       }
 
-      const numericQuantity = parseInt(quantity);
-      if (isNaN(numericQuantity) || numericQuantity <= 0) {
-        throw new Error('Quantity must be a positive integer');
-      }
+      const items = this.normalizeItems(orderData);
 
       // Business validation
       const userExists = await businessValidators.userExists(user_id);
@@ -32,54 +38,118 @@ class OrderModel {
         throw new Error('User not found or inactive');
       }
 
-      const productAvailability = await businessValidators.productAvailable(product_id, numericQuantity);
-      if (!productAvailability.available) {
-        throw new Error(productAvailability.reason);
-      }
-
-      const product = productAvailability.product;
-      
-      // Start transaction
-      await db.beginTransaction();
-
-      try {
-        // Calculate prices
-        const unit_price = parseFloat(product.price);
-        const total_price = unit_price * numericQuantity;
-
-        // Create the order
-        const result = await db.run(
-          `INSERT INTO orders (user_id, product_id, quantity, unit_price, total_price, notes) 
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [user_id, product_id, numericQuantity, unit_price, total_price, notes || null]
-        );
-        
-        await db.commitTransaction();
+      // Snapshot the current unit price of every line; a variant's own price wins over the product's
+      const lines = [];
+      for (const item of items) {
+        const productAvailability = await businessValidators.productAvailable(item.product_id, item.quantity, item.variant_id);
+        if (!productAvailability.available) {
+          throw new Error(`${productAvailability.reason} (product ${item.product_id})`);
+        }
 
-        const duration = Date.now() - startTime;
-        dbLogger.logQuery('INSERT', this.tableName, {
-          user_id,
-          product_id,
-          quantity: numericQuantity,
+        const { product, variant } = productAvailability;
+        const unit_price = parseFloat(variant && variant.price !== null ? variant.price : product.price);
+        lines.push({
+          product_id: item.product_id,
+          variant_id: item.variant_id,
+          category_id: product.category_id,
+          quantity: item.quantity,
           unit_price,
-          total_price
-        }, duration);
-
-        logger.info('Order created successfully', {
-          orderId: result.id,
-          userId: user_id,
-          productId: product_id,
-          quantity: numericQuantity,
-          totalPrice: total_price,
-          duration: `${duration}ms`
+          line_total: this.roundCurrency(unit_price * item.quantity)
         });
+      }
 
-        return await this.findByIdWithDetails(result.id);
+      const subtotal = this.roundCurrency(lines.reduce((sum, line) => sum + line.line_total, 0));
+      
+      // An automatic promotion can run out while the order is being saved; the order is then
+      // priced again without it. Every retry leaves out one more promotion, so this ends.
+      const excludedPromotionIds = [];
+      let orderId = null;
+      let discount_total;
+      let tax_total;
+      let shipping_total;
+      let total_price;
+      
+      while (orderId === null) {
+        const discounts = await PromotionModel.calculateDiscounts(user_id, lines, coupon_code, excludedPromotionIds);
+        discount_total = this.roundCurrency(discounts.reduce((sum, discount) => sum + discount.amount, 0));
+        
+        // Every line keeps its part of the discounts; tax and sales reports are worked out from it
+        for (const line of lines) {
+          line.discount_amount = 0;
+        }
+        for (const discount of discounts) {
+          for (const share of discount.lines) {
+            share.line.discount_amount = this.roundCurrency(share.line.discount_amount + share.amount);
+          }
+        }
+        
+        tax_total = await TaxRuleModel.calculateTax(lines, shipping_region);
+        shipping_total = this.shippingFor(subtotal - discount_total);
+        total_price = this.roundCurrency(subtotal - discount_total + tax_total + shipping_total);
+        
+        try {
+          orderId = await db.transaction(async (tx) => {
+            // Create the order header
+            const result = await tx.run(
+              `INSERT INTO orders (user_id, subtotal, discount_total, tax_total, shipping_total, total_price, shipping_region, notes)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+              [user_id, subtotal, discount_total, tax_total, shipping_total, total_price, shipping_region, notes || null]
+            );
 
-      } catch (error) {
-        await db.rollbackTransaction();
-        throw error;
+            for (const line of lines) {
+              const itemResult = await tx.run(
+                `INSERT INTO order_items (order_id, product_id, variant_id, quantity, unit_price, line_total, discount_amount, tax_rate, tax_amount) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [result.id, line.product_id, line.variant_id, line.quantity, line.unit_price, line.line_total, line.discount_amount, line.tax_rate, line.tax_amount]
+              );
+              line.id = itemResult.id;
+            }
+            
+            // Hold the stock until the order is confirmed, cancelled or the hold expires
+            await ReservationModel.reserveForOrder(result.id, lines);
+            
+            await PromotionModel.redeem(result.id, user_id, discounts);
+            
+            await this.recordStatusChange(result.id, null, 'pending', notes, actorId);
+            
+            return result.id;
+          });
+        } catch (error) {
+          if (!(error instanceof PromotionModel.PromotionUnavailable)) {
+            throw error;
+          }
+          
+          logger.warn('Promotion ran out while placing order; pricing it again without it', {
+            userId: user_id,
+            promotionId: error.promotionId,
+            reason: error.message
+          });
+          excludedPromotionIds.push(error.promotionId);
+        }
       }
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('INSERT', this.tableName, {
+        user_id,
+        items: lines,
+        subtotal,
+        discount_total,
+        tax_total,
+        shipping_total,
+        total_price
+      }, duration);
+
+      logger.info('Order created successfully', {
+        orderId,
+        userId: user_id,
+        itemCount: lines.length,
+        discountTotal: discount_total,
+        taxTotal: tax_total,
+        totalPrice: total_price,
+        duration: `${duration}ms`
+      });
+
+      return await this.findByIdWithDetails(orderId);
       
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -95,6 +165,53 @@ class OrderModel {
     }
   }
 
+  // Turn either an items array or a single product_id/quantity pair into order lines
+  normalizeItems(orderData) {
+    const { items, product_id, quantity } = orderData;
+    const rawItems = Array.isArray(items) && items.length > 0 ?
+      items :
+      (product_id ? [{ product_id, quantity }] : []);
+
+    if (rawItems.length === 0) {
+      throw new Error('At least one order item is required');
+    }
+
+    // Merge repeated products (or variants) into a single line
+    const merged = new Map();
+    for (const item of rawItems) {
+      const productId = parseInt(item.product_id);
+      const variantId = item.variant_id ? parseInt(item.variant_id) : null;
+      const numericQuantity = parseInt(item.quantity);
+
+      if (isNaN(productId) || productId <= 0) {
+        throw new Error('Product ID is required for every order item');
+      }
+
+      if (isNaN(numericQuantity) || numericQuantity <= 0) {
+        throw new Error('Quantity must be a positive integer');
+      }
+
+      const key = `${productId}:${variantId || ''}`;
+      const line = merged.get(key) || { product_id: productId, variant_id: variantId, quantity: 0 };
+      line.quantity += numericQuantity;
+      merged.set(key, line);
+    }
+
+    return Array.from(merged.values());
+  }
+
+  // Flat-rate shipping, free once the discounted subtotal reaches FREE_SHIPPING_THRESHOLD
+  shippingFor(discountedSubtotal) {
+    if (this.freeShippingThreshold !== null && discountedSubtotal >= this.freeShippingThreshold) {
+      return 0;
+    }
+    return this.shippingFlatRate;
+  }
+
+  roundCurrency(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
   // Find order by ID
   async findById(id) {
     const startTime = Date.now();
@@ -113,7 +230,8 @@ class OrderModel {
         return null;
       }
       
-      return this.formatOrderResponse(order);
+      const itemsByOrder = await this.findItemsForOrders([order.id]);
+      return this.formatOrderResponse(order, itemsByOrder.get(order.id));
       
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -130,10 +248,12 @@ class OrderModel {
         SELECT 
           o.id,
           o.user_id,
-          o.product_id,
-          o.quantity,
-          o.unit_price,
+          o.subtotal,
+          o.discount_total,
+          o.tax_total,
+          o.shipping_total,
           o.total_price,
+          o.shipping_region,
           o.status,
           o.order_date,
           o.notes,
@@ -141,14 +261,9 @@ class OrderModel {
           o.updated_at,
           u.name as user_name,
           u.email as user_email,
-          u.phone as user_phone,
-          p.name as product_name,
-          p.description as product_description,
-          p.category as product_category,
-          p.sku as product_sku
+          u.phone as user_phone
         FROM orders o
         JOIN users u ON o.user_id = u.id
-        JOIN products p ON o.product_id = p.id
         WHERE o.id = ?
       `, [id]);
       
@@ -160,7 +275,9 @@ class OrderModel {
         return null;
       }
       
-      return this.formatOrderDetailsResponse(order);
+      const itemsByOrder = await this.findItemsForOrders([order.id], true);
+      const discountsByOrder = await this.findDiscountsForOrders([order.id]);
+      return this.formatOrderDetailsResponse(order, itemsByOrder.get(order.id), discountsByOrder.get(order.id));
       
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -169,6 +286,90 @@ class OrderModel {
     }
   }
 
+  // Load the line items of several orders in one query, grouped by order ID
+  async findItemsForOrders(orderIds, includeDetails = false) {
+    const startTime = Date.now();
+    const itemsByOrder = new Map(orderIds.map(orderId => [orderId, []]));
+    
+    if (orderIds.length === 0) {
+      return itemsByOrder;
+    }
+    
+    try {
+      const placeholders = orderIds.map(() => '?').join(', ');
+      const selectClause = includeDetails ? `
+        SELECT 
+          oi.*,
+          p.name as product_name,
+          p.description as product_description,
+          p.category as product_category,
+          p.sku as product_sku,
+          v.sku as variant_sku,
+          v.options as variant_options
+        FROM order_items oi
+        JOIN products p ON oi.product_id = p.id
+        LEFT JOIN product_variants v ON oi.variant_id = v.id` :
+        'SELECT oi.* FROM order_items oi';
+      
+      const items = await db.all(
+        `${selectClause} WHERE oi.order_id IN (${placeholders}) ORDER BY oi.order_id, oi.id`,
+        orderIds
+      );
+      
+      // Where each line's stock was held; a line split across warehouses has several
+      const allocations = await db.all(
+        `SELECT order_item_id, warehouse_id, SUM(quantity) as quantity
+         FROM stock_reservations
+         WHERE order_id IN (${placeholders})
+         GROUP BY order_item_id, warehouse_id
+         ORDER BY order_item_id, MIN(id)`,
+        orderIds
+      );
+      
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_ITEMS', 'order_items', { orderIds, includeDetails }, duration);
+      
+      const allocationsByItem = new Map();
+      allocations.forEach(allocation => {
+        allocationsByItem.set(allocation.order_item_id, [...(allocationsByItem.get(allocation.order_item_id) || []), allocation]);
+      });
+      
+      items.forEach(item => {
+        item.allocations = allocationsByItem.get(item.id) || [];
+        itemsByOrder.get(item.order_id).push(item);
+      });
+      return itemsByOrder;
+      
+    } catch (error) {
+      dbLogger.logError('SELECT_ITEMS', 'order_items', error, { orderIds });
+      throw error;
+    }
+  }
+
+  // Load the discounts given on several orders, grouped by order ID
+  async findDiscountsForOrders(orderIds) {
+    const discountsByOrder = new Map(orderIds.map(orderId => [orderId, []]));
+    
+    if (orderIds.length === 0) {
+      return discountsByOrder;
+    }
+    
+    try {
+      const placeholders = orderIds.map(() => '?').join(', ');
+      const discounts = await db.all(
+        `SELECT * FROM order_discounts WHERE order_id IN (${placeholders}) ORDER BY order_id, id`,
+        orderIds
+      );
+      
+      discounts.forEach(discount => discountsByOrder.get(discount.order_id).push(discount));
+      return discountsByOrder;
+      
+    } catch (error) {
+      dbLogger.logError('SELECT_DISCOUNTS', 'order_discounts', error, { orderIds });
+      throw error;
+    }
+  }
+
   // Get all orders
   async findAll(options = {}) {
     const startTime = Date.now();
@@ -177,37 +378,29 @@ class OrderModel {
       const {
         page = 1,
         limit = 10,
-        sort = 'created_at',
-        order = 'DESC',
-        status = null,
-        user_id = null,
+        sort = null,
+        order = null,
+        filters = {},
         product_id = null,
         date_from = null,
         date_to = null,
         min_amount = null,
         max_amount = null,
-        include_details = false
+        include_details = false,
+        cursor = null
       } = options;
       
+      // A cursor carries its own sort spec, so follow-up pages keep the original order
+      const keyset = cursor ? decodeCursor(cursor, resources.orders) : null;
+      const sortSpec = keyset ? keyset.sort : parseSort(resources.orders, sort, order);
       const offset = (page - 1) * limit;
       let whereClause = '';
-      const params = [];
       
       // Build WHERE clause
-      const conditions = [];
-      
-      if (status) {
-        conditions.push('o.status = ?');
-        params.push(status);
-      }
-      
-      if (user_id) {
-        conditions.push('o.user_id = ?');
-        params.push(user_id);
-      }
+      const { conditions, params } = buildFilters(resources.orders, filters);
       
       if (product_id) {
-        conditions.push('o.product_id = ?');
+        conditions.push('EXISTS (SELECT 1 FROM order_items oi WHERE oi.order_id = o.id AND oi.product_id = ?)');
         params.push(product_id);
       }
       
@@ -231,6 +424,12 @@ class OrderModel {
         params.push(max_amount);
       }
       
+      if (keyset) {
+        const after = keysetCondition(resources.orders, keyset);
+        conditions.push(after.condition);
+        params.push(...after.params);
+      }
+      
       if (conditions.length > 0) {
         whereClause = 'WHERE ' + conditions.join(' AND ');
       }
@@ -238,45 +437,55 @@ class OrderModel {
       // Build base query
       let baseQuery = include_details ? 
         `FROM orders o
-         JOIN users u ON o.user_id = u.id
-         JOIN products p ON o.product_id = p.id` :
+         JOIN users u ON o.user_id = u.id` :
         `FROM orders o`;
       
-      // Get total count for pagination
-      const countQuery = `SELECT COUNT(*) as total ${baseQuery} ${whereClause}`;
-      const countResult = await db.get(countQuery, params);
-      const total = countResult.total;
+      // Get total count for pagination; cursor pages skip it and fetch one extra row instead
+      let total = null;
+      if (!keyset) {
+        const countQuery = `SELECT COUNT(*) as total ${baseQuery} ${whereClause}`;
+        const countResult = await db.get(countQuery, params);
+        total = countResult.total;
+      }
       
       // Get orders with pagination
       let selectClause = include_details ? `
         SELECT 
           o.id,
           o.user_id,
-          o.product_id,
-          o.quantity,
-          o.unit_price,
+          o.subtotal,
+          o.discount_total,
+          o.tax_total,
+          o.shipping_total,
           o.total_price,
+          o.shipping_region,
           o.status,
           o.order_date,
           o.notes,
           o.created_at,
           o.updated_at,
           u.name as user_name,
-          u.email as user_email,
-          p.name as product_name,
-          p.category as product_category,
-          p.sku as product_sku
+          u.email as user_email
       ` : 'SELECT o.*';
       
       const query = `
         ${selectClause}
         ${baseQuery}
         ${whereClause}
-        ORDER BY o.${sort} ${order}
-        LIMIT ? OFFSET ?
+        ${buildOrderBy(resources.orders, sortSpec)}
+        ${keyset ? 'LIMIT ?' : 'LIMIT ? OFFSET ?'}
       `;
       
-      const orders = await db.all(query, [...params, limit, offset]);
+      const rows = await db.all(query, keyset ? [...params, limit + 1] : [...params, limit, offset]);
+      const hasNextPage = keyset ? rows.length > limit : page < Math.ceil(total / limit);
+      const orders = rows.slice(0, limit);
+      const nextCursor = hasNextPage && orders.length > 0 ?
+        encodeCursor(sortSpec, orders[orders.length - 1]) :
+        null;
+      const itemsByOrder = await this.findItemsForOrders(orders.map(o => o.id), include_details);
+      const discountsByOrder = include_details ?
+        await this.findDiscountsForOrders(orders.map(o => o.id)) :
+        null;
       
       const duration = Date.now() - startTime;
       dbLogger.logQuery('SELECT_ALL', this.tableName, options, duration);
@@ -286,21 +495,25 @@ class OrderModel {
         total,
         page,
         limit,
-        filters: { status, user_id, product_id, date_from, date_to, min_amount, max_amount },
+        filters: { ...filters, product_id, date_from, date_to, min_amount, max_amount },
         duration: `${duration}ms`
       });
       
       return {
-        orders: orders.map(order => 
-          include_details ? this.formatOrderDetailsResponse(order) : this.formatOrderResponse(order)
-        ),
-        pagination: {
+        orders: orders.map(order => {
+          const items = itemsByOrder.get(order.id);
+          return include_details ?
+            this.formatOrderDetailsResponse(order, items, discountsByOrder.get(order.id)) :
+            this.formatOrderResponse(order, items);
+        }),
+        pagination: keyset ? { limit, hasNextPage, nextCursor } : {
           page,
           limit,
           total,
           totalPages: Math.ceil(total / limit),
-          hasNextPage: page < Math.ceil(total / limit),
-          hasPrevPage: page > 1
+          hasNextPage,
+          hasPrevPage: page > 1,
+          nextCursor
         }
       };
       
@@ -311,8 +524,20 @@ class OrderModel {
     }
   }
 
+  // Walk every matching order in keyset-paginated batches, so exports never hold
+  // all orders in memory
+  async *findAllInBatches(options = {}, batchSize = 500) {
+    let cursor = null;
+    
+    do {
+      const result = await this.findAll({ ...options, page: 1, limit: batchSize, cursor });
+      yield result.orders;
+      cursor = result.pagination.nextCursor;
+    } while (cursor);
+  }
+
   // Update order status
-  async updateStatus(id, status, notes = null) {
+  async updateStatus(id, status, notes = null, actorId = null) {
     const startTime = Date.now();
     
     try {
@@ -336,23 +561,39 @@ class OrderModel {
         throw new Error(`Cannot change status from ${currentStatus} to ${status}`);
       }
       
-      const result = await db.run(
-        'UPDATE orders SET status = ?, notes = ? WHERE id = ?',
-        [status, notes, id]
-      );
-      
-      if (result.changes === 0) {
-        throw new Error(`Failed to update order status for ID ${id}`);
+      // Cancelling must also restore stock
+      if (status === 'cancelled') {
+        return await this.cancel(id, notes, actorId);
       }
       
+      await db.transaction(async (tx) => {
+        // Only move from the status that was validated, so concurrent transitions cannot both apply
+        const result = await tx.run(
+          'UPDATE orders SET status = ?, notes = ? WHERE id = ? AND status = ?',
+          [status, notes, id, currentStatus]
+        );
+        
+        if (result.changes === 0) {
+          throw new Error(`Cannot change status from ${currentStatus} to ${status}: order was modified concurrently`);
+        }
+        
+        // Confirmation turns the held stock into a real decrement
+        if (status === 'confirmed') {
+          await ReservationModel.commitForOrder(id, actorId);
+        }
+        
+        await this.recordStatusChange(id, currentStatus, status, notes, actorId);
+      });
+      
       const duration = Date.now() - startTime;
-      dbLogger.logQuery('UPDATE_STATUS', this.tableName, { id, status, notes }, duration);
+      dbLogger.logQuery('UPDATE_STATUS', this.tableName, { id, status, notes, actorId }, duration);
       
       logger.info('Order status updated', {
         orderId: id,
         oldStatus: currentStatus,
         newStatus: status,
         notes,
+        actorId,
         duration: `${duration}ms`
       });
       
@@ -366,7 +607,7 @@ class OrderModel {
   }
 
   // Cancel order
-  async cancel(id, reason = null) {
+  async cancel(id, reason = null, actorId = null) {
     const startTime = Date.now();
     
     try {
@@ -383,49 +624,175 @@ class OrderModel {
         throw new Error('Cannot cancel delivered order');
       }
       
-      await db.beginTransaction();
-      
-      try {
-        // Update order status
-        await db.run(
-          'UPDATE orders SET status = ?, notes = ? WHERE id = ?',
-          ['cancelled', reason, id]
+      await db.transaction(async (tx) => {
+        const result = await tx.run(
+          'UPDATE orders SET status = ?, notes = ? WHERE id = ? AND status = ?',
+          ['cancelled', reason, id, order.status]
         );
         
-        // Restore stock
-        await db.run(
-          `UPDATE products 
-           SET stockQuantity = stockQuantity + ?,
-               status = CASE 
-                 WHEN status = 'out_of_stock' AND stockQuantity + ? > 0 THEN 'available'
-                 ELSE status 
-               END
-           WHERE id = ?`,
-          [order.quantity, order.quantity, order.productId]
-        );
+        if (result.changes === 0) {
+          throw new Error('Cannot cancel order: it was modified concurrently');
+        }
         
-        await db.commitTransaction();
+        await this.releaseStock(order, 'released', actorId);
+        await PromotionModel.releaseForOrder(id);
         
-        const duration = Date.now() - startTime;
-        dbLogger.logQuery('CANCEL', this.tableName, { id, reason }, duration);
+        await this.recordStatusChange(id, order.status, 'cancelled', reason, actorId);
+      });
+      
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('CANCEL', this.tableName, { id, reason, actorId }, duration);
+      
+      logger.info('Order cancelled successfully', {
+        orderId: id,
+        reason,
+        actorId,
+        restoredQuantity: order.totalQuantity,
+        duration: `${duration}ms`
+      });
+      
+      return await this.findByIdWithDetails(id);
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      dbLogger.logError('CANCEL', this.tableName, error, { id, reason });
+      throw error;
+    }
+  }
+
+  // Give back the stock of a cancelled order (call inside the caller's transaction)
+  async releaseStock(order, reservationStatus, actorId = null) {
+    const reservations = await ReservationModel.findByOrder(order.id);
+    
+    // Orders placed before reservations existed had their stock decremented up front
+    const committedLines = reservations.length === 0 ?
+      order.items.map(item => ({
+        product_id: item.productId,
+        variant_id: item.variantId,
+        warehouse_id: item.warehouseId,
+        quantity: item.quantity
+      })) :
+      reservations.filter(reservation => reservation.status === 'committed');
+    
+    await ReservationModel.releaseForOrder(order.id, reservationStatus);
+    
+    for (const line of committedLines) {
+      if (line.variant_id) {
+        await db.run(
+          'UPDATE product_variants SET stock_quantity = stock_quantity + ? WHERE id = ?',
+          [line.quantity, line.variant_id]
+        );
+      }
+      await db.run(
+        'UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ?',
+        [line.quantity, line.product_id]
+      );
+      // Stock goes back to the warehouse it was shipped from
+      const warehouseId = line.warehouse_id || (await WarehouseModel.resolve()).id;
+      await WarehouseModel.adjustStock(warehouseId, line.product_id, line.variant_id, line.quantity);
+      await InventoryModel.recordMovement({
+        productId: line.product_id,
+        variantId: line.variant_id,
+        warehouseId,
+        delta: line.quantity,
+        reason: 'cancellation',
+        referenceType: 'order',
+        referenceId: order.id,
+        actorId
+      });
+      await ReservationModel.syncStockStatus(line.product_id, line.variant_id);
+    }
+  }
+
+  // Cancel pending orders whose stock reservation has run out
+  async expireReservations() {
+    const startTime = Date.now();
+    const expiredOrderIds = await ReservationModel.findExpiredOrderIds();
+    let expiredCount = 0;
+    
+    for (const orderId of expiredOrderIds) {
+      try {
+        const order = await this.findById(orderId);
+        if (!order || order.status !== 'pending') {
+          continue;
+        }
         
-        logger.info('Order cancelled successfully', {
-          orderId: id,
-          reason,
-          restoredQuantity: order.quantity,
-          duration: `${duration}ms`
+        const expired = await db.transaction(async (tx) => {
+          const result = await tx.run(
+            "UPDATE orders SET status = 'cancelled', notes = ? WHERE id = ? AND status = 'pending'",
+            ['Stock reservation expired', orderId]
+          );
+          
+          // Confirmed or cancelled by a request in the meantime
+          if (result.changes === 0) {
+            return false;
+          }
+          
+          await this.releaseStock(order, 'expired');
+          await PromotionModel.releaseForOrder(orderId);
+          await this.recordStatusChange(orderId, order.status, 'cancelled', 'Stock reservation expired');
+          
+          return true;
         });
         
-        return await this.findByIdWithDetails(id);
+        if (expired) {
+          expiredCount++;
+        }
         
       } catch (error) {
-        await db.rollbackTransaction();
-        throw error;
+        dbLogger.logError('EXPIRE_RESERVATIONS', this.tableName, error, { orderId });
+      }
+    }
+    
+    if (expiredCount > 0) {
+      const duration = Date.now() - startTime;
+      logger.info('Expired stock reservations released', {
+        orderIds: expiredOrderIds,
+        expiredCount,
+        duration: `${duration}ms`
+      });
+    }
+    
+    return expiredCount;
+  }
+
+  // Append a transition to the order's status history (call inside the caller's transaction)
+  async recordStatusChange(orderId, fromStatus, toStatus, note = null, actorId = null) {
+    return db.run(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, note, changed_by) 
+       VALUES (?, ?, ?, ?, ?)`,
+      [orderId, fromStatus, toStatus, note || null, actorId]
+    );
+  }
+
+  // Get the status timeline of an order, oldest first
+  async getStatusHistory(id) {
+    const startTime = Date.now();
+    
+    try {
+      const order = await db.get('SELECT id FROM orders WHERE id = ?', [id]);
+      if (!order) {
+        throw new Error(`Order with ID ${id} not found`);
       }
       
-    } catch (error) {
+      const history = await db.all(`
+        SELECT 
+          h.*,
+          u.name as actor_name,
+          u.email as actor_email
+        FROM order_status_history h
+        LEFT JOIN users u ON h.changed_by = u.id
+        WHERE h.order_id = ?
+        ORDER BY h.created_at ASC, h.id ASC
+      `, [id]);
+      
       const duration = Date.now() - startTime;
-      dbLogger.logError('CANCEL', this.tableName, error, { id, reason });
+      dbLogger.logQuery('SELECT_HISTORY', 'order_status_history', { id }, duration);
+      
+      return history.map(entry => this.formatStatusHistoryResponse(entry));
+      
+    } catch (error) {
+      dbLogger.logError('SELECT_HISTORY', 'order_status_history', error, { id });
       throw error;
     }
   }
@@ -447,17 +814,17 @@ class OrderModel {
       const conditions = [];
       
       if (date_from) {
-        conditions.push('order_date >= ?');
+        conditions.push('o.order_date >= ?');
         params.push(date_from);
       }
       
       if (date_to) {
-        conditions.push('order_date <= ?');
+        conditions.push('o.order_date <= ?');
         params.push(date_to);
       }
       
       if (user_id) {
-        conditions.push('user_id = ?');
+        conditions.push('o.user_id = ?');
         params.push(user_id);
       }
       
@@ -474,12 +841,26 @@ class OrderModel {
           COUNT(CASE WHEN status = 'delivered' THEN 1 END) as delivered_orders,
           COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_orders,
           COALESCE(SUM(total_price), 0) as total_revenue,
+          COALESCE(SUM(subtotal), 0) as subtotal,
+          COALESCE(SUM(discount_total), 0) as discount_total,
+          COALESCE(SUM(tax_total), 0) as tax_total,
+          COALESCE(SUM(shipping_total), 0) as shipping_total,
           COALESCE(AVG(total_price), 0) as avg_order_value,
           COALESCE(SUM(CASE WHEN status = 'delivered' THEN total_price ELSE 0 END), 0) as delivered_revenue
-        FROM orders
+        FROM orders o
         ${whereClause}
       `, params);
       
+      const itemAnalytics = await db.get(`
+        SELECT 
+          COUNT(oi.id) as total_lines,
+          COALESCE(SUM(oi.quantity), 0) as units_sold,
+          COUNT(DISTINCT oi.product_id) as distinct_products
+        FROM orders o
+        JOIN order_items oi ON oi.order_id = o.id
+        ${whereClause ? whereClause + ' AND' : 'WHERE'} o.status != 'cancelled'
+      `, params);
+      
       const duration = Date.now() - startTime;
       dbLogger.logQuery('SELECT_ANALYTICS', this.tableName, options, duration);
       
@@ -491,8 +872,18 @@ class OrderModel {
         deliveredOrders: analytics.delivered_orders,
         cancelledOrders: analytics.cancelled_orders,
         totalRevenue: parseFloat(analytics.total_revenue),
+        // totalRevenue is what customers paid; netRevenue leaves out the tax and shipping in it
+        subtotal: parseFloat(analytics.subtotal),
+        discountTotal: parseFloat(analytics.discount_total),
+        taxTotal: parseFloat(analytics.tax_total),
+        shippingTotal: parseFloat(analytics.shipping_total),
+        netRevenue: this.roundCurrency(parseFloat(analytics.subtotal) - parseFloat(analytics.discount_total)),
         averageOrderValue: parseFloat(analytics.avg_order_value),
         deliveredRevenue: parseFloat(analytics.delivered_revenue),
+        unitsSold: itemAnalytics.units_sold,
+        distinctProductsSold: itemAnalytics.distinct_products,
+        averageLinesPerOrder: analytics.total_orders > 0 ?
+          parseFloat((itemAnalytics.total_lines / analytics.total_orders).toFixed(2)) : 0,
         cancellationRate: analytics.total_orders > 0 ? 
           (analytics.cancelled_orders / analytics.total_orders * 100).toFixed(2) : 0
       };
@@ -505,48 +896,93 @@ class OrderModel {
   }
 
   // Format basic order response
-  formatOrderResponse(order) {
+  formatOrderResponse(order, items = []) {
     return {
       id: order.id,
       userId: order.user_id,
-      productId: order.product_id,
-      quantity: order.quantity,
-      unitPrice: parseFloat(order.unit_price),
+      itemCount: items.length,
+      totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: parseFloat(order.subtotal),
+      discountTotal: parseFloat(order.discount_total),
+      taxTotal: parseFloat(order.tax_total),
+      shippingTotal: parseFloat(order.shipping_total),
       totalPrice: parseFloat(order.total_price),
+      shippingRegion: order.shipping_region,
       status: order.status,
       orderDate: order.order_date,
       notes: order.notes,
+      items: items.map(item => this.formatOrderItemResponse(item)),
       createdAt: order.created_at,
       updatedAt: order.updated_at
     };
   }
 
-  formatOrderDetailsResponse(order) {
+  formatOrderDetailsResponse(order, items = [], discounts = []) {
     return {
-      id: order.id,
-      userId: order.user_id,
-      productId: order.product_id,
-      quantity: order.quantity,
-      unitPrice: parseFloat(order.unit_price),
-      totalPrice: parseFloat(order.total_price),
-      status: order.status,
-      orderDate: order.order_date,
-      notes: order.notes,
-      createdAt: order.created_at,
-      updatedAt: order.updated_at,
+      ...this.formatOrderResponse(order, items),
+      discounts: discounts.map(discount => this.formatOrderDiscountResponse(discount)),
       user: {
         name: order.user_name,
         email: order.user_email,
         phone: order.user_phone
-      },
-      product: {
-        name: order.product_name,
-        description: order.product_description,
-        category: order.product_category,
-        sku: order.product_sku
       }
     };
   }
+
+  formatOrderDiscountResponse(discount) {
+    return {
+      promotionId: discount.promotion_id,
+      code: discount.code,
+      name: discount.name,
+      amount: parseFloat(discount.amount)
+    };
+  }
+
+  formatStatusHistoryResponse(entry) {
+    return {
+      id: entry.id,
+      fromStatus: entry.from_status,
+      toStatus: entry.to_status,
+      note: entry.note,
+      changedBy: entry.changed_by ? {
+        id: entry.changed_by,
+        name: entry.actor_name,
+        email: entry.actor_email
+      } : null,
+      changedAt: entry.created_at
+    };
+  }
+
+  formatOrderItemResponse(item) {
+    return {
+      id: item.id,
+      productId: item.product_id,
+      variantId: item.variant_id,
+      warehouseId: item.warehouse_id,
+      // Orders placed before reservations existed shipped each line from one warehouse
+      allocations: item.allocations.length > 0 ?
+        item.allocations.map(allocation => ({ warehouseId: allocation.warehouse_id, quantity: parseInt(allocation.quantity) })) :
+        [{ warehouseId: item.warehouse_id, quantity: item.quantity }],
+      quantity: item.quantity,
+      unitPrice: parseFloat(item.unit_price),
+      lineTotal: parseFloat(item.line_total),
+      discountAmount: parseFloat(item.discount_amount),
+      taxRate: parseFloat(item.tax_rate),
+      taxAmount: parseFloat(item.tax_amount),
+      ...(item.product_name !== undefined && {
+        product: {
+          name: item.product_name,
+          description: item.product_description,
+          category: item.product_category,
+          sku: item.product_sku
+        },
+        variant: item.variant_id ? {
+          sku: item.variant_sku,
+          options: JSON.parse(item.variant_options)
+        } : null
+      })
+    };
+  }
 }
 
 module.exports = new OrderModel();
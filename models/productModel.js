@@ -1,26 +1,51 @@
 const db = require('../db');
 const { logger, dbLogger } = require('../utils/logger');
-const { businessValidators, sanitize } = require('../utils/validation');
+const { schemas, businessValidators, sanitize } = require('../utils/validation');
+const { resources, parseSort, buildOrderBy, buildFilters } = require('../utils/queryBuilder');
+const { encodeCursor, decodeCursor, keysetCondition } = require('../utils/pagination');
+const InventoryModel = require('./inventoryModel');
+const CategoryModel = require('./categoryModel');
+const VariantModel = require('./variantModel');
+const WarehouseModel = require('./warehouseModel');
+
+// Split a search box value into plain words; punctuation never reaches the query syntax
+const searchTerms = (q) => {
+  return (String(q).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, 10);
+};
+
+// The status a product gets once its on-hand stock is `quantity` (an SQL expression over the
+// stored row). Stock changes never bring a discontinued product back.
+const stockStatus = (quantity) => `CASE
+  WHEN status = 'discontinued' THEN status
+  WHEN ${quantity} - reserved_quantity <= 0 THEN 'out_of_stock'
+  ELSE 'available'
+END`;
+
+// Thrown at the end of a dry-run import so its transaction rolls back
+class DryRunRollback extends Error {}
 
 class ProductModel {
   constructor() {
     this.tableName = 'products';
   }
 
-  // Create a new product
-  async create(productData) {
+  // Create a new product, optionally with its variants; a product with variants holds
+  // no stock of its own, only the sum of theirs
+  async create(productData, actorId = null) {
     const startTime = Date.now();
 
     try {
-      const { name, description, price, category, stockQuantity, sku } = productData;
+      const { name, description, price, category, categoryId, stockQuantity, sku, variants = [] } = productData;
+      const productCategory = await CategoryModel.resolve(categoryId || category || 'general');
 
       // Sanitize input data
       const sanitizedData = {
         name: sanitize.cleanString(name),
         description: sanitize.cleanString(description),
         price: parseFloat(price),
-        category: sanitize.cleanString(category || 'general'),
-        stockQuantity: parseInt(stockQuantity || 0),
+        category: productCategory.name,
+        categoryId: productCategory.id,
+        stockQuantity: variants.length > 0 ? 0 : parseInt(stockQuantity || 0),
         sku: sku ? sku.toUpperCase().trim() : null
       };
 
@@ -32,18 +57,43 @@ class ProductModel {
         }
       }
 
-      const result = await db.run(
-        `INSERT INTO products (name, description, price, category, stockQuantity, sku) 
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [
-          sanitizedData.name,
-          sanitizedData.description,
-          sanitizedData.price,
-          sanitizedData.category,
-          sanitizedData.stockQuantity,
-          sanitizedData.sku
-        ]
-      );
+      const result = await db.transaction(async (tx) => {
+        const inserted = await tx.run(
+          `INSERT INTO products (name, description, price, category, category_id, stock_quantity, sku) 
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            sanitizedData.name,
+            sanitizedData.description,
+            sanitizedData.price,
+            sanitizedData.category,
+            sanitizedData.categoryId,
+            sanitizedData.stockQuantity,
+            sanitizedData.sku
+          ]
+        );
+
+        // Initial stock goes to the first warehouse in allocation order
+        let warehouseId = null;
+        if (sanitizedData.stockQuantity > 0) {
+          warehouseId = (await WarehouseModel.resolve()).id;
+          await WarehouseModel.adjustStock(warehouseId, inserted.id, null, sanitizedData.stockQuantity);
+        }
+
+        await InventoryModel.recordMovement({
+          productId: inserted.id,
+          warehouseId,
+          delta: sanitizedData.stockQuantity,
+          reason: 'restock',
+          actorId,
+          note: 'Initial stock'
+        });
+
+        for (const variant of variants) {
+          await VariantModel.create(inserted.id, variant, actorId);
+        }
+
+        return inserted;
+      });
 
       const duration = Date.now() - startTime;
       dbLogger.logQuery('INSERT', this.tableName, sanitizedData, duration);
@@ -104,6 +154,24 @@ class ProductModel {
     }
   }
 
+  // Find product by ID along with its variants, the options they are offered in and
+  // where its stock is held
+  async findByIdWithVariants(id) {
+    const product = await this.findById(id);
+    if (!product) {
+      return null;
+    }
+
+    const variants = await VariantModel.findByProduct(id);
+
+    return {
+      ...product,
+      variantOptions: VariantModel.buildOptionMatrix(variants),
+      variants,
+      stockByWarehouse: await WarehouseModel.findStockByProduct(id)
+    };
+  }
+
   // Find product by SKU
   async findBySku(sku) {
     const startTime = Date.now();
@@ -135,32 +203,24 @@ class ProductModel {
       const {
         page = 1,
         limit = 10,
-        sort = 'id',
-        order = 'ASC',
-        category = null,
-        status = null,
+        sort = null,
+        order = null,
+        filters = {},
         min_price = null,
         max_price = null,
         search = null,
-        in_stock_only = false
+        in_stock_only = false,
+        cursor = null
       } = options;
 
+      // A cursor carries its own sort spec, so follow-up pages keep the original order
+      const keyset = cursor ? decodeCursor(cursor, resources.products) : null;
+      const sortSpec = keyset ? keyset.sort : parseSort(resources.products, sort, order);
       const offset = (page - 1) * limit;
       let whereClause = '';
-      const params = [];
 
       // Build WHERE clause
-      const conditions = [];
-
-      if (category) {
-        conditions.push('category = ?');
-        params.push(category);
-      }
-
-      if (status) {
-        conditions.push('status = ?');
-        params.push(status);
-      }
+      const { conditions, params } = buildFilters(resources.products, filters);
 
       if (min_price !== null) {
         conditions.push('price >= ?');
@@ -179,24 +239,40 @@ class ProductModel {
       }
 
       if (in_stock_only) {
-        conditions.push('stockQuantity > 0');
+        conditions.push('stock_quantity - reserved_quantity > 0');
+      }
+
+      if (keyset) {
+        const after = keysetCondition(resources.products, keyset);
+        conditions.push(after.condition);
+        params.push(...after.params);
       }
 
       if (conditions.length > 0) {
         whereClause = 'WHERE ' + conditions.join(' AND ');
       }
-      const countQuery = `SELECT COUNT(*) as total FROM products ${whereClause}`;
-      const countResult = await db.get(countQuery, params);
-      const total = countResult.total;
+
+      // Cursor pages skip the COUNT(*) and fetch one extra row to know whether more follow
+      let total = null;
+      if (!keyset) {
+        const countQuery = `SELECT COUNT(*) as total FROM products ${whereClause}`;
+        const countResult = await db.get(countQuery, params);
+        total = countResult.total;
+      }
 
       const query = `
         SELECT * FROM products 
         ${whereClause}
-        ORDER BY ${sort} ${order}
-        LIMIT ? OFFSET ?
+        ${buildOrderBy(resources.products, sortSpec)}
+        ${keyset ? 'LIMIT ?' : 'LIMIT ? OFFSET ?'}
       `;
 
-      const products = await db.all(query, [...params, limit, offset]);
+      const rows = await db.all(query, keyset ? [...params, limit + 1] : [...params, limit, offset]);
+      const hasNextPage = keyset ? rows.length > limit : page < Math.ceil(total / limit);
+      const products = rows.slice(0, limit);
+      const nextCursor = hasNextPage && products.length > 0 ?
+        encodeCursor(sortSpec, products[products.length - 1]) :
+        null;
 
       const duration = Date.now() - startTime;
       dbLogger.logQuery('SELECT_ALL', this.tableName, options, duration);
@@ -206,12 +282,213 @@ class ProductModel {
         total,
         page,
         limit,
-        filters: { category, status, min_price, max_price, search, in_stock_only },
+        filters: { ...filters, min_price, max_price, search, in_stock_only },
         duration: `${duration}ms`
       });
 
       return {
         products: products.map(product => this.formatProductResponse(product)),
+        pagination: keyset ? { limit, hasNextPage, nextCursor } : {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage,
+          hasPrevPage: page > 1,
+          nextCursor
+        }
+      };
+
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      dbLogger.logError('SELECT_ALL', this.tableName, error, options);
+      throw error;
+    }
+  }
+
+  // Walk every matching product in keyset-paginated batches, so exports never hold
+  // the whole catalogue in memory
+  async *findAllInBatches(options = {}, batchSize = 500) {
+    let cursor = null;
+
+    do {
+      const result = await this.findAll({ ...options, page: 1, limit: batchSize, cursor });
+      yield result.products;
+      cursor = result.pagination.nextCursor;
+    } while (cursor);
+  }
+
+  // Create or update products from import rows ({ line, data } or { line, error }).
+  // Rows with a known SKU update that product, others create one. Each row succeeds or
+  // fails on its own; a dry run validates and applies everything, then rolls it all back.
+  async importRows(rows, options = {}) {
+    const startTime = Date.now();
+    const { dryRun = false, actorId = null } = options;
+    const report = { dryRun, totalRows: rows.length, created: 0, updated: 0, failed: 0, errors: [] };
+
+    try {
+      await db.transaction(async () => {
+        const skuLines = new Map();
+
+        for (const row of rows) {
+          const outcome = await this.importRow(row, skuLines, actorId);
+
+          if (outcome.errors) {
+            report.failed++;
+            report.errors.push({ line: row.line, sku: outcome.sku || null, errors: outcome.errors });
+          } else {
+            report[outcome.action]++;
+          }
+        }
+
+        if (dryRun) {
+          throw new DryRunRollback();
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof DryRunRollback)) {
+        dbLogger.logError('IMPORT', this.tableName, error, { rows: rows.length, dryRun });
+        throw error;
+      }
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info('Products imported', {
+      dryRun,
+      totalRows: report.totalRows,
+      created: report.created,
+      updated: report.updated,
+      failed: report.failed,
+      duration: `${duration}ms`
+    });
+
+    return report;
+  }
+
+  async importRow(row, skuLines, actorId) {
+    if (row.error) {
+      return { errors: [{ field: null, message: row.error }] };
+    }
+
+    const { error, value } = schemas.createProduct.validate(row.data, {
+      abortEarly: false,
+      stripUnknown: true,
+      convert: true
+    });
+
+    const sku = value && value.sku ? value.sku : null;
+
+    if (error) {
+      return {
+        sku,
+        errors: error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+      };
+    }
+
+    if (sku && skuLines.has(sku)) {
+      return { sku, errors: [{ field: 'sku', message: `SKU ${sku} already appears on line ${skuLines.get(sku)}` }] };
+    }
+    if (sku) {
+      skuLines.set(sku, row.line);
+    }
+
+    try {
+      const existing = sku ? await this.findBySku(sku) : null;
+
+      if (existing) {
+        // Only overwrite the columns the row actually has; schema defaults would
+        // otherwise reset the stock of existing products
+        const changes = {};
+        Object.keys(value)
+          .filter(field => row.data[field] !== undefined)
+          .forEach(field => { changes[field] = value[field]; });
+
+        await this.update(existing.id, changes, actorId);
+        return { action: 'updated' };
+      }
+
+      await this.create(value, actorId);
+      return { action: 'created' };
+
+    } catch (importError) {
+      return { sku, errors: [{ field: null, message: importError.message }] };
+    }
+  }
+
+  // Full-text search ranked by relevance, with matches wrapped in <mark> tags.
+  // Every word must match the start of a word, so partial input works for typeahead.
+  async search(q, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const { page = 1, limit = 10 } = options;
+      const offset = (page - 1) * limit;
+      const terms = searchTerms(q);
+
+      if (terms.length === 0) {
+        return {
+          products: [],
+          pagination: { page, limit, total: 0, totalPages: 0, hasNextPage: false, hasPrevPage: page > 1 }
+        };
+      }
+
+      let countQuery;
+      let query;
+      let match;
+
+      if (db.dialect === 'postgres') {
+        match = terms.map(term => `${term}:*`).join(' & ');
+        countQuery = "SELECT COUNT(*) as total FROM products WHERE search_vector @@ to_tsquery('simple', ?)";
+        query = `
+          SELECT p.*,
+            ts_rank(p.search_vector, tsq) as relevance,
+            ts_headline('simple', p.name, tsq, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') as name_highlight,
+            ts_headline('simple', coalesce(p.description, ''), tsq, 'StartSel=<mark>, StopSel=</mark>, MinWords=5, MaxWords=20') as description_snippet
+          FROM products p, to_tsquery('simple', ?) tsq
+          WHERE p.search_vector @@ tsq
+          ORDER BY relevance DESC, p.id ASC
+          LIMIT ? OFFSET ?
+        `;
+      } else {
+        // Quoting each term keeps words like AND, OR and NEAR from being read as operators
+        match = terms.map(term => `"${term}"*`).join(' ');
+        countQuery = 'SELECT COUNT(*) as total FROM products_fts WHERE products_fts MATCH ?';
+        query = `
+          SELECT p.*,
+            -bm25(products_fts, 10.0, 1.0, 10.0, 5.0) as relevance,
+            highlight(products_fts, 0, '<mark>', '</mark>') as name_highlight,
+            snippet(products_fts, 1, '<mark>', '</mark>', '…', 20) as description_snippet
+          FROM products_fts
+          JOIN products p ON p.id = products_fts.rowid
+          WHERE products_fts MATCH ?
+          ORDER BY relevance DESC, p.id ASC
+          LIMIT ? OFFSET ?
+        `;
+      }
+
+      const countResult = await db.get(countQuery, [match]);
+      const total = countResult.total;
+      const products = await db.all(query, [match, limit, offset]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SEARCH', this.tableName, { q, page, limit }, duration);
+
+      logger.info('Products searched', {
+        q,
+        count: products.length,
+        total,
+        duration: `${duration}ms`
+      });
+
+      return {
+        products: products.map(product => ({
+          ...this.formatProductResponse(product),
+          relevance: product.relevance,
+          highlights: {
+            name: product.name_highlight,
+            description: product.description_snippet || null
+          }
+        })),
         pagination: {
           page,
           limit,
@@ -224,12 +501,12 @@ class ProductModel {
 
     } catch (error) {
       const duration = Date.now() - startTime;
-      dbLogger.logError('SELECT_ALL', this.tableName, error, options);
+      dbLogger.logError('SEARCH', this.tableName, error, { q });
       throw error;
     }
   }
 
-  async update(id, updateData) {
+  async update(id, updateData, actorId = null) {
     const startTime = Date.now();
 
     try {
@@ -237,13 +514,31 @@ class ProductModel {
       if (!existingProduct) {
         throw new Error(`Product with ID ${id} not found`);
       }
+      
+      // Discontinuing is final here, like in updateStock: only DELETE /products/:id sets it
+      if (updateData.status && existingProduct.status === 'discontinued') {
+        throw new Error('Cannot change the status of a discontinued product');
+      }
+
+      if (updateData.stockQuantity !== undefined) {
+        await this.assertHasNoVariants(id);
+      }
+
+      if (updateData.stockQuantity !== undefined && parseInt(updateData.stockQuantity) < existingProduct.stock.reserved) {
+        throw new Error(`Stock quantity cannot be lower than the reserved quantity (${existingProduct.stock.reserved})`);
+      }
 
       const sanitizedData = {};
       if (updateData.name) sanitizedData.name = sanitize.cleanString(updateData.name);
       if (updateData.description !== undefined) sanitizedData.description = sanitize.cleanString(updateData.description);
       if (updateData.price !== undefined) sanitizedData.price = parseFloat(updateData.price);
-      if (updateData.category) sanitizedData.category = sanitize.cleanString(updateData.category);
-      if (updateData.stockQuantity !== undefined) sanitizedData.stockQuantity = parseInt(updateData.stockQuantity);
+      if (updateData.categoryId || updateData.category) {
+        // The name is copied onto the product for the search index
+        const productCategory = await CategoryModel.resolve(updateData.categoryId || updateData.category);
+        sanitizedData.category = productCategory.name;
+        sanitizedData.category_id = productCategory.id;
+      }
+      if (updateData.stockQuantity !== undefined) sanitizedData.stock_quantity = parseInt(updateData.stockQuantity);
       if (updateData.status) sanitizedData.status = updateData.status;
       if (updateData.sku !== undefined) {
         sanitizedData.sku = updateData.sku ? updateData.sku.toUpperCase().trim() : null;
@@ -261,18 +556,50 @@ class ProductModel {
         throw new Error('No valid fields to update');
       }
 
-      const setClause = updateFields.map(field => `${field} = ?`).join(', ');
+      const assignments = updateFields.map(field => `${field} = ?`);
       const values = updateFields.map(field => sanitizedData[field]);
+
+      // A new quantity moves the status along, as in updateStock, unless one was sent
+      if (sanitizedData.stock_quantity !== undefined && !sanitizedData.status) {
+        assignments.push(`status = ${stockStatus('CAST(? AS INTEGER)')}`);
+        values.push(sanitizedData.stock_quantity);
+      }
+
+      const setClause = assignments.join(', ');
       values.push(id);
 
-      const result = await db.run(
-        `UPDATE products SET ${setClause} WHERE id = ?`,
-        values
-      );
+      await db.transaction(async (tx) => {
+        const current = await tx.get('SELECT stock_quantity FROM products WHERE id = ?', [id]);
 
-      if (result.changes === 0) {
-        throw new Error(`Failed to update product with ID ${id}`);
-      }
+        const result = await tx.run(
+          `UPDATE products SET ${setClause} WHERE id = ?`,
+          values
+        );
+
+        if (result.changes === 0) {
+          throw new Error(`Failed to update product with ID ${id}`);
+        }
+
+        // Setting the quantity directly is recorded as the difference it makes, and that
+        // difference is applied at the first warehouse in allocation order
+        if (sanitizedData.stock_quantity !== undefined) {
+          const delta = sanitizedData.stock_quantity - current.stock_quantity;
+          const warehouse = await WarehouseModel.resolve();
+
+          if (delta !== 0 && !(await WarehouseModel.adjustStock(warehouse.id, id, null, delta))) {
+            const available = await WarehouseModel.availableAt(warehouse.id, id, null);
+            throw new Error(`Insufficient stock in warehouse ${warehouse.code}. Available: ${available}, Requested: ${-delta}`);
+          }
+
+          await InventoryModel.recordMovement({
+            productId: id,
+            warehouseId: warehouse.id,
+            delta,
+            reason: 'manual_adjustment',
+            actorId
+          });
+        }
+      });
 
       const duration = Date.now() - startTime;
       dbLogger.logQuery('UPDATE', this.tableName, { id, ...sanitizedData }, duration);
@@ -293,42 +620,60 @@ class ProductModel {
     }
   }
 
-  // Update stock quantity
-  async updateStock(id, quantityChange, operation = 'subtract') {
+  // Update stock quantity; options.reason defaults to 'restock' for additions and 'manual_adjustment' otherwise.
+  // The change applies to options.warehouseId, or to the first warehouse in allocation order.
+  async updateStock(id, quantityChange, operation = 'subtract', options = {}) {
+    const { actorId = null, note = null } = options;
+    const reason = options.reason || (operation === 'add' ? 'restock' : 'manual_adjustment');
     const startTime = Date.now();
 
     try {
-      await db.beginTransaction();
+      const { product, newQuantity, newStatus } = await db.transaction(async (tx) => {
+        const product = await this.findById(id);
+        if (!product) {
+          throw new Error(`Product with ID ${id} not found`);
+        }
 
-      const product = await this.findById(id);
-      if (!product) {
-        throw new Error(`Product with ID ${id} not found`);
-      }
+        if (!['add', 'subtract'].includes(operation)) {
+          throw new Error('Invalid operation. Use "add" or "subtract"');
+        }
+
+        await this.assertHasNoVariants(id);
 
-      let newQuantity;
-      if (operation === 'add') {
-        newQuantity = product.stockQuantity + quantityChange;
-      } else if (operation === 'subtract') {
-        newQuantity = product.stockQuantity - quantityChange;
-        if (newQuantity < 0) {
-          throw new Error(`Insufficient stock. Available: ${product.stockQuantity}, Requested: ${quantityChange}`);
+        const delta = operation === 'add' ? quantityChange : -quantityChange;
+        const warehouse = await WarehouseModel.resolve(options.warehouseId, delta > 0);
+
+        // Applied relative to the stored quantity so concurrent adjustments cannot overwrite
+        // each other. Reserved units belong to pending orders and cannot be removed.
+        const result = await tx.run(
+          `UPDATE products
+           SET stock_quantity = stock_quantity + ?, status = ${stockStatus('(stock_quantity + ?)')}
+           WHERE id = ? AND stock_quantity + ? >= reserved_quantity`,
+          [delta, delta, id, delta]
+        );
+
+        if (result.changes === 0) {
+          throw new Error(`Insufficient stock. Available: ${product.stock.available}, Requested: ${quantityChange}`);
         }
-      } else {
-        throw new Error('Invalid operation. Use "add" or "subtract"');
-      }
 
-      const newStatus = newQuantity === 0 ? 'out_of_stock' : 'available';
+        if (!(await WarehouseModel.adjustStock(warehouse.id, id, null, delta))) {
+          const available = await WarehouseModel.availableAt(warehouse.id, id, null);
+          throw new Error(`Insufficient stock in warehouse ${warehouse.code}. Available: ${available}, Requested: ${quantityChange}`);
+        }
 
-      const result = await db.run(
-        'UPDATE products SET stockQuantity = ?, status = ? WHERE id = ?',
-        [newQuantity, newStatus, id]
-      );
+        const updated = await tx.get('SELECT stock_quantity, status FROM products WHERE id = ?', [id]);
 
-      if (result.changes === 0) {
-        throw new Error(`Failed to update stock for product ID ${id}`);
-      }
+        await InventoryModel.recordMovement({
+          productId: id,
+          warehouseId: warehouse.id,
+          delta,
+          reason,
+          actorId,
+          note
+        });
 
-      await db.commitTransaction();
+        return { product, newQuantity: updated.stock_quantity, newStatus: updated.status };
+      });
 
       const duration = Date.now() - startTime;
       dbLogger.logQuery('UPDATE_STOCK', this.tableName, {
@@ -346,13 +691,13 @@ class ProductModel {
         oldQuantity: product.stockQuantity,
         newQuantity,
         newStatus,
+        reason,
         duration: `${duration}ms`
       });
 
       return await this.findById(id);
 
     } catch (error) {
-      await db.rollbackTransaction();
       const duration = Date.now() - startTime;
       dbLogger.logError('UPDATE_STOCK', this.tableName, error, { id, quantityChange, operation });
       throw error;
@@ -364,22 +709,30 @@ class ProductModel {
     const startTime = Date.now();
 
     try {
+      // Counts cover the products assigned directly to each category, not its subcategories
       const categories = await db.all(`
         SELECT 
-          category,
-          COUNT(*) as product_count,
-          SUM(CASE WHEN status = 'available' THEN 1 ELSE 0 END) as available_count,
-          AVG(price) as avg_price
-        FROM products 
-        GROUP BY category 
-        ORDER BY category
+          c.id,
+          c.name,
+          c.slug,
+          c.parent_id,
+          COUNT(p.id) as product_count,
+          COALESCE(SUM(CASE WHEN p.status = 'available' THEN 1 ELSE 0 END), 0) as available_count,
+          AVG(p.price) as avg_price
+        FROM categories c
+        LEFT JOIN products p ON p.category_id = c.id
+        GROUP BY c.id, c.name, c.slug, c.parent_id
+        ORDER BY c.name, c.id
       `);
 
       const duration = Date.now() - startTime;
       dbLogger.logQuery('SELECT_CATEGORIES', this.tableName, {}, duration);
 
       return categories.map(cat => ({
-        category: cat.category,
+        id: cat.id,
+        category: cat.name,
+        slug: cat.slug,
+        parentId: cat.parent_id,
         productCount: cat.product_count,
         availableCount: cat.available_count,
         averagePrice: parseFloat(cat.avg_price || 0)
@@ -392,13 +745,26 @@ class ProductModel {
     }
   }
 
-  // Get low stock products
-  async getLowStockProducts(threshold = 10) {
+  // Get low stock products. With options.warehouseId or options.byWarehouse the report lists
+  // stock lines per warehouse (and per variant) instead of product totals.
+  async getLowStockProducts(threshold = 10, options = {}) {
+    const { warehouseId = null, byWarehouse = false } = options;
     const startTime = Date.now();
 
     try {
+      if (warehouseId || byWarehouse) {
+        const lines = await WarehouseModel.findLowStock(threshold, warehouseId);
+
+        const duration = Date.now() - startTime;
+        dbLogger.logQuery('SELECT_LOW_STOCK', 'warehouse_stock', { threshold, warehouseId }, duration);
+
+        return lines;
+      }
+
       const products = await db.all(
-        'SELECT * FROM products WHERE stockQuantity <= ? AND status != ? ORDER BY stockQuantity ASC',
+        `SELECT * FROM products 
+         WHERE stock_quantity - reserved_quantity <= ? AND status != ? 
+         ORDER BY stock_quantity - reserved_quantity ASC`,
         [threshold, 'discontinued']
       );
 
@@ -409,7 +775,7 @@ class ProductModel {
 
     } catch (error) {
       const duration = Date.now() - startTime;
-      dbLogger.logError('SELECT_LOW_STOCK', this.tableName, error, { threshold });
+      dbLogger.logError('SELECT_LOW_STOCK', this.tableName, error, { threshold, ...options });
       throw error;
     }
   }
@@ -450,7 +816,13 @@ class ProductModel {
       description: product.description,
       price: parseFloat(product.price),
       category: product.category,
-      stockQuantity: product.stockQuantity,
+      categoryId: product.category_id,
+      stockQuantity: product.stock_quantity,
+      stock: {
+        onHand: product.stock_quantity,
+        reserved: product.reserved_quantity || 0,
+        available: product.stock_quantity - (product.reserved_quantity || 0)
+      },
       sku: product.sku,
       status: product.status,
       createdAt: product.created_at,
@@ -458,11 +830,20 @@ class ProductModel {
     };
   }
 
+  // The stock of a product with variants is the sum of theirs and only changes through them
+  async assertHasNoVariants(id) {
+    const variants = await db.get('SELECT COUNT(*) as count FROM product_variants WHERE product_id = ?', [id]);
+    if (variants.count > 0) {
+      throw new Error(`Product ${id} has variants; adjust the stock of each variant instead`);
+    }
+  }
+
   async hasPendingOrders(id) {
     try {
       const result = await db.get(
-        `SELECT COUNT(*) as count FROM orders 
-         WHERE product_id = ? AND status IN ('pending', 'confirmed')`,
+        `SELECT COUNT(*) as count FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         WHERE oi.product_id = ? AND o.status IN ('pending', 'confirmed')`,
         [id]
       );
 
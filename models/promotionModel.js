@@ -0,0 +1,458 @@
+const db = require('../db');
+const { logger, dbLogger } = require('../utils/logger');
+const { sanitize } = require('../utils/validation');
+const CategoryModel = require('./categoryModel');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Share a rounded total between lines in proportion to their unrounded amounts; the last
+// line takes whatever rounding left over, so the shares add up exactly
+const shareByLine = (total, lineAmounts) => {
+  const parts = lineAmounts.filter(({ amount }) => amount > 0);
+  const sum = parts.reduce((acc, { amount }) => acc + amount, 0);
+  let left = total;
+
+  return parts.map(({ line, amount }, index) => {
+    const share = index === parts.length - 1 ? left : roundCurrency(total * amount / sum);
+    left = roundCurrency(left - share);
+    return { line, amount: share };
+  });
+};
+
+// Columns that can be changed after a promotion is created, by request field
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  description: 'description',
+  value: 'value',
+  minSubtotal: 'min_subtotal',
+  usageLimit: 'usage_limit',
+  perUserLimit: 'per_user_limit',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  status: 'status'
+};
+
+// Thrown by redeem() when an automatic promotion ran out between pricing an order and saving
+// it, so the order can be priced again without it
+class PromotionUnavailable extends Error {
+  constructor(promotion, reason) {
+    super(`Promotion ${promotion.name} ${reason}`);
+    this.promotionId = promotion.id;
+  }
+}
+
+// Coupons (promotions with a code) and automatic promotions (without one). A promotion is used
+// once per order it discounts; times_used counts the orders that are not cancelled.
+class PromotionModel {
+  constructor() {
+    this.tableName = 'promotions';
+  }
+
+  async create(promotionData) {
+    const startTime = Date.now();
+
+    try {
+      const {
+        code, name, description, type, value = null, buyQuantity = null, getQuantity = null,
+        productId = null, categoryId = null, minSubtotal = null, usageLimit = null,
+        perUserLimit = null, startsAt = null, endsAt = null
+      } = promotionData;
+
+      const sanitizedData = {
+        code: code ? code.toUpperCase().trim() : null,
+        name: sanitize.cleanString(name),
+        description: sanitize.cleanString(description) || null,
+        type,
+        value,
+        buy_quantity: buyQuantity,
+        get_quantity: getQuantity,
+        product_id: productId,
+        category_id: categoryId,
+        min_subtotal: minSubtotal,
+        usage_limit: usageLimit,
+        per_user_limit: perUserLimit,
+        starts_at: startsAt ? db.formatDateTime(new Date(startsAt)) : null,
+        ends_at: endsAt ? db.formatDateTime(new Date(endsAt)) : null
+      };
+
+      if (sanitizedData.code) {
+        const existing = await db.get('SELECT id FROM promotions WHERE code = ?', [sanitizedData.code]);
+        if (existing) {
+          throw new Error(`Promotion code ${sanitizedData.code} is already in use`);
+        }
+      }
+
+      if (productId && !(await db.get('SELECT id FROM products WHERE id = ?', [productId]))) {
+        throw new Error(`Product with ID ${productId} does not exist`);
+      }
+
+      if (categoryId && !(await db.get('SELECT id FROM categories WHERE id = ?', [categoryId]))) {
+        throw new Error(`Category with ID ${categoryId} does not exist`);
+      }
+
+      const columns = Object.keys(sanitizedData);
+      const result = await db.run(
+        `INSERT INTO promotions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => sanitizedData[column])
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('INSERT', this.tableName, sanitizedData, duration);
+
+      logger.info('Promotion created successfully', {
+        promotionId: result.id,
+        code: sanitizedData.code,
+        type,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(result.id);
+
+    } catch (error) {
+      dbLogger.logError('INSERT', this.tableName, error, promotionData);
+
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Promotion code is already in use');
+      }
+
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    const startTime = Date.now();
+
+    try {
+      const promotion = await db.get('SELECT * FROM promotions WHERE id = ?', [id]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT', this.tableName, { id }, duration);
+
+      return promotion ? this.formatPromotionResponse(promotion) : null;
+
+    } catch (error) {
+      dbLogger.logError('SELECT', this.tableName, error, { id });
+      throw error;
+    }
+  }
+
+  // Promotions, newest first, optionally of one status or type
+  async findAll(options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const { page = 1, limit = 20, status = null, type = null } = options;
+      const offset = (page - 1) * limit;
+      const conditions = [];
+      const params = [];
+
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+
+      if (type) {
+        conditions.push('type = ?');
+        params.push(type);
+      }
+
+      const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+      const countResult = await db.get(`SELECT COUNT(*) as total FROM promotions ${whereClause}`, params);
+      const total = countResult.total;
+
+      const promotions = await db.all(
+        `SELECT * FROM promotions ${whereClause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_ALL', this.tableName, options, duration);
+
+      return {
+        promotions: promotions.map(promotion => this.formatPromotionResponse(promotion)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      dbLogger.logError('SELECT_ALL', this.tableName, error, options);
+      throw error;
+    }
+  }
+
+  // The code, type and what a promotion applies to are fixed; create a new one to change them
+  async update(id, updateData) {
+    const startTime = Date.now();
+
+    try {
+      const existing = await db.get('SELECT * FROM promotions WHERE id = ?', [id]);
+      if (!existing) {
+        throw new Error(`Promotion with ID ${id} not found`);
+      }
+
+      const sanitizedData = {};
+      for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+        if (updateData[field] !== undefined) {
+          sanitizedData[column] = updateData[field];
+        }
+      }
+      if (sanitizedData.name) sanitizedData.name = sanitize.cleanString(sanitizedData.name);
+      if (sanitizedData.description !== undefined) sanitizedData.description = sanitize.cleanString(sanitizedData.description) || null;
+      ['starts_at', 'ends_at'].forEach(column => {
+        if (sanitizedData[column]) sanitizedData[column] = db.formatDateTime(new Date(sanitizedData[column]));
+      });
+
+      const updateFields = Object.keys(sanitizedData);
+      if (updateFields.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      if (sanitizedData.value !== undefined) {
+        if (existing.type === 'buy_x_get_y') {
+          throw new Error('Buy X get Y promotions have no value');
+        }
+        if (existing.type === 'percentage' && sanitizedData.value > 100) {
+          throw new Error('A percentage discount cannot exceed 100');
+        }
+      }
+
+      if (sanitizedData.usage_limit && sanitizedData.usage_limit < existing.times_used) {
+        throw new Error(`Usage limit cannot be lower than the times already used (${existing.times_used})`);
+      }
+
+      const startsAt = sanitizedData.starts_at !== undefined ? sanitizedData.starts_at : existing.starts_at;
+      const endsAt = sanitizedData.ends_at !== undefined ? sanitizedData.ends_at : existing.ends_at;
+      if (startsAt && endsAt && endsAt <= startsAt) {
+        throw new Error('A promotion must end after it starts');
+      }
+
+      const setClause = updateFields.map(field => `${field} = ?`).join(', ');
+      await db.run(
+        `UPDATE promotions SET ${setClause} WHERE id = ?`,
+        [...updateFields.map(field => sanitizedData[field]), id]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('UPDATE', this.tableName, { id, ...sanitizedData }, duration);
+
+      logger.info('Promotion updated successfully', {
+        promotionId: id,
+        updatedFields: updateFields,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(id);
+
+    } catch (error) {
+      dbLogger.logError('UPDATE', this.tableName, error, { id, updateData });
+      throw error;
+    }
+  }
+
+  // Work out the discounts for order lines ({ product_id, category_id, quantity, unit_price,
+  // line_total }): every automatic promotion the order qualifies for, plus the coupon if one
+  // is given. A coupon that cannot be used is an error; automatic promotions that do not
+  // apply are skipped, as are those in excludedIds. Together they never discount more than
+  // the subtotal. Each discount lists how much of it falls on each line it applies to.
+  async calculateDiscounts(userId, lines, couponCode = null, excludedIds = []) {
+    const now = db.formatDateTime();
+    const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.line_total, 0));
+
+    const promotions = (await db.all(
+      `SELECT * FROM promotions
+       WHERE code IS NULL AND status = 'active'
+         AND (starts_at IS NULL OR starts_at <= ?) AND (ends_at IS NULL OR ends_at > ?)
+       ORDER BY id`,
+      [now, now]
+    )).filter(promotion => !excludedIds.includes(promotion.id));
+
+    let coupon = null;
+    if (couponCode) {
+      const code = couponCode.toUpperCase().trim();
+      coupon = await db.get('SELECT * FROM promotions WHERE code = ?', [code]);
+
+      if (!coupon || coupon.status !== 'active') {
+        throw new Error(`Coupon code ${code} is not valid`);
+      }
+      if (coupon.starts_at && coupon.starts_at > now) {
+        throw new Error(`Coupon code ${code} is not valid yet`);
+      }
+      if (coupon.ends_at && coupon.ends_at <= now) {
+        throw new Error(`Coupon code ${code} has expired`);
+      }
+
+      promotions.push(coupon);
+    }
+
+    const discounts = [];
+    let remaining = subtotal;
+
+    for (const promotion of promotions) {
+      const rejection = await this.checkLimits(promotion, userId, subtotal);
+      const lineAmounts = rejection ? [] : await this.discountFor(promotion, lines);
+      const amount = lineAmounts.reduce((sum, share) => sum + share.amount, 0);
+
+      if (promotion === coupon) {
+        if (rejection) {
+          throw new Error(`Coupon code ${coupon.code} ${rejection}`);
+        }
+        if (amount <= 0) {
+          throw new Error(`Coupon code ${coupon.code} does not apply to any item in this order`);
+        }
+      }
+
+      const applied = roundCurrency(Math.min(amount, remaining));
+      if (applied > 0) {
+        discounts.push({ promotion, amount: applied, lines: shareByLine(applied, lineAmounts) });
+        remaining = roundCurrency(remaining - applied);
+      }
+    }
+
+    return discounts;
+  }
+
+  // Why a promotion cannot be used on this order, or null if it can
+  async checkLimits(promotion, userId, subtotal) {
+    if (promotion.min_subtotal !== null && subtotal < parseFloat(promotion.min_subtotal)) {
+      return `requires a minimum spend of ${parseFloat(promotion.min_subtotal).toFixed(2)}`;
+    }
+
+    if (promotion.usage_limit !== null && promotion.times_used >= promotion.usage_limit) {
+      return 'has reached its usage limit';
+    }
+
+    if (promotion.per_user_limit !== null) {
+      const used = await this.countUsesByUser(promotion.id, userId);
+      if (used >= promotion.per_user_limit) {
+        return 'has already been used the maximum number of times';
+      }
+    }
+
+    return null;
+  }
+
+  // The amount a promotion takes off each line it applies to ([{ line, amount }]), before
+  // rounding
+  async discountFor(promotion, lines) {
+    let eligible = lines;
+
+    if (promotion.product_id) {
+      eligible = lines.filter(line => line.product_id === promotion.product_id);
+    } else if (promotion.category_id) {
+      const categoryIds = await CategoryModel.findSubtreeIds(promotion.category_id);
+      eligible = lines.filter(line => categoryIds.includes(line.category_id));
+    }
+
+    const eligibleTotal = eligible.reduce((sum, line) => sum + line.line_total, 0);
+
+    switch (promotion.type) {
+      case 'percentage':
+        return eligible.map(line => ({ line, amount: line.line_total * parseFloat(promotion.value) / 100 }));
+      case 'fixed_amount': {
+        // Shared between the eligible lines in proportion to their totals
+        const amount = Math.min(parseFloat(promotion.value), eligibleTotal);
+        return eligible.map(line => ({ line, amount: eligibleTotal > 0 ? amount * line.line_total / eligibleTotal : 0 }));
+      }
+      case 'buy_x_get_y':
+        // Every buy + get units of the same line, the last get units are free
+        return eligible.map(line => {
+          const freeUnits = Math.floor(line.quantity / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity;
+          return { line, amount: freeUnits * line.unit_price };
+        });
+      default:
+        return [];
+    }
+  }
+
+  // Record the discounts of a new order and count it against each promotion's limits
+  // (call inside the caller's transaction). A coupon over its limits is an error; an
+  // automatic promotion over its limits throws PromotionUnavailable.
+  async redeem(orderId, userId, discounts) {
+    for (const { promotion, amount } of discounts) {
+      const unavailable = (reason) => promotion.code ?
+        new Error(`Coupon code ${promotion.code} ${reason}`) :
+        new PromotionUnavailable(promotion, reason);
+
+      // The guard keeps concurrent orders from going over the limit, and the row lock it
+      // takes makes them wait for each other before the per-user count below
+      const result = await db.run(
+        `UPDATE promotions SET times_used = times_used + 1
+         WHERE id = ? AND status = 'active' AND (usage_limit IS NULL OR times_used < usage_limit)`,
+        [promotion.id]
+      );
+
+      if (result.changes === 0) {
+        throw unavailable('has reached its usage limit');
+      }
+
+      if (promotion.per_user_limit !== null) {
+        const used = await this.countUsesByUser(promotion.id, userId);
+        if (used >= promotion.per_user_limit) {
+          throw unavailable('has already been used the maximum number of times');
+        }
+      }
+
+      await db.run(
+        'INSERT INTO order_discounts (order_id, promotion_id, code, name, amount) VALUES (?, ?, ?, ?, ?)',
+        [orderId, promotion.id, promotion.code, promotion.name, amount]
+      );
+    }
+
+    dbLogger.logQuery('REDEEM', this.tableName, { orderId, count: discounts.length });
+  }
+
+  // A cancelled order no longer counts against the limits of the promotions it used
+  // (call inside the caller's transaction)
+  async releaseForOrder(orderId) {
+    return db.run(
+      `UPDATE promotions SET times_used = times_used - 1
+       WHERE id IN (SELECT promotion_id FROM order_discounts WHERE order_id = ?)`,
+      [orderId]
+    );
+  }
+
+  async countUsesByUser(promotionId, userId) {
+    const result = await db.get(
+      `SELECT COUNT(*) as count
+       FROM order_discounts od
+       JOIN orders o ON od.order_id = o.id
+       WHERE od.promotion_id = ? AND o.user_id = ? AND o.status != 'cancelled'`,
+      [promotionId, userId]
+    );
+    return result.count;
+  }
+
+  formatPromotionResponse(promotion) {
+    return {
+      id: promotion.id,
+      code: promotion.code,
+      name: promotion.name,
+      description: promotion.description,
+      type: promotion.type,
+      value: promotion.value !== null ? parseFloat(promotion.value) : null,
+      buyQuantity: promotion.buy_quantity,
+      getQuantity: promotion.get_quantity,
+      productId: promotion.product_id,
+      categoryId: promotion.category_id,
+      minSubtotal: promotion.min_subtotal !== null ? parseFloat(promotion.min_subtotal) : null,
+      usageLimit: promotion.usage_limit,
+      perUserLimit: promotion.per_user_limit,
+      timesUsed: promotion.times_used,
+      startsAt: promotion.starts_at,
+      endsAt: promotion.ends_at,
+      status: promotion.status,
+      createdAt: promotion.created_at,
+      updatedAt: promotion.updated_at
+    };
+  }
+}
+
+module.exports = new PromotionModel();
+module.exports.PromotionUnavailable = PromotionUnavailable;
@@ -0,0 +1,240 @@
+const db = require('../db');
+const { dbLogger } = require('../utils/logger');
+const InventoryModel = require('./inventoryModel');
+const WarehouseModel = require('./warehouseModel');
+
+// Stock held for pending orders. Products track the held amount in reserved_quantity,
+// so available stock is always stock_quantity - reserved_quantity. Lines for a variant
+// also hold, commit and release the variant's own stock. Each line is allocated to one
+// warehouse, or split across several, with one reservation per warehouse whose stock is
+// held, committed and released along with the totals.
+// Every method here expects to run inside the caller's transaction.
+class ReservationModel {
+  constructor() {
+    this.tableName = 'stock_reservations';
+    this.ttlMinutes = parseInt(process.env.RESERVATION_TTL_MINUTES) || 30;
+  }
+
+  // Hold stock for every line of a new order
+  async reserveForOrder(orderId, items) {
+    const startTime = Date.now();
+    const expiresAt = db.formatDateTime(new Date(Date.now() + this.ttlMinutes * 60 * 1000));
+
+    try {
+      for (const item of items) {
+        const variantId = item.variant_id || null;
+
+        // The guard in the WHERE clause makes the availability check and the hold a single step
+        if (variantId) {
+          const held = await db.run(
+            `UPDATE product_variants
+             SET reserved_quantity = reserved_quantity + ?
+             WHERE id = ? AND status != 'discontinued' AND stock_quantity - reserved_quantity >= ?`,
+            [item.quantity, variantId, item.quantity]
+          );
+
+          if (held.changes === 0) {
+            throw new Error(`Insufficient stock for variant ${variantId} of product ${item.product_id}`);
+          }
+        }
+
+        const result = await db.run(
+          `UPDATE products
+           SET reserved_quantity = reserved_quantity + ?
+           WHERE id = ? AND status != 'discontinued' AND stock_quantity - reserved_quantity >= ?`,
+          [item.quantity, item.product_id, item.quantity]
+        );
+
+        if (result.changes === 0) {
+          throw new Error(`Insufficient stock for product ${item.product_id}`);
+        }
+
+        // Stock in inactive warehouses counts towards the totals but cannot be shipped
+        const allocations = await WarehouseModel.allocate(item.product_id, variantId, item.quantity);
+        if (!allocations) {
+          throw new Error(`Insufficient stock for product ${item.product_id} in active warehouses`);
+        }
+
+        // A line split across warehouses has no single warehouse of its own
+        const warehouseId = allocations.length === 1 ? allocations[0].warehouseId : null;
+        await db.run('UPDATE order_items SET warehouse_id = ? WHERE id = ?', [warehouseId, item.id]);
+
+        for (const allocation of allocations) {
+          await db.run(
+            `INSERT INTO stock_reservations (order_id, order_item_id, product_id, variant_id, warehouse_id, quantity, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [orderId, item.id, item.product_id, variantId, allocation.warehouseId, allocation.quantity, expiresAt]
+          );
+        }
+
+        await this.syncStockStatus(item.product_id, variantId);
+      }
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('RESERVE', this.tableName, { orderId, items: items.length, expiresAt }, duration);
+
+      return expiresAt;
+
+    } catch (error) {
+      dbLogger.logError('RESERVE', this.tableName, error, { orderId });
+      throw error;
+    }
+  }
+
+  // Turn an order's active reservations into a real stock decrement
+  async commitForOrder(orderId, actorId = null) {
+    const startTime = Date.now();
+
+    try {
+      const reservations = await this.findByOrder(orderId, 'active');
+
+      const expired = reservations.find(reservation => reservation.expires_at <= db.formatDateTime());
+      if (expired) {
+        throw new Error(`Stock reservation for order ${orderId} has expired`);
+      }
+
+      for (const reservation of reservations) {
+        if (reservation.variant_id) {
+          await db.run(
+            `UPDATE product_variants
+             SET stock_quantity = stock_quantity - ?, reserved_quantity = reserved_quantity - ?
+             WHERE id = ?`,
+            [reservation.quantity, reservation.quantity, reservation.variant_id]
+          );
+        }
+
+        await db.run(
+          `UPDATE products
+           SET stock_quantity = stock_quantity - ?, reserved_quantity = reserved_quantity - ?
+           WHERE id = ?`,
+          [reservation.quantity, reservation.quantity, reservation.product_id]
+        );
+
+        await WarehouseModel.commitHeld(
+          reservation.warehouse_id, reservation.product_id, reservation.variant_id, reservation.quantity
+        );
+
+        await db.run(
+          "UPDATE stock_reservations SET status = 'committed', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+          [reservation.id]
+        );
+
+        await InventoryModel.recordMovement({
+          productId: reservation.product_id,
+          variantId: reservation.variant_id,
+          warehouseId: reservation.warehouse_id,
+          delta: -reservation.quantity,
+          reason: 'order',
+          referenceType: 'order',
+          referenceId: orderId,
+          actorId
+        });
+
+        await this.syncStockStatus(reservation.product_id, reservation.variant_id);
+      }
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('COMMIT_RESERVATION', this.tableName, { orderId, count: reservations.length }, duration);
+
+      return reservations;
+
+    } catch (error) {
+      dbLogger.logError('COMMIT_RESERVATION', this.tableName, error, { orderId });
+      throw error;
+    }
+  }
+
+  // Give held stock back; status is 'released' for cancellations and 'expired' for timeouts
+  async releaseForOrder(orderId, status = 'released') {
+    const startTime = Date.now();
+
+    try {
+      const reservations = await this.findByOrder(orderId, 'active');
+
+      for (const reservation of reservations) {
+        if (reservation.variant_id) {
+          await db.run(
+            'UPDATE product_variants SET reserved_quantity = reserved_quantity - ? WHERE id = ?',
+            [reservation.quantity, reservation.variant_id]
+          );
+        }
+
+        await db.run(
+          'UPDATE products SET reserved_quantity = reserved_quantity - ? WHERE id = ?',
+          [reservation.quantity, reservation.product_id]
+        );
+
+        await WarehouseModel.releaseHeld(
+          reservation.warehouse_id, reservation.product_id, reservation.variant_id, reservation.quantity
+        );
+
+        await db.run(
+          'UPDATE stock_reservations SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [status, reservation.id]
+        );
+
+        await this.syncStockStatus(reservation.product_id, reservation.variant_id);
+      }
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('RELEASE_RESERVATION', this.tableName, { orderId, status, count: reservations.length }, duration);
+
+      return reservations;
+
+    } catch (error) {
+      dbLogger.logError('RELEASE_RESERVATION', this.tableName, error, { orderId, status });
+      throw error;
+    }
+  }
+
+  async findByOrder(orderId, status = null) {
+    const params = [orderId];
+    let query = 'SELECT * FROM stock_reservations WHERE order_id = ?';
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    return db.all(`${query} ORDER BY id`, params);
+  }
+
+  // IDs of orders holding at least one reservation past its expiry
+  async findExpiredOrderIds() {
+    const rows = await db.all(
+      `SELECT DISTINCT order_id FROM stock_reservations
+       WHERE status = 'active' AND expires_at <= ?
+       ORDER BY order_id`,
+      [db.formatDateTime()]
+    );
+
+    return rows.map(row => row.order_id);
+  }
+
+  // Keep the product status, and the variant's when given, in line with what can still be sold
+  async syncStockStatus(productId, variantId = null) {
+    if (variantId) {
+      await db.run(
+        `UPDATE product_variants
+         SET status = CASE
+           WHEN stock_quantity - reserved_quantity <= 0 THEN 'out_of_stock'
+           ELSE 'available'
+         END
+         WHERE id = ? AND status != 'discontinued'`,
+        [variantId]
+      );
+    }
+
+    return db.run(
+      `UPDATE products
+       SET status = CASE
+         WHEN stock_quantity - reserved_quantity <= 0 THEN 'out_of_stock'
+         ELSE 'available'
+       END
+       WHERE id = ? AND status != 'discontinued'`,
+      [productId]
+    );
+  }
+}
+
+module.exports = new ReservationModel();
@@ -0,0 +1,283 @@
+const db = require('../db');
+const { logger, dbLogger } = require('../utils/logger');
+const { sanitize } = require('../utils/validation');
+const CategoryModel = require('./categoryModel');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Columns that can be changed after a rule is created, by request field
+const UPDATABLE_FIELDS = {
+  name: 'name',
+  rate: 'rate',
+  status: 'status'
+};
+
+// Tax rates by destination region and product category. A region is an ISO country code
+// ("DE") or a country subdivision ("US-CA"); a rule for a country also covers its
+// subdivisions. A rule without a region or category applies to all of them.
+class TaxRuleModel {
+  constructor() {
+    this.tableName = 'tax_rules';
+  }
+
+  async create(ruleData) {
+    const startTime = Date.now();
+
+    try {
+      const { name, region = null, categoryId = null, rate } = ruleData;
+
+      const sanitizedData = {
+        name: sanitize.cleanString(name),
+        region: region ? region.toUpperCase().trim() : null,
+        category_id: categoryId,
+        rate
+      };
+
+      if (categoryId && !(await db.get('SELECT id FROM categories WHERE id = ?', [categoryId]))) {
+        throw new Error(`Category with ID ${categoryId} does not exist`);
+      }
+
+      const existing = await db.get(
+        'SELECT id FROM tax_rules WHERE COALESCE(region, \'\') = ? AND COALESCE(category_id, 0) = ?',
+        [sanitizedData.region || '', sanitizedData.category_id || 0]
+      );
+      if (existing) {
+        throw new Error(`Tax rule ${existing.id} already covers this region and category`);
+      }
+
+      const result = await db.run(
+        'INSERT INTO tax_rules (name, region, category_id, rate) VALUES (?, ?, ?, ?)',
+        [sanitizedData.name, sanitizedData.region, sanitizedData.category_id, sanitizedData.rate]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('INSERT', this.tableName, sanitizedData, duration);
+
+      logger.info('Tax rule created successfully', {
+        taxRuleId: result.id,
+        region: sanitizedData.region,
+        categoryId: sanitizedData.category_id,
+        rate,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(result.id);
+
+    } catch (error) {
+      dbLogger.logError('INSERT', this.tableName, error, ruleData);
+
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('A tax rule already covers this region and category');
+      }
+
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    const startTime = Date.now();
+
+    try {
+      const rule = await db.get('SELECT * FROM tax_rules WHERE id = ?', [id]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT', this.tableName, { id }, duration);
+
+      return rule ? this.formatTaxRuleResponse(rule) : null;
+
+    } catch (error) {
+      dbLogger.logError('SELECT', this.tableName, error, { id });
+      throw error;
+    }
+  }
+
+  // Rules by region (rules for every region first), then category, optionally filtered
+  async findAll(options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const { page = 1, limit = 20, region = null, category_id = null, status = null } = options;
+      const offset = (page - 1) * limit;
+      const conditions = [];
+      const params = [];
+
+      if (region) {
+        conditions.push('region = ?');
+        params.push(region.toUpperCase());
+      }
+
+      if (category_id) {
+        conditions.push('category_id = ?');
+        params.push(category_id);
+      }
+
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+
+      const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+      const countResult = await db.get(`SELECT COUNT(*) as total FROM tax_rules ${whereClause}`, params);
+      const total = countResult.total;
+
+      const rules = await db.all(
+        `SELECT * FROM tax_rules ${whereClause}
+         ORDER BY COALESCE(region, ''), COALESCE(category_id, 0), id
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_ALL', this.tableName, options, duration);
+
+      return {
+        taxRules: rules.map(rule => this.formatTaxRuleResponse(rule)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      dbLogger.logError('SELECT_ALL', this.tableName, error, options);
+      throw error;
+    }
+  }
+
+  // The region and category a rule covers are fixed; create a new rule to change them
+  async update(id, updateData) {
+    const startTime = Date.now();
+
+    try {
+      const existing = await db.get('SELECT id FROM tax_rules WHERE id = ?', [id]);
+      if (!existing) {
+        throw new Error(`Tax rule with ID ${id} not found`);
+      }
+
+      const sanitizedData = {};
+      for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+        if (updateData[field] !== undefined) {
+          sanitizedData[column] = updateData[field];
+        }
+      }
+      if (sanitizedData.name) sanitizedData.name = sanitize.cleanString(sanitizedData.name);
+
+      const updateFields = Object.keys(sanitizedData);
+      if (updateFields.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      const setClause = updateFields.map(field => `${field} = ?`).join(', ');
+      await db.run(
+        `UPDATE tax_rules SET ${setClause} WHERE id = ?`,
+        [...updateFields.map(field => sanitizedData[field]), id]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('UPDATE', this.tableName, { id, ...sanitizedData }, duration);
+
+      logger.info('Tax rule updated successfully', {
+        taxRuleId: id,
+        updatedFields: updateFields,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(id);
+
+    } catch (error) {
+      dbLogger.logError('UPDATE', this.tableName, error, { id, updateData });
+      throw error;
+    }
+  }
+
+  // Tax the order lines ({ category_id, line_total, discount_amount }) shipped to a region:
+  // each line is taxed on its total less the discounts that fell on it. Sets tax_rate and
+  // tax_amount on every line and returns the order's tax total.
+  async calculateTax(lines, region = null) {
+    const rules = await this.findApplicableRules(region);
+    const ancestorsByCategory = new Map();
+
+    let taxTotal = 0;
+
+    for (const line of lines) {
+      if (line.category_id && !ancestorsByCategory.has(line.category_id)) {
+        ancestorsByCategory.set(line.category_id, await CategoryModel.findAncestorIds(line.category_id));
+      }
+
+      const rule = this.pickRule(rules, region, ancestorsByCategory.get(line.category_id) || []);
+      line.tax_rate = rule ? parseFloat(rule.rate) : 0;
+      line.tax_amount = roundCurrency(Math.max(line.line_total - (line.discount_amount || 0), 0) * line.tax_rate / 100);
+      taxTotal += line.tax_amount;
+    }
+
+    return roundCurrency(taxTotal);
+  }
+
+  // Active rules for a region, its country and every region
+  async findApplicableRules(region) {
+    const regions = this.regionsCovering(region);
+    const placeholders = regions.map(() => '?').join(', ');
+
+    return db.all(
+      `SELECT * FROM tax_rules
+       WHERE status = 'active' AND (region IS NULL${regions.length > 0 ? ` OR region IN (${placeholders})` : ''})`,
+      regions
+    );
+  }
+
+  // The regions whose rules apply to a destination, most specific first
+  regionsCovering(region) {
+    if (!region) {
+      return [];
+    }
+
+    const code = region.toUpperCase();
+    const country = code.split('-')[0];
+    return country !== code ? [code, country] : [code];
+  }
+
+  // The most specific rule for a line: the closest region wins, then the closest category
+  // (categoryIds are the line's category and its ancestors, nearest first)
+  pickRule(rules, region, categoryIds) {
+    const regions = this.regionsCovering(region);
+    let best = null;
+    let bestScore = null;
+
+    for (const rule of rules) {
+      const categoryIndex = rule.category_id === null ? categoryIds.length : categoryIds.indexOf(rule.category_id);
+      if (categoryIndex === -1) {
+        continue;
+      }
+
+      const regionIndex = rule.region === null ? regions.length : regions.indexOf(rule.region);
+      const score = [regionIndex, categoryIndex];
+
+      if (!bestScore || score[0] < bestScore[0] || (score[0] === bestScore[0] && score[1] < bestScore[1])) {
+        best = rule;
+        bestScore = score;
+      }
+    }
+
+    return best;
+  }
+
+  formatTaxRuleResponse(rule) {
+    return {
+      id: rule.id,
+      name: rule.name,
+      region: rule.region,
+      categoryId: rule.category_id,
+      rate: parseFloat(rule.rate),
+      status: rule.status,
+      createdAt: rule.created_at,
+      updatedAt: rule.updated_at
+    };
+  }
+}
+
+module.exports = new TaxRuleModel();
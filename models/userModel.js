@@ -1,10 +1,14 @@
+const bcrypt = require('bcrypt');
 const db = require('../db');
 const { logger, dbLogger } = require('../utils/logger');
 const { businessValidators, sanitize } = require('../utils/validation');
+const { resources, parseSort, buildOrderBy, buildFilters } = require('../utils/queryBuilder');
+const { encodeCursor, decodeCursor, keysetCondition } = require('../utils/pagination');
 
 class UserModel {
   constructor() {
     this.tableName = 'users';
+    this.saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
   }
 
   // Create a new user with comprehensive validation
@@ -12,14 +16,15 @@ class UserModel {
     const startTime = Date.now();
     
     try {
-      const { name, email, phone, address } = userData;
+      const { name, email, phone, address, password, role } = userData;
       
       // Sanitize input data
       const sanitizedData = {
         name: sanitize.cleanString(name),
         email: sanitize.normalizeEmail(email),
         phone: sanitize.formatPhone(phone),
-        address: sanitize.cleanString(address)
+        address: sanitize.cleanString(address),
+        role: role || 'customer'
       };
       
       // Business validation
@@ -28,10 +33,13 @@ class UserModel {
         throw new Error(`Email ${sanitizedData.email} is already registered`);
       }
       
+      // Users created without a password cannot log in until one is set
+      const passwordHash = password ? await bcrypt.hash(password, this.saltRounds) : null;
+      
       const result = await db.run(
-        `INSERT INTO users (name, email, phone, address) 
-         VALUES (?, ?, ?, ?)`,
-        [sanitizedData.name, sanitizedData.email, sanitizedData.phone, sanitizedData.address]
+        `INSERT INTO users (name, email, phone, address, role, password_hash) 
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [sanitizedData.name, sanitizedData.email, sanitizedData.phone, sanitizedData.address, sanitizedData.role, passwordHash]
       );
       
       const duration = Date.now() - startTime;
@@ -48,7 +56,8 @@ class UserModel {
       
     } catch (error) {
       const duration = Date.now() - startTime;
-      dbLogger.logError('INSERT', this.tableName, error, userData);
+      const { password, ...loggableData } = userData;
+      dbLogger.logError('INSERT', this.tableName, error, loggableData);
       
       // Handle specific database errors
       if (error.message.includes('UNIQUE constraint failed')) {
@@ -57,7 +66,7 @@ class UserModel {
       
       logger.error('Failed to create user', {
         error: error.message,
-        userData,
+        userData: loggableData,
         duration: `${duration}ms`
       });
       
@@ -115,6 +124,58 @@ class UserModel {
     }
   }
 
+  // Check an email/password pair; returns the user or null when the credentials do not match
+  async verifyCredentials(email, password) {
+    const startTime = Date.now();
+    
+    try {
+      const normalizedEmail = sanitize.normalizeEmail(email);
+      const user = await db.get(
+        'SELECT * FROM users WHERE email = ?',
+        [normalizedEmail]
+      );
+      
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_CREDENTIALS', this.tableName, { email: normalizedEmail }, duration);
+      
+      if (!user || !user.password_hash) {
+        return null;
+      }
+      
+      const passwordMatches = await bcrypt.compare(password, user.password_hash);
+      return passwordMatches ? this.formatUserResponse(user) : null;
+      
+    } catch (error) {
+      dbLogger.logError('SELECT_CREDENTIALS', this.tableName, error, { email });
+      throw error;
+    }
+  }
+
+  // Create the initial admin from ADMIN_EMAIL/ADMIN_PASSWORD when no admin exists yet
+  async ensureAdmin() {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    
+    const existingAdmin = await db.get("SELECT id FROM users WHERE role = 'admin' LIMIT 1");
+    if (existingAdmin || !email || !password) {
+      return null;
+    }
+    
+    const existingUser = await this.findByEmail(email);
+    if (existingUser) {
+      logger.info('Promoting existing user to admin', { userId: existingUser.id });
+      return await this.update(existingUser.id, { role: 'admin' });
+    }
+    
+    logger.info('Creating initial admin user', { email });
+    return await this.create({
+      name: process.env.ADMIN_NAME || 'Administrator',
+      email,
+      password,
+      role: 'admin'
+    });
+  }
+
   // Get all users with pagination and filtering
   async findAll(options = {}) {
     const startTime = Date.now();
@@ -123,23 +184,21 @@ class UserModel {
       const {
         page = 1,
         limit = 10,
-        sort = 'id',
-        order = 'ASC',
-        status = null,
-        search = null
+        sort = null,
+        order = null,
+        filters = {},
+        search = null,
+        cursor = null
       } = options;
       
+      // A cursor carries its own sort spec, so follow-up pages keep the original order
+      const keyset = cursor ? decodeCursor(cursor, resources.users) : null;
+      const sortSpec = keyset ? keyset.sort : parseSort(resources.users, sort, order);
       const offset = (page - 1) * limit;
       let whereClause = '';
-      const params = [];
       
       // Build WHERE clause
-      const conditions = [];
-      
-      if (status) {
-        conditions.push('status = ?');
-        params.push(status);
-      }
+      const { conditions, params } = buildFilters(resources.users, filters);
       
       if (search) {
         conditions.push('(name LIKE ? OR email LIKE ?)');
@@ -147,24 +206,38 @@ class UserModel {
         params.push(searchPattern, searchPattern);
       }
       
+      if (keyset) {
+        const after = keysetCondition(resources.users, keyset);
+        conditions.push(after.condition);
+        params.push(...after.params);
+      }
+      
       if (conditions.length > 0) {
         whereClause = 'WHERE ' + conditions.join(' AND ');
       }
       
-      // Get total count for pagination
-      const countQuery = `SELECT COUNT(*) as total FROM users ${whereClause}`;
-      const countResult = await db.get(countQuery, params);
-      const total = countResult.total;
+      // Get total count for pagination; cursor pages skip it and fetch one extra row instead
+      let total = null;
+      if (!keyset) {
+        const countQuery = `SELECT COUNT(*) as total FROM users ${whereClause}`;
+        const countResult = await db.get(countQuery, params);
+        total = countResult.total;
+      }
       
       // Get users with pagination
       const query = `
         SELECT * FROM users 
         ${whereClause}
-        ORDER BY ${sort} ${order}
-        LIMIT ? OFFSET ?
+        ${buildOrderBy(resources.users, sortSpec)}
+        ${keyset ? 'LIMIT ?' : 'LIMIT ? OFFSET ?'}
       `;
       
-      const users = await db.all(query, [...params, limit, offset]);
+      const rows = await db.all(query, keyset ? [...params, limit + 1] : [...params, limit, offset]);
+      const hasNextPage = keyset ? rows.length > limit : page < Math.ceil(total / limit);
+      const users = rows.slice(0, limit);
+      const nextCursor = hasNextPage && users.length > 0 ?
+        encodeCursor(sortSpec, users[users.length - 1]) :
+        null;
       
       const duration = Date.now() - startTime;
       dbLogger.logQuery('SELECT_ALL', this.tableName, options, duration);
@@ -179,13 +252,14 @@ class UserModel {
       
       return {
         users: users.map(user => this.formatUserResponse(user)),
-        pagination: {
+        pagination: keyset ? { limit, hasNextPage, nextCursor } : {
           page,
           limit,
           total,
           totalPages: Math.ceil(total / limit),
-          hasNextPage: page < Math.ceil(total / limit),
-          hasPrevPage: page > 1
+          hasNextPage,
+          hasPrevPage: page > 1,
+          nextCursor
         }
       };
       
@@ -213,6 +287,7 @@ class UserModel {
       if (updateData.phone) sanitizedData.phone = sanitize.formatPhone(updateData.phone);
       if (updateData.address) sanitizedData.address = sanitize.cleanString(updateData.address);
       if (updateData.status) sanitizedData.status = updateData.status;
+      if (updateData.role) sanitizedData.role = updateData.role;
       
       // Build dynamic update query
       const updateFields = Object.keys(sanitizedData);
@@ -252,14 +327,14 @@ class UserModel {
     }
   }
 
-  // Soft delete user (deactivate)
-  async deactivate(id) {
+  // Soft delete user (deactivate), or suspend them
+  async deactivate(id, status = 'inactive') {
     const startTime = Date.now();
     
     try {
       const result = await db.run(
         'UPDATE users SET status = ? WHERE id = ?',
-        ['inactive', id]
+        [status, id]
       );
       
       if (result.changes === 0) {
@@ -267,11 +342,14 @@ class UserModel {
       }
       
       const duration = Date.now() - startTime;
-      dbLogger.logQuery('UPDATE', this.tableName, { id, status: 'inactive' }, duration);
+      dbLogger.logQuery('UPDATE', this.tableName, { id, status }, duration);
       
-      logger.info('User deactivated', { userId: id, duration: `${duration}ms` });
+      logger.info('User deactivated', { userId: id, status, duration: `${duration}ms` });
       
-      return { success: true, message: 'User deactivated successfully' };
+      return {
+        success: true,
+        message: status === 'suspended' ? 'User suspended successfully' : 'User deactivated successfully'
+      };
       
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -324,6 +402,7 @@ class UserModel {
       email: user.email,
       phone: user.phone,
       address: user.address,
+      role: user.role,
       status: user.status,
       createdAt: user.created_at,
       updatedAt: user.updated_at
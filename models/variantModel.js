@@ -0,0 +1,447 @@
+const db = require('../db');
+const { logger, dbLogger } = require('../utils/logger');
+const { businessValidators, sanitize } = require('../utils/validation');
+const InventoryModel = require('./inventoryModel');
+const ReservationModel = require('./reservationModel');
+const WarehouseModel = require('./warehouseModel');
+
+// Option names are compared case-insensitively and kept in the order they were given
+const normalizeOptions = (options) => {
+  const normalized = {};
+  Object.keys(options).forEach(name => {
+    normalized[name.trim().toLowerCase()] = sanitize.cleanString(String(options[name]));
+  });
+  return normalized;
+};
+
+// Canonical form of a set of options, e.g. "colour=red|size=m"
+const optionKey = (options) => {
+  return Object.keys(options)
+    .sort()
+    .map(name => `${name}=${options[name].toLowerCase()}`)
+    .join('|');
+};
+
+// Sellable versions of a product, each with its own SKU, stock and optionally price.
+// A product with variants holds the sum of their stock in its own stock columns, so every
+// stock change here is applied to both rows.
+class VariantModel {
+  constructor() {
+    this.tableName = 'product_variants';
+  }
+
+  // Add a variant to a product. The first variant can only be added while the product holds
+  // no stock of its own, and all variants of a product share the same option names.
+  async create(productId, variantData, actorId = null) {
+    const startTime = Date.now();
+
+    try {
+      const options = normalizeOptions(variantData.options);
+      const sanitizedData = {
+        sku: variantData.sku.toUpperCase().trim(),
+        options,
+        optionKey: optionKey(options),
+        price: variantData.price === undefined || variantData.price === null ? null : parseFloat(variantData.price),
+        stockQuantity: parseInt(variantData.stockQuantity || 0)
+      };
+
+      const variantId = await db.transaction(async (tx) => {
+        const product = await tx.get('SELECT * FROM products WHERE id = ?', [productId]);
+        if (!product) {
+          throw new Error(`Product with ID ${productId} not found`);
+        }
+
+        if (product.status === 'discontinued') {
+          throw new Error('Cannot add variants to a discontinued product');
+        }
+
+        const siblings = await tx.all('SELECT * FROM product_variants WHERE product_id = ? ORDER BY id', [productId]);
+
+        if (siblings.length === 0 && (product.stock_quantity > 0 || product.reserved_quantity > 0)) {
+          throw new Error(`Product ${productId} still holds stock of its own; bring it to 0 before adding variants`);
+        }
+        if (siblings.length === 0) {
+          // From now on the product's stock is held per variant
+          await tx.run('DELETE FROM warehouse_stock WHERE product_id = ? AND variant_id IS NULL', [productId]);
+        }
+
+        sanitizedData.options = this.assertOptionsMatch(siblings, sanitizedData);
+
+        const isSkuUnique = await businessValidators.isSkuUnique(sanitizedData.sku);
+        if (!isSkuUnique) {
+          throw new Error(`SKU ${sanitizedData.sku} is already in use`);
+        }
+
+        const inserted = await tx.run(
+          `INSERT INTO product_variants (product_id, sku, options, option_key, price, stock_quantity, status)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            productId,
+            sanitizedData.sku,
+            JSON.stringify(sanitizedData.options),
+            sanitizedData.optionKey,
+            sanitizedData.price,
+            sanitizedData.stockQuantity,
+            sanitizedData.stockQuantity > 0 ? 'available' : 'out_of_stock'
+          ]
+        );
+
+        await tx.run(
+          'UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ?',
+          [sanitizedData.stockQuantity, productId]
+        );
+
+        let warehouseId = null;
+        if (sanitizedData.stockQuantity > 0) {
+          warehouseId = (await WarehouseModel.resolve()).id;
+          await WarehouseModel.adjustStock(warehouseId, productId, inserted.id, sanitizedData.stockQuantity);
+        }
+
+        await InventoryModel.recordMovement({
+          productId,
+          variantId: inserted.id,
+          warehouseId,
+          delta: sanitizedData.stockQuantity,
+          reason: 'restock',
+          actorId,
+          note: 'Initial stock'
+        });
+
+        await ReservationModel.syncStockStatus(productId);
+
+        return inserted.id;
+      });
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('INSERT', this.tableName, { productId, ...sanitizedData }, duration);
+
+      logger.info('Product variant created successfully', {
+        productId,
+        variantId,
+        sku: sanitizedData.sku,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(productId, variantId);
+
+    } catch (error) {
+      dbLogger.logError('INSERT', this.tableName, error, { productId, variantData });
+
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Variant SKU or options are already in use');
+      }
+
+      throw error;
+    }
+  }
+
+  async findById(productId, variantId) {
+    const startTime = Date.now();
+
+    try {
+      const variant = await db.get(
+        `SELECT v.*, p.price as product_price
+         FROM product_variants v
+         JOIN products p ON v.product_id = p.id
+         WHERE v.id = ? AND v.product_id = ?`,
+        [variantId, productId]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT', this.tableName, { productId, variantId }, duration);
+
+      return variant ? this.formatVariantResponse(variant) : null;
+
+    } catch (error) {
+      dbLogger.logError('SELECT', this.tableName, error, { productId, variantId });
+      throw error;
+    }
+  }
+
+  // All variants of a product, oldest first
+  async findByProduct(productId) {
+    const startTime = Date.now();
+
+    try {
+      const variants = await db.all(
+        `SELECT v.*, p.price as product_price
+         FROM product_variants v
+         JOIN products p ON v.product_id = p.id
+         WHERE v.product_id = ?
+         ORDER BY v.id`,
+        [productId]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_BY_PRODUCT', this.tableName, { productId }, duration);
+
+      return variants.map(variant => this.formatVariantResponse(variant));
+
+    } catch (error) {
+      dbLogger.logError('SELECT_BY_PRODUCT', this.tableName, error, { productId });
+      throw error;
+    }
+  }
+
+  // Change a variant's SKU, options or price; a null price makes it follow the product price
+  async update(productId, variantId, updateData) {
+    const startTime = Date.now();
+
+    try {
+      const sanitizedData = {};
+      if (updateData.sku) sanitizedData.sku = updateData.sku.toUpperCase().trim();
+      if (updateData.options) {
+        const options = normalizeOptions(updateData.options);
+        sanitizedData.options = JSON.stringify(options);
+        sanitizedData.option_key = optionKey(options);
+      }
+      if (updateData.price !== undefined) sanitizedData.price = updateData.price === null ? null : parseFloat(updateData.price);
+
+      const updateFields = Object.keys(sanitizedData);
+      if (updateFields.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      await db.transaction(async (tx) => {
+        const existing = await tx.get(
+          'SELECT id FROM product_variants WHERE id = ? AND product_id = ?',
+          [variantId, productId]
+        );
+        if (!existing) {
+          throw new Error(`Variant ${variantId} of product ${productId} not found`);
+        }
+
+        if (sanitizedData.sku) {
+          const isSkuUnique = await businessValidators.isSkuUnique(sanitizedData.sku, null, variantId);
+          if (!isSkuUnique) {
+            throw new Error(`SKU ${sanitizedData.sku} is already in use`);
+          }
+        }
+
+        if (sanitizedData.options) {
+          const siblings = await tx.all(
+            'SELECT * FROM product_variants WHERE product_id = ? AND id != ? ORDER BY id',
+            [productId, variantId]
+          );
+          sanitizedData.options = JSON.stringify(this.assertOptionsMatch(siblings, {
+            options: JSON.parse(sanitizedData.options),
+            optionKey: sanitizedData.option_key
+          }));
+        }
+
+        const setClause = updateFields.map(field => `${field} = ?`).join(', ');
+        await tx.run(
+          `UPDATE product_variants SET ${setClause} WHERE id = ?`,
+          [...updateFields.map(field => sanitizedData[field]), variantId]
+        );
+      });
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('UPDATE', this.tableName, { productId, variantId, ...sanitizedData }, duration);
+
+      logger.info('Product variant updated successfully', {
+        productId,
+        variantId,
+        updatedFields: updateFields,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(productId, variantId);
+
+    } catch (error) {
+      dbLogger.logError('UPDATE', this.tableName, error, { productId, variantId, updateData });
+
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Variant SKU or options are already in use');
+      }
+
+      throw error;
+    }
+  }
+
+  // Add or subtract variant stock; options.reason and options.warehouseId work as in ProductModel.updateStock
+  async updateStock(productId, variantId, quantityChange, operation = 'subtract', options = {}) {
+    const { actorId = null, note = null } = options;
+    const reason = options.reason || (operation === 'add' ? 'restock' : 'manual_adjustment');
+    const startTime = Date.now();
+
+    try {
+      if (!['add', 'subtract'].includes(operation)) {
+        throw new Error('Invalid operation. Use "add" or "subtract"');
+      }
+
+      const delta = operation === 'add' ? quantityChange : -quantityChange;
+
+      await db.transaction(async (tx) => {
+        const variant = await this.findById(productId, variantId);
+        if (!variant) {
+          throw new Error(`Variant ${variantId} of product ${productId} not found`);
+        }
+
+        const warehouse = await WarehouseModel.resolve(options.warehouseId, delta > 0);
+
+        // Same guard as for products: reserved units cannot be removed and a discontinued
+        // variant stays discontinued
+        const result = await tx.run(
+          `UPDATE product_variants
+           SET stock_quantity = stock_quantity + ?,
+               status = CASE
+                 WHEN status = 'discontinued' THEN status
+                 WHEN stock_quantity + ? - reserved_quantity <= 0 THEN 'out_of_stock'
+                 ELSE 'available'
+               END
+           WHERE id = ? AND stock_quantity + ? >= reserved_quantity`,
+          [delta, delta, variantId, delta]
+        );
+
+        if (result.changes === 0) {
+          throw new Error(`Insufficient stock. Available: ${variant.stock.available}, Requested: ${quantityChange}`);
+        }
+
+        await tx.run(
+          'UPDATE products SET stock_quantity = stock_quantity + ? WHERE id = ?',
+          [delta, productId]
+        );
+
+        if (!(await WarehouseModel.adjustStock(warehouse.id, productId, variantId, delta))) {
+          const available = await WarehouseModel.availableAt(warehouse.id, productId, variantId);
+          throw new Error(`Insufficient stock in warehouse ${warehouse.code}. Available: ${available}, Requested: ${quantityChange}`);
+        }
+
+        await InventoryModel.recordMovement({
+          productId,
+          variantId,
+          warehouseId: warehouse.id,
+          delta,
+          reason,
+          actorId,
+          note
+        });
+
+        await ReservationModel.syncStockStatus(productId);
+      });
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('UPDATE_STOCK', this.tableName, { productId, variantId, operation, quantityChange }, duration);
+
+      logger.info('Product variant stock updated', {
+        productId,
+        variantId,
+        operation,
+        quantityChange,
+        reason,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(productId, variantId);
+
+    } catch (error) {
+      dbLogger.logError('UPDATE_STOCK', this.tableName, error, { productId, variantId, quantityChange, operation });
+      throw error;
+    }
+  }
+
+  // Stop selling a variant; like products, variants are never deleted
+  async discontinue(productId, variantId) {
+    const startTime = Date.now();
+
+    try {
+      const variant = await db.get(
+        'SELECT id FROM product_variants WHERE id = ? AND product_id = ?',
+        [variantId, productId]
+      );
+      if (!variant) {
+        throw new Error(`Variant ${variantId} of product ${productId} not found`);
+      }
+
+      // Open orders still need the variant to be fulfilled
+      const pending = await db.get(
+        `SELECT COUNT(*) as count FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         WHERE oi.variant_id = ? AND o.status IN ('pending', 'confirmed')`,
+        [variantId]
+      );
+      if (pending.count > 0) {
+        throw new Error('Cannot discontinue a variant with pending or confirmed orders');
+      }
+
+      await db.run("UPDATE product_variants SET status = 'discontinued' WHERE id = ?", [variantId]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('UPDATE', this.tableName, { productId, variantId, status: 'discontinued' }, duration);
+
+      logger.info('Product variant discontinued', { productId, variantId, duration: `${duration}ms` });
+
+      return await this.findById(productId, variantId);
+
+    } catch (error) {
+      dbLogger.logError('UPDATE', this.tableName, error, { productId, variantId });
+      throw error;
+    }
+  }
+
+  // Variants of one product describe the same options (size and colour, say) and no two of
+  // them may have the same values. Returns the options in the order the other variants use.
+  assertOptionsMatch(siblings, variant) {
+    if (siblings.length === 0) {
+      return variant.options;
+    }
+
+    const names = Object.keys(JSON.parse(siblings[0].options));
+    if ([...names].sort().join(',') !== Object.keys(variant.options).sort().join(',')) {
+      throw new Error(`Variant options must be exactly: ${names.join(', ')}`);
+    }
+
+    const duplicate = siblings.find(sibling => sibling.option_key === variant.optionKey);
+    if (duplicate) {
+      throw new Error(`Variant ${duplicate.sku} already has these options`);
+    }
+
+    const ordered = {};
+    names.forEach(name => { ordered[name] = variant.options[name]; });
+    return ordered;
+  }
+
+  // The option names of a product's variants with every value in use, e.g.
+  // [{ name: 'size', values: ['S', 'M'] }, { name: 'colour', values: ['Red', 'Blue'] }]
+  buildOptionMatrix(variants) {
+    const matrix = new Map();
+
+    variants.forEach(variant => {
+      Object.keys(variant.options).forEach(name => {
+        if (!matrix.has(name)) {
+          matrix.set(name, []);
+        }
+        const values = matrix.get(name);
+        if (!values.includes(variant.options[name])) {
+          values.push(variant.options[name]);
+        }
+      });
+    });
+
+    return Array.from(matrix, ([name, values]) => ({ name, values }));
+  }
+
+  formatVariantResponse(variant) {
+    const price = variant.price === null || variant.price === undefined ? variant.product_price : variant.price;
+
+    return {
+      id: variant.id,
+      productId: variant.product_id,
+      sku: variant.sku,
+      options: JSON.parse(variant.options),
+      price: parseFloat(price),
+      priceOverride: variant.price !== null && variant.price !== undefined,
+      stock: {
+        onHand: variant.stock_quantity,
+        reserved: variant.reserved_quantity || 0,
+        available: variant.stock_quantity - (variant.reserved_quantity || 0)
+      },
+      status: variant.status,
+      createdAt: variant.created_at,
+      updatedAt: variant.updated_at
+    };
+  }
+}
+
+module.exports = new VariantModel();
@@ -0,0 +1,590 @@
+const db = require('../db');
+const { logger, dbLogger } = require('../utils/logger');
+const { sanitize } = require('../utils/validation');
+const InventoryModel = require('./inventoryModel');
+
+// One stock row: a product, or one of its variants, in a warehouse
+const STOCK_ROW = 'warehouse_id = ? AND product_id = ? AND COALESCE(variant_id, 0) = ?';
+
+// Warehouses and the stock each of them holds. The stock columns on products and variants are
+// the totals across warehouses; the helpers below change a warehouse's share and expect the
+// caller to change the totals in the same transaction.
+class WarehouseModel {
+  constructor() {
+    this.tableName = 'warehouses';
+  }
+
+  async create(warehouseData) {
+    const startTime = Date.now();
+
+    try {
+      const { code, name, address, priority = 100 } = warehouseData;
+
+      const sanitizedData = {
+        code: code.toUpperCase().trim(),
+        name: sanitize.cleanString(name),
+        address: sanitize.cleanString(address) || null,
+        priority
+      };
+
+      const existing = await db.get('SELECT id FROM warehouses WHERE code = ?', [sanitizedData.code]);
+      if (existing) {
+        throw new Error(`Warehouse code ${sanitizedData.code} is already in use`);
+      }
+
+      const result = await db.run(
+        'INSERT INTO warehouses (code, name, address, priority) VALUES (?, ?, ?, ?)',
+        [sanitizedData.code, sanitizedData.name, sanitizedData.address, sanitizedData.priority]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('INSERT', this.tableName, sanitizedData, duration);
+
+      logger.info('Warehouse created successfully', {
+        warehouseId: result.id,
+        code: sanitizedData.code,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(result.id);
+
+    } catch (error) {
+      dbLogger.logError('INSERT', this.tableName, error, warehouseData);
+
+      if (error.message.includes('UNIQUE constraint failed')) {
+        throw new Error('Warehouse code is already in use');
+      }
+
+      throw error;
+    }
+  }
+
+  // A warehouse with the totals of the stock it holds
+  async findById(id) {
+    const startTime = Date.now();
+
+    try {
+      const warehouse = await db.get(`
+        SELECT
+          w.*,
+          COALESCE(SUM(ws.stock_quantity), 0) as stock_quantity,
+          COALESCE(SUM(ws.reserved_quantity), 0) as reserved_quantity,
+          COUNT(ws.id) as stock_lines
+        FROM warehouses w
+        LEFT JOIN warehouse_stock ws ON ws.warehouse_id = w.id
+        WHERE w.id = ?
+        GROUP BY w.id
+      `, [id]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT', this.tableName, { id }, duration);
+
+      return warehouse ? this.formatWarehouseResponse(warehouse) : null;
+
+    } catch (error) {
+      dbLogger.logError('SELECT', this.tableName, error, { id });
+      throw error;
+    }
+  }
+
+  // Every warehouse in allocation order
+  async findAll() {
+    const startTime = Date.now();
+
+    try {
+      const warehouses = await db.all(`
+        SELECT
+          w.*,
+          COALESCE(SUM(ws.stock_quantity), 0) as stock_quantity,
+          COALESCE(SUM(ws.reserved_quantity), 0) as reserved_quantity,
+          COUNT(ws.id) as stock_lines
+        FROM warehouses w
+        LEFT JOIN warehouse_stock ws ON ws.warehouse_id = w.id
+        GROUP BY w.id
+        ORDER BY w.priority, w.id
+      `);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_ALL', this.tableName, {}, duration);
+
+      return warehouses.map(warehouse => this.formatWarehouseResponse(warehouse));
+
+    } catch (error) {
+      dbLogger.logError('SELECT_ALL', this.tableName, error, {});
+      throw error;
+    }
+  }
+
+  // Inactive warehouses keep their stock and can still ship what they hold for orders and
+  // transfer it out, but receive no new orders or stock
+  async update(id, updateData) {
+    const startTime = Date.now();
+
+    try {
+      const sanitizedData = {};
+      if (updateData.name) sanitizedData.name = sanitize.cleanString(updateData.name);
+      if (updateData.address !== undefined) sanitizedData.address = sanitize.cleanString(updateData.address) || null;
+      if (updateData.priority !== undefined) sanitizedData.priority = updateData.priority;
+      if (updateData.status) sanitizedData.status = updateData.status;
+
+      const updateFields = Object.keys(sanitizedData);
+      if (updateFields.length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      const setClause = updateFields.map(field => `${field} = ?`).join(', ');
+      const result = await db.run(
+        `UPDATE warehouses SET ${setClause} WHERE id = ?`,
+        [...updateFields.map(field => sanitizedData[field]), id]
+      );
+
+      if (result.changes === 0) {
+        throw new Error(`Warehouse with ID ${id} not found`);
+      }
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('UPDATE', this.tableName, { id, ...sanitizedData }, duration);
+
+      logger.info('Warehouse updated successfully', {
+        warehouseId: id,
+        updatedFields: updateFields,
+        duration: `${duration}ms`
+      });
+
+      return await this.findById(id);
+
+    } catch (error) {
+      dbLogger.logError('UPDATE', this.tableName, error, { id, updateData });
+      throw error;
+    }
+  }
+
+  // Stock lines of a warehouse, least available first
+  async findStock(warehouseId, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const { page = 1, limit = 20 } = options;
+      const offset = (page - 1) * limit;
+
+      const countResult = await db.get(
+        'SELECT COUNT(*) as total FROM warehouse_stock WHERE warehouse_id = ?',
+        [warehouseId]
+      );
+      const total = countResult.total;
+
+      const rows = await db.all(`
+        ${this.stockLineSelect()}
+        WHERE ws.warehouse_id = ?
+        ORDER BY ws.stock_quantity - ws.reserved_quantity, ws.id
+        LIMIT ? OFFSET ?
+      `, [warehouseId, limit, offset]);
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_STOCK', 'warehouse_stock', { warehouseId, page, limit }, duration);
+
+      return {
+        stock: rows.map(row => this.formatStockLineResponse(row)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      dbLogger.logError('SELECT_STOCK', 'warehouse_stock', error, { warehouseId, ...options });
+      throw error;
+    }
+  }
+
+  // Where a product's stock is, per warehouse and variant
+  async findStockByProduct(productId) {
+    const rows = await db.all(`
+      ${this.stockLineSelect()}
+      WHERE ws.product_id = ?
+      ORDER BY w.priority, w.id, ws.variant_id
+    `, [productId]);
+
+    return rows.map(row => this.formatStockLineResponse(row));
+  }
+
+  // Stock lines at or below a threshold of available units, in one warehouse or all of them.
+  // Discontinued products and variants are left out.
+  async findLowStock(threshold, warehouseId = null) {
+    const params = [threshold];
+    let warehouseCondition = '';
+
+    if (warehouseId) {
+      warehouseCondition = 'AND ws.warehouse_id = ?';
+      params.push(warehouseId);
+    }
+
+    const rows = await db.all(`
+      ${this.stockLineSelect()}
+      WHERE ws.stock_quantity - ws.reserved_quantity <= ? ${warehouseCondition}
+        AND p.status != 'discontinued'
+        AND (v.id IS NULL OR v.status != 'discontinued')
+      ORDER BY ws.stock_quantity - ws.reserved_quantity, w.priority, w.id, ws.id
+    `, params);
+
+    return rows.map(row => this.formatStockLineResponse(row));
+  }
+
+  // Move stock from one warehouse to another. Products with variants are moved per variant.
+  async transfer(transferData, actorId = null) {
+    const startTime = Date.now();
+    const { fromWarehouseId, toWarehouseId, productId, variantId = null, quantity, note = null } = transferData;
+
+    try {
+      if (fromWarehouseId === toWarehouseId) {
+        throw new Error('Source and destination warehouse must differ');
+      }
+
+      const transferId = await db.transaction(async (tx) => {
+        const from = await this.resolve(fromWarehouseId, false);
+        const to = await this.resolve(toWarehouseId);
+
+        const product = await tx.get('SELECT id FROM products WHERE id = ?', [productId]);
+        if (!product) {
+          throw new Error(`Product with ID ${productId} not found`);
+        }
+
+        const variants = await tx.get('SELECT COUNT(*) as count FROM product_variants WHERE product_id = ?', [productId]);
+        if (variants.count > 0 && !variantId) {
+          throw new Error('Product has variants, choose one with variantId');
+        }
+        if (variantId) {
+          const variant = await tx.get('SELECT id FROM product_variants WHERE id = ? AND product_id = ?', [variantId, productId]);
+          if (!variant) {
+            throw new Error(`Variant ${variantId} of product ${productId} not found`);
+          }
+        }
+
+        const taken = await this.adjustStock(from.id, productId, variantId, -quantity);
+        if (!taken) {
+          const available = await this.availableAt(from.id, productId, variantId);
+          throw new Error(`Insufficient stock in warehouse ${from.code}. Available: ${available}, Requested: ${quantity}`);
+        }
+        await this.adjustStock(to.id, productId, variantId, quantity);
+
+        const inserted = await tx.run(
+          `INSERT INTO warehouse_transfers
+           (from_warehouse_id, to_warehouse_id, product_id, variant_id, quantity, note, actor_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [from.id, to.id, productId, variantId, quantity, note, actorId]
+        );
+
+        for (const [warehouseId, delta] of [[from.id, -quantity], [to.id, quantity]]) {
+          await InventoryModel.recordMovement({
+            productId,
+            variantId,
+            warehouseId,
+            delta,
+            reason: 'transfer',
+            referenceType: 'transfer',
+            referenceId: inserted.id,
+            actorId,
+            note
+          });
+        }
+
+        return inserted.id;
+      });
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('TRANSFER', 'warehouse_transfers', transferData, duration);
+
+      logger.info('Stock transferred between warehouses', {
+        transferId,
+        fromWarehouseId,
+        toWarehouseId,
+        productId,
+        variantId,
+        quantity,
+        duration: `${duration}ms`
+      });
+
+      return await this.findTransferById(transferId);
+
+    } catch (error) {
+      dbLogger.logError('TRANSFER', 'warehouse_transfers', error, transferData);
+      throw error;
+    }
+  }
+
+  async findTransferById(id) {
+    const transfer = await db.get(`${this.transferSelect()} WHERE t.id = ?`, [id]);
+    return transfer ? this.formatTransferResponse(transfer) : null;
+  }
+
+  // Transfers, newest first, optionally those in or out of one warehouse or of one product
+  async findTransfers(options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const { page = 1, limit = 20, warehouse_id = null, product_id = null } = options;
+      const offset = (page - 1) * limit;
+      const conditions = [];
+      const params = [];
+
+      if (warehouse_id) {
+        conditions.push('(t.from_warehouse_id = ? OR t.to_warehouse_id = ?)');
+        params.push(warehouse_id, warehouse_id);
+      }
+
+      if (product_id) {
+        conditions.push('t.product_id = ?');
+        params.push(product_id);
+      }
+
+      const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+      const countResult = await db.get(
+        `SELECT COUNT(*) as total FROM warehouse_transfers t ${whereClause}`,
+        params
+      );
+      const total = countResult.total;
+
+      const transfers = await db.all(
+        `${this.transferSelect()} ${whereClause} ORDER BY t.created_at DESC, t.id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const duration = Date.now() - startTime;
+      dbLogger.logQuery('SELECT_TRANSFERS', 'warehouse_transfers', options, duration);
+
+      return {
+        transfers: transfers.map(transfer => this.formatTransferResponse(transfer)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      dbLogger.logError('SELECT_TRANSFERS', 'warehouse_transfers', error, options);
+      throw error;
+    }
+  }
+
+  // The warehouse asked for, or else the first active one in allocation order. Stock can
+  // still be taken out of an inactive warehouse, but not put into it.
+  async resolve(warehouseId = null, receiving = true) {
+    if (!warehouseId) {
+      const warehouse = await db.get("SELECT * FROM warehouses WHERE status = 'active' ORDER BY priority, id LIMIT 1");
+      if (!warehouse) {
+        throw new Error('No active warehouse to hold stock');
+      }
+      return warehouse;
+    }
+
+    const warehouse = await db.get('SELECT * FROM warehouses WHERE id = ?', [warehouseId]);
+    if (!warehouse) {
+      throw new Error(`Unknown warehouse: ${warehouseId}`);
+    }
+    if (receiving && warehouse.status !== 'active') {
+      throw new Error(`Warehouse ${warehouse.code} is inactive and cannot receive stock`);
+    }
+
+    return warehouse;
+  }
+
+  // Change the on-hand stock of a warehouse; returns false when that would leave it with
+  // less than it has reserved (call inside the caller's transaction)
+  async adjustStock(warehouseId, productId, variantId, delta) {
+    const key = [warehouseId, productId, variantId || 0];
+    const existing = await db.get(`SELECT id FROM warehouse_stock WHERE ${STOCK_ROW}`, key);
+
+    if (!existing) {
+      if (delta < 0) {
+        return false;
+      }
+
+      await db.run(
+        'INSERT INTO warehouse_stock (warehouse_id, product_id, variant_id, stock_quantity) VALUES (?, ?, ?, ?)',
+        [warehouseId, productId, variantId || null, delta]
+      );
+      return true;
+    }
+
+    const result = await db.run(
+      'UPDATE warehouse_stock SET stock_quantity = stock_quantity + ? WHERE id = ? AND stock_quantity + ? >= reserved_quantity',
+      [delta, existing.id, delta]
+    );
+    return result.changes > 0;
+  }
+
+  async availableAt(warehouseId, productId, variantId) {
+    const row = await db.get(
+      `SELECT stock_quantity - reserved_quantity as available FROM warehouse_stock WHERE ${STOCK_ROW}`,
+      [warehouseId, productId, variantId || 0]
+    );
+    return row ? row.available : 0;
+  }
+
+  // Hold an order line in the active warehouses. The first warehouse by priority that can ship
+  // all of it gets the whole line; otherwise the line is split across warehouses in priority
+  // order. Returns one { warehouseId, quantity } per warehouse, or null when the active
+  // warehouses together hold too little (call inside the caller's transaction, which must
+  // roll back on null to undo a partial split)
+  async allocate(productId, variantId, quantity) {
+    const candidates = await db.all(`
+      SELECT ws.id, ws.warehouse_id, ws.stock_quantity - ws.reserved_quantity as available
+      FROM warehouse_stock ws
+      JOIN warehouses w ON ws.warehouse_id = w.id
+      WHERE ws.product_id = ? AND COALESCE(ws.variant_id, 0) = ? AND w.status = 'active'
+        AND ws.stock_quantity - ws.reserved_quantity > 0
+      ORDER BY w.priority, w.id
+    `, [productId, variantId || 0]);
+
+    // Guarded again in case a concurrent order took the stock in the meantime
+    const hold = async (candidate, amount) => {
+      const held = await db.run(
+        `UPDATE warehouse_stock SET reserved_quantity = reserved_quantity + ?
+         WHERE id = ? AND stock_quantity - reserved_quantity >= ?`,
+        [amount, candidate.id, amount]
+      );
+      return held.changes > 0;
+    };
+
+    for (const candidate of candidates.filter(row => row.available >= quantity)) {
+      if (await hold(candidate, quantity)) {
+        return [{ warehouseId: candidate.warehouse_id, quantity }];
+      }
+    }
+
+    const allocations = [];
+    let remaining = quantity;
+
+    for (const candidate of candidates) {
+      const amount = Math.min(candidate.available, remaining);
+      if (await hold(candidate, amount)) {
+        allocations.push({ warehouseId: candidate.warehouse_id, quantity: amount });
+        remaining -= amount;
+      }
+
+      if (remaining === 0) {
+        return allocations;
+      }
+    }
+
+    return null;
+  }
+
+  // Ship held stock: it leaves both the warehouse's reserved and on-hand quantities
+  async commitHeld(warehouseId, productId, variantId, quantity) {
+    return db.run(
+      `UPDATE warehouse_stock
+       SET stock_quantity = stock_quantity - ?, reserved_quantity = reserved_quantity - ?
+       WHERE ${STOCK_ROW}`,
+      [quantity, quantity, warehouseId, productId, variantId || 0]
+    );
+  }
+
+  async releaseHeld(warehouseId, productId, variantId, quantity) {
+    return db.run(
+      `UPDATE warehouse_stock SET reserved_quantity = reserved_quantity - ? WHERE ${STOCK_ROW}`,
+      [quantity, warehouseId, productId, variantId || 0]
+    );
+  }
+
+  stockLineSelect() {
+    return `
+      SELECT
+        ws.*,
+        w.code as warehouse_code,
+        w.name as warehouse_name,
+        p.name as product_name,
+        p.sku as product_sku,
+        v.sku as variant_sku,
+        v.options as variant_options
+      FROM warehouse_stock ws
+      JOIN warehouses w ON ws.warehouse_id = w.id
+      JOIN products p ON ws.product_id = p.id
+      LEFT JOIN product_variants v ON ws.variant_id = v.id
+    `;
+  }
+
+  transferSelect() {
+    return `
+      SELECT
+        t.*,
+        wf.code as from_code,
+        wt.code as to_code,
+        u.name as actor_name,
+        u.email as actor_email
+      FROM warehouse_transfers t
+      JOIN warehouses wf ON t.from_warehouse_id = wf.id
+      JOIN warehouses wt ON t.to_warehouse_id = wt.id
+      LEFT JOIN users u ON t.actor_id = u.id
+    `;
+  }
+
+  formatWarehouseResponse(warehouse) {
+    return {
+      id: warehouse.id,
+      code: warehouse.code,
+      name: warehouse.name,
+      address: warehouse.address,
+      priority: warehouse.priority,
+      status: warehouse.status,
+      stock: {
+        onHand: warehouse.stock_quantity,
+        reserved: warehouse.reserved_quantity,
+        available: warehouse.stock_quantity - warehouse.reserved_quantity,
+        lines: warehouse.stock_lines
+      },
+      createdAt: warehouse.created_at,
+      updatedAt: warehouse.updated_at
+    };
+  }
+
+  formatStockLineResponse(line) {
+    return {
+      warehouse: {
+        id: line.warehouse_id,
+        code: line.warehouse_code,
+        name: line.warehouse_name
+      },
+      productId: line.product_id,
+      productName: line.product_name,
+      variantId: line.variant_id,
+      sku: line.variant_id ? line.variant_sku : line.product_sku,
+      options: line.variant_options ? JSON.parse(line.variant_options) : null,
+      stock: {
+        onHand: line.stock_quantity,
+        reserved: line.reserved_quantity,
+        available: line.stock_quantity - line.reserved_quantity
+      },
+      updatedAt: line.updated_at
+    };
+  }
+
+  formatTransferResponse(transfer) {
+    return {
+      id: transfer.id,
+      from: { id: transfer.from_warehouse_id, code: transfer.from_code },
+      to: { id: transfer.to_warehouse_id, code: transfer.to_code },
+      productId: transfer.product_id,
+      variantId: transfer.variant_id,
+      quantity: transfer.quantity,
+      note: transfer.note,
+      actor: transfer.actor_id ? {
+        id: transfer.actor_id,
+        name: transfer.actor_name,
+        email: transfer.actor_email
+      } : null,
+      createdAt: transfer.created_at
+    };
+  }
+}
+
+module.exports = new WarehouseModel();
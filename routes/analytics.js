@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validate, schemas } = require('../utils/validation');
+const { authorize } = require('../utils/auth');
+const AnalyticsModel = require('../models/analyticsModel');
+
+// GET /analytics/sales - Sales time series, breakdowns and comparison with the previous period
+router.get('/sales', authorize('analytics:view'), validate(schemas.salesAnalyticsQuery, 'query'), async (req, res) => {
+  try {
+    const options = {
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      interval: req.query.interval,
+      top: req.query.top
+    };
+
+    logger.info('Retrieving sales analytics', { options });
+
+    const report = await AnalyticsModel.getSalesReport(options);
+
+    res.json({
+      success: true,
+      message: 'Sales analytics retrieved successfully',
+      data: report,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving sales analytics', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve sales analytics',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /analytics/products - Units sold, revenue, cancellation rate and stock turnover per product
+router.get('/products', authorize('analytics:view'), validate(schemas.productPerformanceQuery, 'query'), async (req, res) => {
+  try {
+    logger.info('Retrieving product performance', { query: req.query });
+
+    const report = await AnalyticsModel.getProductPerformance(req.query);
+
+    res.json({
+      success: true,
+      message: 'Product performance retrieved successfully',
+      data: {
+        period: report.period,
+        products: report.products
+      },
+      pagination: report.pagination,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving product performance', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve product performance',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
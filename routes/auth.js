@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validate, schemas } = require('../utils/validation');
+const { authenticate } = require('../utils/auth');
+const AuthModel = require('../models/authModel');
+
+// Middleware for request logging
+router.use((req, res, next) => {
+  logger.info('Auth route accessed', {
+    method: req.method,
+    path: req.path,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  next();
+});
+
+// POST /auth/register - Create an account and log in
+router.post('/register', validate(schemas.register), async (req, res) => {
+  try {
+    logger.info('Registering new user', { email: req.body.email });
+
+    const session = await AuthModel.register(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: session,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error registering user', {
+      error: error.message,
+      email: req.body.email
+    });
+
+    if (error.message.includes('already registered')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already exists',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to register user',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /auth/login - Exchange credentials for access and refresh tokens
+router.post('/login', validate(schemas.login), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const session = await AuthModel.login(email, password);
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      data: session,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error logging in', {
+      error: error.message,
+      email: req.body.email
+    });
+
+    if (error.message.includes('Invalid email or password') || error.message.includes('Account is')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to log in',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /auth/refresh - Rotate a refresh token for a new token pair
+router.post('/refresh', validate(schemas.refreshToken), async (req, res) => {
+  try {
+    const session = await AuthModel.refresh(req.body.refresh_token);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: session,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error refreshing token', { error: error.message });
+
+    if (error.message.includes('token') || error.message.includes('Token') || error.message.includes('Account')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to refresh token',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /auth/logout - Revoke the current access token and optionally the refresh token
+router.post('/logout', authenticate, validate(schemas.logout), async (req, res) => {
+  try {
+    const result = await AuthModel.logout(req.auth, req.body.refresh_token);
+
+    res.json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error logging out', {
+      error: error.message,
+      userId: req.user.id
+    });
+
+    if (error.message.includes('token') || error.message.includes('Token')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid refresh token',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to log out',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /auth/me - Get the authenticated user
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    message: 'Authenticated user retrieved successfully',
+    data: req.user,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validate, schemas } = require('../utils/validation');
+const { authorize } = require('../utils/auth');
+const CategoryModel = require('../models/categoryModel');
+
+// Errors from CategoryModel.create/update that are the client's to fix
+const isCategoryValidationError = (error) => {
+  return error.message.includes('does not exist') ||
+    error.message.includes('cannot be moved') ||
+    error.message.includes('must contain') ||
+    error.message.includes('No valid fields');
+};
+
+// POST /categories - Create a category
+router.post('/', authorize('categories:manage'), validate(schemas.createCategory), async (req, res) => {
+  try {
+    logger.info('Creating new category', { name: req.body.name, parentId: req.body.parentId });
+
+    const category = await CategoryModel.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error creating category', {
+      error: error.message,
+      categoryData: req.body
+    });
+
+    if (error.message.includes('already in use')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Slug conflict',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (isCategoryValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to create category',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /categories - Get all categories, each with its path from the root
+router.get('/', async (req, res) => {
+  try {
+    const categories = await CategoryModel.findAll();
+
+    res.json({
+      success: true,
+      message: 'Categories retrieved successfully',
+      data: categories,
+      count: categories.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving categories', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve categories',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /categories/:id - Get a category with its ancestors and subcategories
+router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+
+    const category = await CategoryModel.findWithRelations(categoryId);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+        error: `Category with ID ${categoryId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category retrieved successfully',
+      data: category,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving category', {
+      error: error.message,
+      categoryId: req.params.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve category',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PATCH /categories/:id - Rename, re-slug or move a category
+router.patch('/:id', authorize('categories:manage'), validate(schemas.idParam, 'params'), validate(schemas.updateCategory), async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+
+    logger.info('Updating category', { categoryId, updateData: req.body });
+
+    const category = await CategoryModel.update(categoryId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating category', {
+      error: error.message,
+      categoryId: req.params.id,
+      updateData: req.body
+    });
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (error.message.includes('already in use')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Slug conflict',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (isCategoryValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update category',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /categories/:id - Delete a category that has no subcategories or products
+router.delete('/:id', authorize('categories:manage'), validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const categoryId = parseInt(req.params.id);
+
+    logger.info('Deleting category', { categoryId });
+
+    const result = await CategoryModel.delete(categoryId);
+
+    res.json({
+      success: true,
+      message: result.message,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error deleting category', {
+      error: error.message,
+      categoryId: req.params.id
+    });
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (error.message.includes('still has')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Category is not empty',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to delete category',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -2,8 +2,67 @@ const express = require('express');
 const router = express.Router();
 const { logger } = require('../utils/logger');
 const { validate, schemas } = require('../utils/validation');
+const { resources, pickFilters } = require('../utils/queryBuilder');
+const { authorize, hasPermission, forbidden } = require('../utils/auth');
+const ExportWriter = require('../utils/exportWriter');
 const OrderModel = require('../models/orderModel');
 
+// One row per order line; order columns repeat on each of its lines
+const EXPORT_COLUMNS = [
+  'orderId', 'orderDate', 'status', 'userId', 'userName', 'userEmail', 'shippingRegion',
+  'subtotal', 'discountTotal', 'taxTotal', 'shippingTotal', 'totalPrice',
+  'itemId', 'productId', 'sku', 'productName', 'category', 'variantId', 'variantSku', 'variantOptions',
+  'quantity', 'unitPrice', 'lineTotal', 'taxRate', 'taxAmount',
+  'notes', 'createdAt', 'updatedAt'
+];
+
+const toExportRows = (order) => {
+  const items = order.items.length > 0 ? order.items : [null];
+  
+  return items.map(item => [
+    order.id,
+    order.orderDate,
+    order.status,
+    order.userId,
+    order.user.name,
+    order.user.email,
+    order.shippingRegion,
+    order.subtotal,
+    order.discountTotal,
+    order.taxTotal,
+    order.shippingTotal,
+    order.totalPrice,
+    item ? item.id : null,
+    item ? item.productId : null,
+    item ? item.product.sku : null,
+    item ? item.product.name : null,
+    item ? item.product.category : null,
+    item ? item.variantId : null,
+    item && item.variant ? item.variant.sku : null,
+    item && item.variant ? Object.entries(item.variant.options).map(([name, value]) => `${name}: ${value}`).join(', ') : null,
+    item ? item.quantity : null,
+    item ? item.unitPrice : null,
+    item ? item.lineTotal : null,
+    item ? item.taxRate : null,
+    item ? item.taxAmount : null,
+    order.notes,
+    order.createdAt,
+    order.updatedAt
+  ]);
+};
+
+// Coupons and promotions that cannot be used on the order being placed
+const isPromotionError = (error) => {
+  return error.message.includes('Coupon code') ||
+    error.message.includes('usage limit') ||
+    error.message.includes('maximum number of times');
+};
+
+// Customers may only touch their own orders; staff and admins may touch any
+const canAccessOrder = (user, order) => {
+  return order.userId === user.id || hasPermission(user, 'orders:view_any');
+};
+
 // Middleware for request logging
 router.use((req, res, next) => {
   logger.info('Order route accessed', {
@@ -18,15 +77,18 @@ router.use((req, res, next) => {
 // POST /orders - Create a new order
 router.post('/', validate(schemas.createOrder), async (req, res) => {
   try {
-    const orderData = req.body;
+    const orderData = { ...req.body, user_id: req.body.user_id || req.user.id };
+    
+    if (orderData.user_id !== req.user.id && !hasPermission(req.user, 'orders:create_any')) {
+      return forbidden(res, 'You can only place orders for your own account');
+    }
     
     logger.info('Creating new order', { 
       userId: orderData.user_id, 
-      productId: orderData.product_id, 
-      quantity: orderData.quantity 
+      itemCount: orderData.items ? orderData.items.length : 1
     });
     
-    const order = await OrderModel.create(orderData);
+    const order = await OrderModel.create(orderData, req.user.id);
     
     logger.info('Order created successfully', { 
       orderId: order.id, 
@@ -56,7 +118,16 @@ router.post('/', validate(schemas.createOrder), async (req, res) => {
       });
     }
     
-    if (error.message.includes('inactive') || error.message.includes('stock') || error.message.includes('out_of_stock')) {
+    if (isPromotionError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon could not be applied',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('inactive') || error.message.includes('stock') || error.message.includes('out_of_stock') || error.message.includes('discontinued') || error.message.includes('has variants')) {
       return res.status(400).json({
         success: false,
         message: 'Order validation failed',
@@ -84,23 +155,28 @@ router.post('/', validate(schemas.createOrder), async (req, res) => {
 });
 
 // GET /orders - Get all orders with advanced filtering
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.orderListQuery, 'query'), async (req, res) => {
   try {
     const options = {
-      page: parseInt(req.query.page) || 1,
-      limit: parseInt(req.query.limit) || 10,
-      sort: req.query.sort || 'created_at',
-      order: req.query.order || 'DESC',
-      status: req.query.status,
-      user_id: req.query.user_id ? parseInt(req.query.user_id) : null,
-      product_id: req.query.product_id ? parseInt(req.query.product_id) : null,
+      page: req.query.page,
+      limit: req.query.limit,
+      sort: req.query.sort,
+      order: req.query.order,
+      filters: pickFilters(resources.orders, req.query),
+      product_id: req.query.product_id,
       date_from: req.query.date_from,
       date_to: req.query.date_to,
-      min_amount: req.query.min_amount ? parseFloat(req.query.min_amount) : null,
-      max_amount: req.query.max_amount ? parseFloat(req.query.max_amount) : null,
-      include_details: req.query.include_details === 'true'
+      min_amount: req.query.min_amount ?? null,
+      max_amount: req.query.max_amount ?? null,
+      include_details: req.query.include_details,
+      cursor: req.query.cursor
     };
     
+    // Customers only ever see their own orders
+    if (!hasPermission(req.user, 'orders:view_any')) {
+      options.filters.user_id = req.user.id;
+    }
+    
     logger.info('Retrieving orders', { options });
     
     const result = await OrderModel.findAll(options);
@@ -124,6 +200,15 @@ router.get('/', async (req, res) => {
       query: req.query 
     });
     
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -133,6 +218,65 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /orders/export - Stream matching orders as CSV or XLSX (accepts the GET /orders filters and sort)
+router.get('/export', authorize('orders:export'), validate(schemas.orderExportQuery, 'query'), async (req, res) => {
+  const options = {
+    sort: req.query.sort,
+    order: req.query.order,
+    filters: pickFilters(resources.orders, req.query),
+    product_id: req.query.product_id,
+    date_from: req.query.date_from,
+    date_to: req.query.date_to,
+    min_amount: req.query.min_amount ?? null,
+    max_amount: req.query.max_amount ?? null,
+    include_details: true
+  };
+  const writer = new ExportWriter(res, {
+    format: req.query.format,
+    filename: `orders-${new Date().toISOString().slice(0, 10)}`,
+    sheetName: 'Orders',
+    columns: EXPORT_COLUMNS
+  });
+  let exported = 0;
+  
+  try {
+    logger.info('Exporting orders', { options, format: req.query.format });
+    
+    for await (const orders of OrderModel.findAllInBatches(options)) {
+      await writer.writeRows(orders.flatMap(toExportRows));
+      exported += orders.length;
+      
+      if (writer.aborted) {
+        logger.warn('Order export aborted by client', { exported });
+        return;
+      }
+    }
+    
+    await writer.end();
+    logger.info('Orders exported', { count: exported, format: req.query.format });
+
+  } catch (error) {
+    logger.error('Error exporting orders', { 
+      error: error.message, 
+      exported,
+      query: req.query 
+    });
+    
+    // Once the file has started there is no way to report an error but to cut it short
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to export orders',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // GET /orders/:id - Get order by ID with full details
 router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
   try {
@@ -152,6 +296,10 @@ router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
       });
     }
     
+    if (!canAccessOrder(req.user, order)) {
+      return forbidden(res, 'You can only view your own orders');
+    }
+    
     logger.info('Order retrieved successfully', { orderId: order.id });
     
     res.json({
@@ -176,6 +324,169 @@ router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
   }
 });
 
+// GET /orders/:id/history - Get the status timeline of an order
+router.get('/:id/history', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    
+    logger.info('Retrieving order status history', { orderId });
+    
+    const order = await OrderModel.findById(orderId);
+    if (order && !canAccessOrder(req.user, order)) {
+      return forbidden(res, 'You can only view your own orders');
+    }
+    
+    const history = await OrderModel.getStatusHistory(orderId);
+    
+    res.json({
+      success: true,
+      message: 'Order history retrieved successfully',
+      data: history,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving order history', { 
+      error: error.message, 
+      orderId: req.params.id 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve order history',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PATCH /orders/:id/status - Move an order to its next status
+router.patch('/:id/status', authorize('orders:transition'), validate(schemas.idParam, 'params'), validate(schemas.updateOrderStatus), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { status, notes } = req.body;
+    
+    logger.info('Updating order status', { orderId, status });
+    
+    const order = await OrderModel.updateStatus(orderId, status, notes || null, req.user.id);
+    
+    logger.info('Order status updated successfully', { orderId, status: order.status });
+    
+    res.json({
+      success: true,
+      message: 'Order status updated successfully',
+      data: order,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating order status', { 
+      error: error.message, 
+      orderId: req.params.id,
+      body: req.body 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('Cannot change status') || error.message.includes('Cannot cancel') || error.message.includes('already cancelled') || error.message.includes('has expired')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Invalid status transition',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update order status',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /orders/:id/cancel - Cancel an order and restore its stock
+router.post('/:id/cancel', validate(schemas.idParam, 'params'), validate(schemas.cancelOrder), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { reason } = req.body;
+    
+    logger.info('Cancelling order', { orderId, reason });
+    
+    // Customers may cancel their own orders only before they are confirmed
+    if (!hasPermission(req.user, 'orders:cancel_any')) {
+      const existingOrder = await OrderModel.findById(orderId);
+      
+      if (existingOrder && existingOrder.userId !== req.user.id) {
+        return forbidden(res, 'You can only cancel your own orders');
+      }
+      
+      if (existingOrder && existingOrder.status !== 'pending') {
+        return forbidden(res, 'Only pending orders can be cancelled by the customer');
+      }
+    }
+    
+    const order = await OrderModel.cancel(orderId, reason || null, req.user.id);
+    
+    logger.info('Order cancelled successfully', { orderId });
+    
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: order,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling order', { 
+      error: error.message, 
+      orderId: req.params.id 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('Cannot cancel') || error.message.includes('already cancelled')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order cannot be cancelled',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to cancel order',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 module.exports = router;
 
 // POST /orders - Create a new order
@@ -2,7 +2,88 @@ const express = require('express');
 const router = express.Router();
 const { logger } = require('../utils/logger');
 const { validate, schemas } = require('../utils/validation');
+const { resources, pickFilters } = require('../utils/queryBuilder');
+const { authorize } = require('../utils/auth');
+const { idempotency } = require('../utils/idempotency');
+const { parseCsv } = require('../utils/csv');
+const ExportWriter = require('../utils/exportWriter');
 const ProductModel = require('../models/productModel');
+const VariantModel = require('../models/variantModel');
+const InventoryModel = require('../models/inventoryModel');
+
+const IMPORT_MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+
+const IMPORT_CONTENT_TYPES = {
+  csv: ['text/csv'],
+  jsonl: ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines']
+};
+
+const EXPORT_COLUMNS = [
+  'id', 'sku', 'name', 'description', 'category', 'price',
+  'stockQuantity', 'reservedQuantity', 'availableQuantity', 'status', 'createdAt', 'updatedAt'
+];
+
+// Errors from VariantModel that clash with the product's current state
+const isVariantConflict = (error) => {
+  return error.message.includes('already in use') ||
+    error.message.includes('already has these options') ||
+    error.message.includes('still holds stock') ||
+    error.message.includes('discontinued product') ||
+    error.message.includes('pending or confirmed orders');
+};
+
+// Errors from VariantModel that are the client's to fix
+const isVariantValidationError = (error) => {
+  return error.message.includes('Variant options must') ||
+    error.message.includes('No valid fields') ||
+    error.message.includes('Insufficient stock');
+};
+
+// Errors from WarehouseModel about the warehouse a stock change was aimed at
+const isWarehouseError = (error) => {
+  return error.message.includes('Unknown warehouse') ||
+    error.message.includes('cannot receive stock') ||
+    error.message.includes('No active warehouse') ||
+    error.message.includes('Insufficient stock in warehouse');
+};
+
+// Turn an uploaded file into import rows of { line, data } (or { line, error } for lines
+// that cannot be read). Empty CSV cells are left out so schema defaults apply.
+const parseImportRows = (text, format) => {
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.values.map(column => column.trim());
+    return records.map(record => {
+      const data = {};
+      columns.forEach((column, index) => {
+        const cell = record.values[index];
+        if (column && cell !== undefined && cell.trim() !== '') {
+          data[column] = cell;
+        }
+      });
+      return { line: record.line, data };
+    });
+  }
+
+  return text.split(/\r?\n/)
+    .map((content, index) => ({ line: index + 1, content: content.trim() }))
+    .filter(entry => entry.content !== '')
+    .map(({ line, content }) => {
+      try {
+        const data = JSON.parse(content);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+          return { line, error: 'Line must be a JSON object' };
+        }
+        return { line, data };
+      } catch (error) {
+        return { line, error: 'Line is not valid JSON' };
+      }
+    });
+};
 
 // Middleware for request logging
 router.use((req, res, next) => {
@@ -16,13 +97,13 @@ router.use((req, res, next) => {
 });
 
 // POST /products - Create a new product
-router.post('/', validate(schemas.createProduct), async (req, res) => {
+router.post('/', authorize('products:create'), validate(schemas.createProduct), async (req, res) => {
   try {
     const productData = req.body;
     
     logger.info('Creating new product', { name: productData.name, price: productData.price });
     
-    const product = await ProductModel.create(productData);
+    const product = await ProductModel.create(productData, req.user.id);
     
     logger.info('Product created successfully', { 
       productId: product.id, 
@@ -53,7 +134,16 @@ router.post('/', validate(schemas.createProduct), async (req, res) => {
       });
     }
     
-    if (error.message.includes('validation') || error.message.includes('required')) {
+    if (isVariantConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Variant conflict',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('validation') || error.message.includes('required') || error.message.includes('Unknown category') || isVariantValidationError(error) || isWarehouseError(error)) {
       return res.status(400).json({
         success: false,
         message: 'Validation error',
@@ -72,19 +162,19 @@ router.post('/', validate(schemas.createProduct), async (req, res) => {
 });
 
 // GET /products - Get all products
-router.get('/', async (req, res) => {
+router.get('/', validate(schemas.productListQuery, 'query'), async (req, res) => {
   try {
     const options = {
-      page: parseInt(req.query.page) || 1,
-      limit: parseInt(req.query.limit) || 10,
-      sort: req.query.sort || 'id',
-      order: req.query.order || 'ASC',
-      category: req.query.category,
-      status: req.query.status,
-      min_price: req.query.min_price ? parseFloat(req.query.min_price) : null,
-      max_price: req.query.max_price ? parseFloat(req.query.max_price) : null,
+      page: req.query.page,
+      limit: req.query.limit,
+      sort: req.query.sort,
+      order: req.query.order,
+      filters: pickFilters(resources.products, req.query),
+      min_price: req.query.min_price ?? null,
+      max_price: req.query.max_price ?? null,
       search: req.query.search,
-      in_stock_only: req.query.in_stock_only === 'true'
+      in_stock_only: req.query.in_stock_only,
+      cursor: req.query.cursor
     };
     
     logger.info('Retrieving products', { options });
@@ -110,6 +200,15 @@ router.get('/', async (req, res) => {
       query: req.query 
     });
     
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -119,14 +218,251 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /products/:id - Get product by ID
+// POST /products/import - Create or update products from a CSV or JSON lines file
+router.post('/import',
+  authorize('products:import'),
+  validate(schemas.productImportQuery, 'query'),
+  express.text({ type: [...IMPORT_CONTENT_TYPES.csv, ...IMPORT_CONTENT_TYPES.jsonl], limit: '10mb' }),
+  // Again, now that the file has been read, so the Idempotency-Key covers its contents
+  idempotency,
+  async (req, res) => {
+    try {
+      const format = req.query.format || (req.is(IMPORT_CONTENT_TYPES.csv) ? 'csv' : 'jsonl');
+      
+      if (typeof req.body !== 'string') {
+        return res.status(415).json({
+          success: false,
+          message: 'Unsupported media type',
+          error: 'Send the file as text/csv or application/x-ndjson',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const rows = parseImportRows(req.body, format);
+      
+      if (rows.length === 0 || rows.length > IMPORT_MAX_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          error: rows.length === 0 ?
+            'Import file contains no product rows' :
+            `Import file has ${rows.length} rows; the maximum is ${IMPORT_MAX_ROWS}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      logger.info('Importing products', { format, rows: rows.length, dryRun: req.query.dry_run });
+      
+      const report = await ProductModel.importRows(rows, {
+        dryRun: req.query.dry_run,
+        actorId: req.user.id
+      });
+      
+      res.json({
+        success: true,
+        message: report.dryRun ?
+          `Dry run completed: ${report.created} to create, ${report.updated} to update, ${report.failed} failed` :
+          `Import completed: ${report.created} created, ${report.updated} updated, ${report.failed} failed`,
+        data: report,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.error('Error importing products', { 
+        error: error.message, 
+        query: req.query 
+      });
+      
+      if (error.message.includes('Invalid CSV')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          error: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: 'Failed to import products',
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+);
+
+// GET /products/export - Stream the catalogue as CSV (accepts the GET /products filters and sort)
+router.get('/export', authorize('products:export'), validate(schemas.productListQuery, 'query'), async (req, res) => {
+  const options = {
+    sort: req.query.sort,
+    order: req.query.order,
+    filters: pickFilters(resources.products, req.query),
+    min_price: req.query.min_price ?? null,
+    max_price: req.query.max_price ?? null,
+    search: req.query.search,
+    in_stock_only: req.query.in_stock_only
+  };
+  const writer = new ExportWriter(res, {
+    filename: `products-${new Date().toISOString().slice(0, 10)}`,
+    columns: EXPORT_COLUMNS
+  });
+  let exported = 0;
+  
+  try {
+    logger.info('Exporting products', { options });
+    
+    for await (const products of ProductModel.findAllInBatches(options)) {
+      await writer.writeRows(products.map(product => [
+        product.id,
+        product.sku,
+        product.name,
+        product.description,
+        product.category,
+        product.price,
+        product.stock.onHand,
+        product.stock.reserved,
+        product.stock.available,
+        product.status,
+        product.createdAt,
+        product.updatedAt
+      ]));
+      
+      exported += products.length;
+      
+      if (writer.aborted) {
+        logger.warn('Product export aborted by client', { exported });
+        return;
+      }
+    }
+    
+    await writer.end();
+    logger.info('Products exported', { count: exported });
+
+  } catch (error) {
+    logger.error('Error exporting products', { 
+      error: error.message, 
+      exported,
+      query: req.query 
+    });
+    
+    // Once the CSV has started there is no way to report an error but to cut it short
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to export products',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /products/search - Full-text search ranked by relevance
+router.get('/search', validate(schemas.productSearchQuery, 'query'), async (req, res) => {
+  try {
+    const { q, page, limit } = req.query;
+    
+    logger.info('Searching products', { q, page, limit });
+    
+    const result = await ProductModel.search(q, { page, limit });
+    
+    res.json({
+      success: true,
+      message: 'Products retrieved successfully',
+      data: result.products,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error searching products', { 
+      error: error.message, 
+      query: req.query 
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to search products',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /products/categories - Product counts and average price per category
+router.get('/categories', async (req, res) => {
+  try {
+    logger.info('Retrieving product categories');
+    
+    const categories = await ProductModel.getCategories();
+    
+    res.json({
+      success: true,
+      message: 'Categories retrieved successfully',
+      data: categories,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving categories', { error: error.message });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve categories',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /products/low-stock - Products whose available stock is at or below the threshold,
+// or with warehouse_id / by_warehouse the stock lines of each warehouse
+router.get('/low-stock', authorize('inventory:view'), validate(schemas.lowStockQuery, 'query'), async (req, res) => {
+  try {
+    const { threshold, warehouse_id, by_warehouse } = req.query;
+    
+    logger.info('Retrieving low stock products', { threshold, warehouse_id, by_warehouse });
+    
+    const products = await ProductModel.getLowStockProducts(threshold, {
+      warehouseId: warehouse_id,
+      byWarehouse: by_warehouse
+    });
+    
+    res.json({
+      success: true,
+      message: 'Low stock products retrieved successfully',
+      data: products,
+      count: products.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving low stock products', { 
+      error: error.message, 
+      query: req.query 
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve low stock products',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /products/:id - Get product by ID, with its variants and their option matrix
 router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
   try {
     const productId = parseInt(req.params.id);
     
     logger.info('Retrieving product by ID', { productId });
     
-    const product = await ProductModel.findById(productId);
+    const product = await ProductModel.findByIdWithVariants(productId);
     
     if (!product) {
       logger.warn('Product not found', { productId });
@@ -162,6 +498,464 @@ router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
   }
 });
 
+// PUT/PATCH /products/:id - Update product details
+const updateProduct = async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    
+    logger.info('Updating product', { productId, fields: Object.keys(req.body) });
+    
+    const product = await ProductModel.update(productId, req.body, req.user.id);
+    
+    logger.info('Product updated successfully', { productId });
+    
+    res.json({
+      success: true,
+      message: 'Product updated successfully',
+      data: product,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating product', { 
+      error: error.message, 
+      productId: req.params.id,
+      updateData: req.body 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('SKU') && error.message.includes('already in use')) {
+      return res.status(409).json({
+        success: false,
+        message: 'SKU conflict',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('discontinued product')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Product is discontinued',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('No valid fields') || error.message.includes('reserved quantity') || error.message.includes('Unknown category') || error.message.includes('has variants') || isWarehouseError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update product',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+router.put('/:id', authorize('products:update'), validate(schemas.idParam, 'params'), validate(schemas.updateProduct), updateProduct);
+router.patch('/:id', authorize('products:update'), validate(schemas.idParam, 'params'), validate(schemas.updateProduct), updateProduct);
+
+// DELETE /products/:id - Discontinue a product
+router.delete('/:id', authorize('products:discontinue'), validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    
+    logger.info('Discontinuing product', { productId });
+    
+    const product = await ProductModel.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+        error: `Product with ID ${productId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Open orders still need the product to be fulfilled
+    if (await ProductModel.hasPendingOrders(productId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Product has pending orders',
+        error: 'Cannot discontinue a product with pending or confirmed orders',
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await ProductModel.discontinue(productId);
+    
+    res.json({
+      success: true,
+      message: result.message,
+      data: await ProductModel.findById(productId),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error discontinuing product', { 
+      error: error.message, 
+      productId: req.params.id 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to discontinue product',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /products/:id/stock - Add or subtract stock
+router.post('/:id/stock', authorize('products:update'), validate(schemas.idParam, 'params'), validate(schemas.adjustStock), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const { operation, quantity, reason, note, warehouseId } = req.body;
+    
+    logger.info('Adjusting product stock', { productId, operation, quantity, reason, warehouseId });
+    
+    const product = await ProductModel.updateStock(productId, quantity, operation, {
+      reason,
+      note,
+      warehouseId,
+      actorId: req.user.id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Product stock updated successfully',
+      data: product,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error adjusting product stock', { 
+      error: error.message, 
+      productId: req.params.id,
+      body: req.body 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('Insufficient stock') || error.message.includes('has variants') || isWarehouseError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock validation failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update product stock',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /products/:id/movements - Get the inventory ledger of a product
+router.get('/:id/movements', authorize('inventory:view'), validate(schemas.idParam, 'params'), validate(schemas.movementsQuery, 'query'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    
+    const product = await ProductModel.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+        error: `Product with ID ${productId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const result = await InventoryModel.findByProduct(productId, req.query);
+    
+    res.json({
+      success: true,
+      message: 'Inventory movements retrieved successfully',
+      data: result.movements,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving inventory movements', { 
+      error: error.message, 
+      productId: req.params.id 
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve inventory movements',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /products/:id/variants - Add a variant, e.g. {"sku": "TEEREDM", "options": {"size": "M", "colour": "Red"}}
+router.post('/:id/variants', authorize('products:create'), validate(schemas.idParam, 'params'), validate(schemas.createVariant), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    
+    logger.info('Creating product variant', { productId, sku: req.body.sku, options: req.body.options });
+    
+    const variant = await VariantModel.create(productId, req.body, req.user.id);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Product variant created successfully',
+      data: variant,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error creating product variant', { 
+      error: error.message, 
+      productId: req.params.id,
+      variantData: req.body 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (isVariantConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Variant conflict',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (isVariantValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to create product variant',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PATCH /products/:id/variants/:variantId - Change a variant's SKU, options or price
+router.patch('/:id/variants/:variantId', authorize('products:update'), validate(schemas.variantParams, 'params'), validate(schemas.updateVariant), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const variantId = parseInt(req.params.variantId);
+    
+    logger.info('Updating product variant', { productId, variantId, fields: Object.keys(req.body) });
+    
+    const variant = await VariantModel.update(productId, variantId, req.body);
+    
+    res.json({
+      success: true,
+      message: 'Product variant updated successfully',
+      data: variant,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating product variant', { 
+      error: error.message, 
+      productId: req.params.id,
+      variantId: req.params.variantId,
+      updateData: req.body 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (isVariantConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Variant conflict',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (isVariantValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update product variant',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /products/:id/variants/:variantId - Discontinue a variant
+router.delete('/:id/variants/:variantId', authorize('products:discontinue'), validate(schemas.variantParams, 'params'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const variantId = parseInt(req.params.variantId);
+    
+    logger.info('Discontinuing product variant', { productId, variantId });
+    
+    const variant = await VariantModel.discontinue(productId, variantId);
+    
+    res.json({
+      success: true,
+      message: 'Product variant discontinued successfully',
+      data: variant,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error discontinuing product variant', { 
+      error: error.message, 
+      productId: req.params.id,
+      variantId: req.params.variantId 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (isVariantConflict(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Variant has pending orders',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to discontinue product variant',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /products/:id/variants/:variantId/stock - Add or subtract variant stock
+router.post('/:id/variants/:variantId/stock', authorize('products:update'), validate(schemas.variantParams, 'params'), validate(schemas.adjustStock), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const variantId = parseInt(req.params.variantId);
+    const { operation, quantity, reason, note, warehouseId } = req.body;
+    
+    logger.info('Adjusting product variant stock', { productId, variantId, operation, quantity, reason, warehouseId });
+    
+    const variant = await VariantModel.updateStock(productId, variantId, quantity, operation, {
+      reason,
+      note,
+      warehouseId,
+      actorId: req.user.id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Product variant stock updated successfully',
+      data: variant,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error adjusting product variant stock', { 
+      error: error.message, 
+      productId: req.params.id,
+      variantId: req.params.variantId,
+      body: req.body 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('Insufficient stock') || isWarehouseError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Stock validation failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update product variant stock',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 module.exports = router;
 
 // POST /products - Create a new product
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validate, schemas } = require('../utils/validation');
+const { authorize } = require('../utils/auth');
+const PromotionModel = require('../models/promotionModel');
+
+// Errors from PromotionModel.create/update that are the client's to fix
+const isPromotionValidationError = (error) => {
+  return error.message.includes('does not exist') ||
+    error.message.includes('No valid fields') ||
+    error.message.includes('have no value') ||
+    error.message.includes('cannot exceed') ||
+    error.message.includes('cannot be lower') ||
+    error.message.includes('must end after');
+};
+
+// POST /promotions - Create a coupon, or an automatic promotion when no code is given
+router.post('/', authorize('promotions:manage'), validate(schemas.createPromotion), async (req, res) => {
+  try {
+    logger.info('Creating new promotion', { code: req.body.code, type: req.body.type });
+
+    const promotion = await PromotionModel.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: promotion,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error creating promotion', {
+      error: error.message,
+      promotionData: req.body
+    });
+
+    if (error.message.includes('already in use')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Promotion code conflict',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (isPromotionValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to create promotion',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /promotions - Get promotions, newest first
+router.get('/', authorize('promotions:view'), validate(schemas.promotionListQuery, 'query'), async (req, res) => {
+  try {
+    const result = await PromotionModel.findAll(req.query);
+
+    res.json({
+      success: true,
+      message: 'Promotions retrieved successfully',
+      data: result.promotions,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving promotions', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve promotions',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /promotions/:id - Get a promotion with how often it has been used
+router.get('/:id', authorize('promotions:view'), validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const promotionId = parseInt(req.params.id);
+
+    const promotion = await PromotionModel.findById(promotionId);
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+        error: `Promotion with ID ${promotionId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion retrieved successfully',
+      data: promotion,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving promotion', {
+      error: error.message,
+      promotionId: req.params.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve promotion',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PATCH /promotions/:id - Change a promotion's value, limits, validity window or status
+router.patch('/:id', authorize('promotions:manage'), validate(schemas.idParam, 'params'), validate(schemas.updatePromotion), async (req, res) => {
+  try {
+    const promotionId = parseInt(req.params.id);
+
+    logger.info('Updating promotion', { promotionId, updateData: req.body });
+
+    const promotion = await PromotionModel.update(promotionId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: promotion,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating promotion', {
+      error: error.message,
+      promotionId: req.params.id,
+      updateData: req.body
+    });
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (isPromotionValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update promotion',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
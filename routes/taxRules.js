@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validate, schemas } = require('../utils/validation');
+const { authorize } = require('../utils/auth');
+const TaxRuleModel = require('../models/taxRuleModel');
+
+// POST /tax-rules - Create a tax rate for a region, a category or both
+router.post('/', authorize('tax:manage'), validate(schemas.createTaxRule), async (req, res) => {
+  try {
+    logger.info('Creating new tax rule', req.body);
+
+    const taxRule = await TaxRuleModel.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rule created successfully',
+      data: taxRule,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error creating tax rule', {
+      error: error.message,
+      taxRuleData: req.body
+    });
+
+    if (error.message.includes('already covers')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tax rule conflict',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (error.message.includes('does not exist')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to create tax rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /tax-rules - Get tax rules by region, then category
+router.get('/', authorize('tax:view'), validate(schemas.taxRuleListQuery, 'query'), async (req, res) => {
+  try {
+    const result = await TaxRuleModel.findAll(req.query);
+
+    res.json({
+      success: true,
+      message: 'Tax rules retrieved successfully',
+      data: result.taxRules,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving tax rules', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve tax rules',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /tax-rules/:id - Get a tax rule
+router.get('/:id', authorize('tax:view'), validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const taxRuleId = parseInt(req.params.id);
+
+    const taxRule = await TaxRuleModel.findById(taxRuleId);
+
+    if (!taxRule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found',
+        error: `Tax rule with ID ${taxRuleId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rule retrieved successfully',
+      data: taxRule,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving tax rule', {
+      error: error.message,
+      taxRuleId: req.params.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve tax rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PATCH /tax-rules/:id - Rename, change the rate of or (de)activate a tax rule
+router.patch('/:id', authorize('tax:manage'), validate(schemas.idParam, 'params'), validate(schemas.updateTaxRule), async (req, res) => {
+  try {
+    const taxRuleId = parseInt(req.params.id);
+
+    logger.info('Updating tax rule', { taxRuleId, updateData: req.body });
+
+    const taxRule = await TaxRuleModel.update(taxRuleId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Tax rule updated successfully',
+      data: taxRule,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating tax rule', {
+      error: error.message,
+      taxRuleId: req.params.id,
+      updateData: req.body
+    });
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (error.message.includes('No valid fields')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update tax rule',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
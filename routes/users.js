@@ -2,7 +2,48 @@ const express = require('express');
 const router = express.Router();
 const { logger } = require('../utils/logger');
 const { validate, schemas } = require('../utils/validation');
+const { resources, pickFilters } = require('../utils/queryBuilder');
+const { authorize, hasPermission, forbidden } = require('../utils/auth');
+const db = require('../db');
 const UserModel = require('../models/userModel');
+const OrderModel = require('../models/orderModel');
+const AuthModel = require('../models/authModel');
+
+// Customers may only read their own records; staff and admins may read any
+const canViewUser = (user, userId) => {
+  return userId === user.id || hasPermission(user, 'users:view_any');
+};
+
+// Admin accounts can only be changed by admins
+const canManageUser = (user, target) => {
+  return target.role !== 'admin' || hasPermission(user, 'users:manage_admins');
+};
+
+// Deactivating and suspending share one path: refused while the user has orders in
+// flight, and every refresh token the user holds is revoked with it. The status is written
+// first so the order check runs under the transaction's write lock, and an order placed
+// in between cannot slip past it
+const deactivateUser = (userId, status = 'inactive') => {
+  return db.transaction(async () => {
+    const result = await UserModel.deactivate(userId, status);
+
+    if (await UserModel.hasActiveOrders(userId)) {
+      throw new Error('Cannot deactivate a user with pending, confirmed or shipped orders');
+    }
+
+    await AuthModel.revokeAllForUser(userId);
+    return result;
+  });
+};
+
+const activeOrdersConflict = (res, error) => {
+  return res.status(409).json({
+    success: false,
+    message: 'User has active orders',
+    error: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
 
 // Middleware for request logging
 router.use((req, res, next) => {
@@ -16,7 +57,7 @@ router.use((req, res, next) => {
 });
 
 // POST /users - Create a new user
-router.post('/', validate(schemas.createUser), async (req, res) => {
+router.post('/', authorize('users:create'), validate(schemas.createUser), async (req, res) => {
   try {
     const userData = req.body;
     
@@ -39,7 +80,7 @@ router.post('/', validate(schemas.createUser), async (req, res) => {
   } catch (error) {
     logger.error('Error creating user', { 
       error: error.message, 
-      userData: req.body 
+      email: req.body.email 
     });
     
     // Handle specific error cases
@@ -72,15 +113,16 @@ router.post('/', validate(schemas.createUser), async (req, res) => {
 });
 
 // GET /users - Get all users with pagination and filtering
-router.get('/', validate(schemas.paginationQuery, 'query'), async (req, res) => {
+router.get('/', authorize('users:list'), validate(schemas.userListQuery, 'query'), async (req, res) => {
   try {
     const options = {
-      page: parseInt(req.query.page) || 1,
-      limit: parseInt(req.query.limit) || 10,
-      sort: req.query.sort || 'id',
-      order: req.query.order || 'ASC',
-      status: req.query.status,
-      search: req.query.search
+      page: req.query.page,
+      limit: req.query.limit,
+      sort: req.query.sort,
+      order: req.query.order,
+      filters: pickFilters(resources.users, req.query),
+      search: req.query.search,
+      cursor: req.query.cursor
     };
     
     logger.info('Retrieving users', { options });
@@ -106,6 +148,15 @@ router.get('/', validate(schemas.paginationQuery, 'query'), async (req, res) =>
       query: req.query 
     });
     
+    if (error.message.includes('Invalid cursor')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -120,6 +171,11 @@ router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
     
+    // Customers can only read their own profile
+    if (!canViewUser(req.user, userId)) {
+      return forbidden(res, 'You can only view your own profile');
+    }
+    
     logger.info('Retrieving user by ID', { userId });
     
     const user = await UserModel.findById(userId);
@@ -158,6 +214,265 @@ router.get('/:id', validate(schemas.idParam, 'params'), async (req, res) => {
   }
 });
 
+// PATCH /users/:id - Update user details
+router.patch('/:id', validate(schemas.idParam, 'params'), validate(schemas.updateUser), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { status, ...details } = req.body;
+    
+    if (userId !== req.user.id && !hasPermission(req.user, 'users:update_any')) {
+      return forbidden(res, 'You can only update your own profile');
+    }
+    
+    if (details.role !== undefined && !hasPermission(req.user, 'users:assign_role')) {
+      return forbidden(res, 'Only admins can change user roles');
+    }
+    
+    if (status !== undefined && !hasPermission(req.user, 'users:change_status')) {
+      return forbidden(res, 'Only admins can change account status');
+    }
+    
+    // Demoting or locking out yourself could leave nobody able to undo it
+    if (userId === req.user.id && (details.role !== undefined || status !== undefined)) {
+      return forbidden(res, 'You cannot change your own role or account status');
+    }
+    
+    const existingUser = await UserModel.findById(userId);
+    if (!existingUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: `User with ID ${userId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!canManageUser(req.user, existingUser)) {
+      return forbidden(res, 'Only admins can change admin accounts');
+    }
+    
+    logger.info('Updating user', { userId, fields: Object.keys(req.body) });
+    
+    // Reactivating is a plain update; deactivating and suspending go through the same
+    // checks as DELETE /users/:id
+    if (status === 'active') {
+      details.status = status;
+    } else if (status !== undefined && status !== existingUser.status) {
+      await deactivateUser(userId, status);
+    }
+    
+    const user = Object.keys(details).length > 0 ?
+      await UserModel.update(userId, details) :
+      await UserModel.findById(userId);
+    
+    logger.info('User updated successfully', { userId });
+    
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: user,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating user', { 
+      error: error.message, 
+      userId: req.params.id,
+      updateData: req.body 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('pending, confirmed or shipped')) {
+      return activeOrdersConflict(res, error);
+    }
+    
+    if (error.message.includes('No valid fields')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update user',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// DELETE /users/:id - Deactivate a user
+router.delete('/:id', authorize('users:deactivate'), validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    // Same reason as in PATCH: nobody may be left unable to undo it
+    if (userId === req.user.id) {
+      return forbidden(res, 'You cannot deactivate your own account');
+    }
+    
+    logger.info('Deactivating user', { userId });
+    
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: `User with ID ${userId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (!canManageUser(req.user, user)) {
+      return forbidden(res, 'Only admins can change admin accounts');
+    }
+    
+    // Orders in flight still need a reachable customer
+    const result = await deactivateUser(userId);
+    
+    res.json({
+      success: true,
+      message: result.message,
+      data: await UserModel.findById(userId),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error deactivating user', { 
+      error: error.message, 
+      userId: req.params.id 
+    });
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (error.message.includes('pending, confirmed or shipped')) {
+      return activeOrdersConflict(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to deactivate user',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /users/:id/stats - Get order statistics for a user
+router.get('/:id/stats', validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    if (!canViewUser(req.user, userId)) {
+      return forbidden(res, 'You can only view your own statistics');
+    }
+    
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: `User with ID ${userId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const stats = await UserModel.getUserStats(userId);
+    
+    res.json({
+      success: true,
+      message: 'User statistics retrieved successfully',
+      data: stats,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving user statistics', { 
+      error: error.message, 
+      userId: req.params.id 
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve user statistics',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /users/:id/orders - Get the orders of a user
+router.get('/:id/orders', validate(schemas.idParam, 'params'), validate(schemas.userOrdersQuery, 'query'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    
+    if (userId !== req.user.id && !hasPermission(req.user, 'orders:view_any')) {
+      return forbidden(res, 'You can only view your own orders');
+    }
+    
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+        error: `User with ID ${userId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const filters = { user_id: userId };
+    if (req.query.status) {
+      filters.status = req.query.status;
+    }
+    
+    const result = await OrderModel.findAll({
+      page: req.query.page,
+      limit: req.query.limit,
+      include_details: req.query.include_details,
+      filters
+    });
+    
+    res.json({
+      success: true,
+      message: 'User orders retrieved successfully',
+      data: result.orders,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving user orders', { 
+      error: error.message, 
+      userId: req.params.id 
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve user orders',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 module.exports = router;
         
 
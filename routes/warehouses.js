@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const { logger } = require('../utils/logger');
+const { validate, schemas } = require('../utils/validation');
+const { authorize } = require('../utils/auth');
+const WarehouseModel = require('../models/warehouseModel');
+
+// Errors from WarehouseModel.transfer that are the client's to fix
+const isTransferValidationError = (error) => {
+  return error.message.includes('Unknown warehouse') ||
+    error.message.includes('cannot receive stock') ||
+    error.message.includes('must differ') ||
+    error.message.includes('has variants') ||
+    error.message.includes('Insufficient stock');
+};
+
+// POST /warehouses - Create a warehouse
+router.post('/', authorize('warehouses:manage'), validate(schemas.createWarehouse), async (req, res) => {
+  try {
+    logger.info('Creating new warehouse', { code: req.body.code, name: req.body.name });
+
+    const warehouse = await WarehouseModel.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Warehouse created successfully',
+      data: warehouse,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error creating warehouse', {
+      error: error.message,
+      warehouseData: req.body
+    });
+
+    if (error.message.includes('already in use')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Warehouse code conflict',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to create warehouse',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /warehouses - Get all warehouses in allocation order, with their stock totals
+router.get('/', authorize('inventory:view'), async (req, res) => {
+  try {
+    const warehouses = await WarehouseModel.findAll();
+
+    res.json({
+      success: true,
+      message: 'Warehouses retrieved successfully',
+      data: warehouses,
+      count: warehouses.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving warehouses', { error: error.message });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve warehouses',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// POST /warehouses/transfers - Move stock from one warehouse to another
+router.post('/transfers', authorize('inventory:transfer'), validate(schemas.createTransfer), async (req, res) => {
+  try {
+    logger.info('Transferring stock between warehouses', req.body);
+
+    const transfer = await WarehouseModel.transfer(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Stock transferred successfully',
+      data: transfer,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error transferring stock', {
+      error: error.message,
+      body: req.body
+    });
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product or variant not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (isTransferValidationError(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer validation failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to transfer stock',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /warehouses/transfers - Get transfers, newest first
+router.get('/transfers', authorize('inventory:view'), validate(schemas.transfersQuery, 'query'), async (req, res) => {
+  try {
+    const result = await WarehouseModel.findTransfers(req.query);
+
+    res.json({
+      success: true,
+      message: 'Transfers retrieved successfully',
+      data: result.transfers,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving transfers', {
+      error: error.message,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve transfers',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /warehouses/:id - Get a warehouse with its stock totals
+router.get('/:id', authorize('inventory:view'), validate(schemas.idParam, 'params'), async (req, res) => {
+  try {
+    const warehouseId = parseInt(req.params.id);
+
+    const warehouse = await WarehouseModel.findById(warehouseId);
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found',
+        error: `Warehouse with ID ${warehouseId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Warehouse retrieved successfully',
+      data: warehouse,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving warehouse', {
+      error: error.message,
+      warehouseId: req.params.id
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve warehouse',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// PATCH /warehouses/:id - Rename, re-prioritise or (de)activate a warehouse
+router.patch('/:id', authorize('warehouses:manage'), validate(schemas.idParam, 'params'), validate(schemas.updateWarehouse), async (req, res) => {
+  try {
+    const warehouseId = parseInt(req.params.id);
+
+    logger.info('Updating warehouse', { warehouseId, updateData: req.body });
+
+    const warehouse = await WarehouseModel.update(warehouseId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Warehouse updated successfully',
+      data: warehouse,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error updating warehouse', {
+      error: error.message,
+      warehouseId: req.params.id,
+      updateData: req.body
+    });
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (error.message.includes('No valid fields')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to update warehouse',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// GET /warehouses/:id/stock - Get the stock lines of a warehouse, least available first
+router.get('/:id/stock', authorize('inventory:view'), validate(schemas.idParam, 'params'), validate(schemas.warehouseStockQuery, 'query'), async (req, res) => {
+  try {
+    const warehouseId = parseInt(req.params.id);
+
+    const warehouse = await WarehouseModel.findById(warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        message: 'Warehouse not found',
+        error: `Warehouse with ID ${warehouseId} does not exist`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const result = await WarehouseModel.findStock(warehouseId, req.query);
+
+    res.json({
+      success: true,
+      message: 'Warehouse stock retrieved successfully',
+      data: result.stock,
+      pagination: result.pagination,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving warehouse stock', {
+      error: error.message,
+      warehouseId: req.params.id,
+      query: req.query
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: 'Failed to retrieve warehouse stock',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
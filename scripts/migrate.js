@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const db = require('../db');
+const migrator = require('../utils/migrator');
+
+const USAGE = `Usage: node scripts/migrate.js <command> [argument]
+
+Commands:
+  up [version]     Apply pending migrations, optionally only up to <version>
+  down [steps]     Roll back the last <steps> applied migrations (default 1)
+  status           List migrations and whether they are applied
+  create <name>    Create a new empty migration file`;
+
+const MIGRATION_TEMPLATE = `module.exports = {
+  async up(db) {
+  },
+
+  async down(db) {
+  }
+};
+`;
+
+const printStatus = async () => {
+  const migrations = await migrator.status();
+
+  if (migrations.length === 0) {
+    console.log('No migrations found');
+    return;
+  }
+
+  migrations.forEach(migration => {
+    const state = migration.applied ? `applied ${migration.appliedAt}` : 'pending';
+    console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+  });
+};
+
+const createMigration = (name) => {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error('Migration name must be lowercase letters, digits and underscores');
+  }
+
+  const migrations = migrator.loadMigrations();
+  const nextVersion = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = path.join(__dirname, '..', 'migrations', `${String(nextVersion).padStart(3, '0')}_${name}.js`);
+
+  fs.writeFileSync(file, MIGRATION_TEMPLATE);
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+};
+
+const main = async () => {
+  const [command, argument] = process.argv.slice(2);
+
+  if (command === 'create') {
+    createMigration(argument);
+    return;
+  }
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  await db.connect();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate(argument ? parseInt(argument, 10) : null);
+      console.log(applied.length > 0 ?
+        `✅ Applied ${applied.length} migration(s): ${applied.map(m => m.file).join(', ')}` :
+        'Database is up to date');
+    } else if (command === 'down') {
+      const reverted = await migrator.rollback(argument ? parseInt(argument, 10) : 1);
+      console.log(reverted.length > 0 ?
+        `✅ Rolled back ${reverted.length} migration(s): ${reverted.map(m => `${String(m.version).padStart(3, '0')}_${m.name}`).join(', ')}` :
+        'Nothing to roll back');
+    } else {
+      await printStatus();
+    }
+  } finally {
+    await db.close();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Migration command failed:', error.message);
+  process.exit(1);
+});
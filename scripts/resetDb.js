@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const db = require('../db');
+const migrator = require('../utils/migrator');
+
+// Roll back every applied migration and apply them all again, leaving an empty database
+const main = async () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Refusing to reset the database in production');
+  }
+
+  await db.connect();
+
+  try {
+    const applied = await migrator.getApplied();
+    await migrator.rollback(applied.length);
+    const migrations = await migrator.migrate();
+
+    console.log(`✅ Database reset, ${migrations.length} migration(s) applied`);
+  } finally {
+    await db.close();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Database reset failed:', error.message);
+  process.exit(1);
+});
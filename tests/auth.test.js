@@ -0,0 +1,106 @@
+const UserModel = require('../models/userModel');
+const { request, app, setupDatabase, teardownDatabase, as } = require('./helpers');
+
+describe('Authentication', () => {
+  const credentials = { name: 'Jane Doe', email: 'jane@example.com', password: 'Sup3rSecret' };
+  let session;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    const res = await request(app).post('/auth/register').send(credentials);
+    expect(res.status).toBe(201);
+    session = res.body.data;
+  });
+
+  afterAll(teardownDatabase);
+
+  it('registers a customer and never returns the password hash', () => {
+    expect(session.user).toMatchObject({ email: credentials.email, role: 'customer' });
+    expect(session.user).not.toHaveProperty('password_hash');
+    expect(session.tokenType).toBe('Bearer');
+  });
+
+  it('rejects a second registration with the same email', async () => {
+    const res = await request(app).post('/auth/register').send(credentials);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('logs in with the right password only', async () => {
+    const ok = await request(app).post('/auth/login').send({ email: credentials.email, password: credentials.password });
+    const wrong = await request(app).post('/auth/login').send({ email: credentials.email, password: 'Wr0ngPassword' });
+
+    expect(ok.status).toBe(200);
+    expect(ok.body.data.accessToken).toEqual(expect.any(String));
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.error).toBe('Invalid email or password');
+  });
+
+  it('requires a valid bearer token on the API routers', async () => {
+    for (const path of ['/users', '/products', '/orders']) {
+      expect((await request(app).get(path)).status).toBe(401);
+      expect((await as('not-a-jwt').get(path)).status).toBe(401);
+    }
+
+    const me = await as(session.accessToken).get('/auth/me');
+    expect(me.status).toBe(200);
+    expect(me.body.data.email).toBe(credentials.email);
+  });
+
+  it('does not accept a refresh token as an access token', async () => {
+    const res = await as(session.refreshToken).get('/auth/me');
+
+    expect(res.status).toBe(401);
+  });
+
+  it('rotates refresh tokens so each can be used once', async () => {
+    const { body } = await request(app).post('/auth/login').send({ email: credentials.email, password: credentials.password });
+
+    const first = await request(app).post('/auth/refresh').send({ refresh_token: body.data.refreshToken });
+    const reused = await request(app).post('/auth/refresh').send({ refresh_token: body.data.refreshToken });
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(body.data.refreshToken);
+    expect(reused.status).toBe(401);
+  });
+
+  it('lets only one of two concurrent refreshes of a token through and treats the other as reuse', async () => {
+    const { body } = await request(app).post('/auth/login').send({ email: credentials.email, password: credentials.password });
+
+    // Hold both requests after they have checked the token, so neither has revoked it yet
+    const findById = UserModel.findById;
+    let release;
+    const bothChecked = new Promise(resolve => { release = resolve; });
+    let waiting = 0;
+    const spy = jest.spyOn(UserModel, 'findById').mockImplementation(async (...args) => {
+      if (++waiting === 2) {
+        release();
+      }
+      await bothChecked;
+      return findById.apply(UserModel, args);
+    });
+
+    const results = await Promise.all([
+      request(app).post('/auth/refresh').send({ refresh_token: body.data.refreshToken }),
+      request(app).post('/auth/refresh').send({ refresh_token: body.data.refreshToken })
+    ]);
+    spy.mockRestore();
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+
+    // Reuse ends the session, including the pair the winning request got
+    const winner = results.find(res => res.status === 200);
+    expect((await request(app).post('/auth/refresh').send({ refresh_token: winner.body.data.refreshToken })).status).toBe(401);
+  });
+
+  it('revokes the access and refresh tokens on logout', async () => {
+    const { body } = await request(app).post('/auth/login').send({ email: credentials.email, password: credentials.password });
+    const { accessToken, refreshToken } = body.data;
+
+    const logout = await as(accessToken).post('/auth/logout').send({ refresh_token: refreshToken });
+    expect(logout.status).toBe(200);
+
+    expect((await as(accessToken).get('/auth/me')).status).toBe(401);
+    expect((await request(app).post('/auth/refresh').send({ refresh_token: refreshToken })).status).toBe(401);
+  });
+});
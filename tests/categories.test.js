@@ -0,0 +1,128 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct, createUser } = require('./helpers');
+
+describe('Categories', () => {
+  let adminToken;
+  let admin;
+  const categories = {};
+
+  const createCategory = async (data) => {
+    const res = await admin.post('/categories').send(data);
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+
+    categories.electronics = await createCategory({ name: 'Electronics' });
+    categories.computers = await createCategory({ name: 'Computers', parentId: categories.electronics.id });
+    categories.laptops = await createCategory({ name: 'Laptops', parentId: categories.computers.id });
+    categories.phones = await createCategory({ name: 'Phones', parentId: categories.electronics.id });
+    categories.garden = await createCategory({ name: 'Home & Garden' });
+
+    await createProduct(adminToken, { name: 'Ultrabook', categoryId: categories.laptops.id });
+    await createProduct(adminToken, { name: 'Smartphone', category: 'phones' });
+    await createProduct(adminToken, { name: 'Television', category: 'Electronics' });
+    await createProduct(adminToken, { name: 'Rake', category: 'home-garden' });
+  });
+
+  afterAll(teardownDatabase);
+
+  it('derives unique slugs from names', async () => {
+    expect(categories.garden.slug).toBe('home-garden');
+
+    const duplicate = await admin.post('/categories').send({ name: 'ELECTRONICS' });
+    expect(duplicate.status).toBe(409);
+  });
+
+  it('lists categories with their paths', async () => {
+    const res = await admin.get('/categories');
+
+    expect(res.status).toBe(200);
+    const paths = res.body.data.map(category => category.path);
+    expect(paths).toEqual(expect.arrayContaining(['electronics/computers/laptops', 'electronics/phones', 'home-garden']));
+    expect(res.body.data.find(category => category.slug === 'laptops').depth).toBe(2);
+  });
+
+  it('returns a category with its ancestors, children and subtree product count', async () => {
+    const res = await admin.get(`/categories/${categories.computers.id}`);
+
+    expect(res.body.data.ancestors.map(category => category.slug)).toEqual(['electronics']);
+    expect(res.body.data.children.map(category => category.slug)).toEqual(['laptops']);
+    expect(res.body.data.productCount).toBe(1);
+
+    const root = await admin.get(`/categories/${categories.electronics.id}`);
+    expect(root.body.data.productCount).toBe(3);
+  });
+
+  it('files products under a category given by id, name or slug', async () => {
+    const res = await admin.get('/products?sort=name');
+    const filed = Object.fromEntries(res.body.data.map(product => [product.name, product.categoryId]));
+
+    expect(filed).toMatchObject({
+      Ultrabook: categories.laptops.id,
+      Smartphone: categories.phones.id,
+      Television: categories.electronics.id,
+      Rake: categories.garden.id
+    });
+
+    const unknown = await admin.post('/products').send({ name: 'Gizmo', price: 5, category: 'gadgets' });
+    expect(unknown.status).toBe(400);
+  });
+
+  it('filters products by a category and everything below it', async () => {
+    const electronics = await admin.get('/products?category=electronics&sort=name');
+    expect(electronics.body.data.map(product => product.name)).toEqual(['Smartphone', 'Television', 'Ultrabook']);
+
+    const computers = await admin.get('/products?category=computers');
+    expect(computers.body.data.map(product => product.name)).toEqual(['Ultrabook']);
+
+    const notElectronics = await admin.get('/products?category[ne]=electronics');
+    expect(notElectronics.body.data.map(product => product.name)).toEqual(['Rake']);
+  });
+
+  it('renames a category on its products', async () => {
+    await admin.patch(`/categories/${categories.phones.id}`).send({ name: 'Mobile Phones' });
+
+    const res = await admin.get('/products?category=phones');
+    expect(res.body.data[0].category).toBe('Mobile Phones');
+  });
+
+  it('refuses to move a category under its own subtree', async () => {
+    const res = await admin.patch(`/categories/${categories.electronics.id}`).send({ parentId: categories.laptops.id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('A category cannot be moved under itself or one of its subcategories');
+  });
+
+  it('moves a category with its products', async () => {
+    await admin.patch(`/categories/${categories.laptops.id}`).send({ parentId: categories.electronics.id });
+
+    const computers = await admin.get('/products?category=computers');
+    expect(computers.body.data).toEqual([]);
+
+    const electronics = await admin.get('/products?category=electronics');
+    expect(electronics.body.data).toHaveLength(3);
+  });
+
+  it('deletes only empty categories', async () => {
+    const withChildren = await admin.delete(`/categories/${categories.electronics.id}`);
+    expect(withChildren.status).toBe(409);
+
+    const withProducts = await admin.delete(`/categories/${categories.garden.id}`);
+    expect(withProducts.status).toBe(409);
+
+    const empty = await admin.delete(`/categories/${categories.computers.id}`);
+    expect(empty.status).toBe(200);
+    expect((await admin.get(`/categories/${categories.computers.id}`)).status).toBe(404);
+  });
+
+  it('only lets admins change categories', async () => {
+    const staff = await createUser(adminToken, 'staff');
+
+    const res = await as(staff.token).post('/categories').send({ name: 'Toys' });
+    expect(res.status).toBe(403);
+  });
+});
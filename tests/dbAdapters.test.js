@@ -0,0 +1,164 @@
+const fs = require('fs');
+const { newDb } = require('pg-mem');
+const db = require('../db');
+const SqliteAdapter = require('../database/sqliteAdapter');
+const PostgresAdapter = require('../database/postgresAdapter');
+
+// Every backend must give models the same results. pg-mem stands in for PostgreSQL but
+// ignores BEGIN/ROLLBACK and cannot parse SAVEPOINT, so transactions are only checked
+// against a real server, when TEST_DATABASE_URL points at one. It also rejects the
+// precision of DECIMAL(10, 2) unless told to skip that check.
+const pgMemPool = () => newDb({ noAstCoverageCheck: true }).adapters.createPg().Pool;
+
+const backends = [
+  ['sqlite', { transactions: true }, () => new SqliteAdapter()],
+  ['postgres (pg-mem)', { transactions: false }, () => new PostgresAdapter({ Pool: pgMemPool() })]
+];
+
+if (process.env.TEST_DATABASE_URL) {
+  backends.push(['postgres', { transactions: true }, () => new PostgresAdapter({ connectionString: process.env.TEST_DATABASE_URL })]);
+}
+
+describe.each(backends)('%s adapter', (name, supports, createAdapter) => {
+  const adapter = createAdapter();
+  const itWithTransactions = supports.transactions ? it : it.skip;
+
+  beforeAll(async () => {
+    await adapter.connect();
+    // The db facade runs transactions on whichever adapter it holds
+    db.adapter = adapter;
+
+    await db.run('DROP TABLE IF EXISTS contract_items');
+    await db.run(`
+      CREATE TABLE contract_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        active INTEGER DEFAULT 1,
+        price DECIMAL(10, 2),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  });
+
+  afterAll(async () => {
+    await db.run('DROP TABLE IF EXISTS contract_items');
+    await adapter.close();
+
+    if (adapter.dialect === 'sqlite') {
+      for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${process.env.DB_PATH}${suffix}`, { force: true });
+      }
+    }
+  });
+
+  beforeEach(() => db.run('DELETE FROM contract_items'));
+
+  it('returns the new row ID from inserts and the number of changed rows', async () => {
+    const first = await db.run('INSERT INTO contract_items (name, price) VALUES (?, ?)', ['Widget', 9.99]);
+    const second = await db.run('INSERT INTO contract_items (name, price) VALUES (?, ?)', ['Gadget', 5]);
+
+    expect(first).toEqual({ id: expect.any(Number), changes: 1 });
+    expect(second.id).toBe(first.id + 1);
+
+    const updated = await db.run('UPDATE contract_items SET price = price + 1');
+    const deleted = await db.run('DELETE FROM contract_items WHERE id = ?', [first.id]);
+    expect(updated.changes).toBe(2);
+    expect(deleted.changes).toBe(1);
+  });
+
+  it('returns rows with the same value types', async () => {
+    const { id } = await db.run('INSERT INTO contract_items (name, price) VALUES (?, ?)', ['Widget', 9.99]);
+
+    expect(await db.get('SELECT id, name, price FROM contract_items WHERE id = ?', [id])).toEqual({ id, name: 'Widget', price: 9.99 });
+    expect(await db.get('SELECT COUNT(*) as count FROM contract_items')).toEqual({ count: 1 });
+    expect(await db.get('SELECT * FROM contract_items WHERE id = ?', [id + 100])).toBeUndefined();
+    expect(await db.all('SELECT * FROM contract_items WHERE id = ?', [id + 100])).toEqual([]);
+  });
+
+  it('binds ? placeholders in order and leaves quoted question marks alone', async () => {
+    await db.run('INSERT INTO contract_items (name, price) VALUES (?, ?), (?, ?)', ['Widget', 3, 'Gadget', 7]);
+
+    const rows = await db.all(
+      "SELECT name, '?' as mark FROM contract_items WHERE price > ? AND name <> ? ORDER BY name",
+      [1, 'Nothing']
+    );
+
+    expect(rows).toEqual([{ name: 'Gadget', mark: '?' }, { name: 'Widget', mark: '?' }]);
+  });
+
+  it('stores booleans as 1 and 0', async () => {
+    await db.run('INSERT INTO contract_items (name, active) VALUES (?, ?), (?, ?)', ['On', true, 'Off', false]);
+
+    const rows = await db.all('SELECT name, active FROM contract_items WHERE active = ? OR active = ? ORDER BY name', [false, true]);
+    expect(rows).toEqual([{ name: 'Off', active: 0 }, { name: 'On', active: 1 }]);
+  });
+
+  it('matches LIKE without regard to case', async () => {
+    await db.run('INSERT INTO contract_items (name) VALUES (?)', ['Widget']);
+
+    expect(await db.all('SELECT name FROM contract_items WHERE name LIKE ?', ['wid%'])).toEqual([{ name: 'Widget' }]);
+  });
+
+  it('reports constraint violations in the same words', async () => {
+    await db.run('INSERT INTO contract_items (name) VALUES (?)', ['Widget']);
+
+    await expect(db.run('INSERT INTO contract_items (name) VALUES (?)', ['Widget'])).rejects.toThrow('UNIQUE constraint failed');
+
+    const ignored = await db.run('INSERT OR IGNORE INTO contract_items (name) VALUES (?)', ['Widget']);
+    expect(ignored.changes).toBe(0);
+  });
+
+  itWithTransactions('commits a transaction and rolls it back when the work throws', async () => {
+    const committed = await db.transaction(async (tx) => {
+      await tx.run('INSERT INTO contract_items (name) VALUES (?)', ['Kept']);
+      return 'done';
+    });
+
+    await expect(db.transaction(async (tx) => {
+      await tx.run('INSERT INTO contract_items (name) VALUES (?)', ['Dropped']);
+      throw new Error('Work failed');
+    })).rejects.toThrow('Work failed');
+
+    expect(committed).toBe('done');
+    expect(await db.all('SELECT name FROM contract_items')).toEqual([{ name: 'Kept' }]);
+  });
+
+  itWithTransactions('undoes only a failed nested transaction, through a savepoint', async () => {
+    await db.transaction(async (tx) => {
+      await tx.run('INSERT INTO contract_items (name) VALUES (?)', ['Outer']);
+
+      await expect(tx.transaction(async (inner) => {
+        await inner.run('INSERT INTO contract_items (name) VALUES (?)', ['Inner']);
+        throw new Error('Inner failed');
+      })).rejects.toThrow('Inner failed');
+
+      // Models call db directly; inside the unit of work that joins the same transaction
+      await db.transaction(async () => {
+        await db.run('INSERT INTO contract_items (name) VALUES (?)', ['Nested']);
+      });
+    });
+
+    const rows = await db.all('SELECT name FROM contract_items ORDER BY name');
+    expect(rows).toEqual([{ name: 'Nested' }, { name: 'Outer' }]);
+  });
+
+  itWithTransactions('keeps concurrent units of work apart', async () => {
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+
+    const slow = db.transaction(async (tx) => {
+      await tx.run('INSERT INTO contract_items (name) VALUES (?)', ['Slow']);
+      await gate;
+      throw new Error('Slow failed');
+    });
+    const fast = db.transaction(async (tx) => {
+      await tx.run('INSERT INTO contract_items (name) VALUES (?)', ['Fast']);
+    });
+
+    release();
+    await expect(slow).rejects.toThrow('Slow failed');
+    await fast;
+
+    expect(await db.all('SELECT name FROM contract_items')).toEqual([{ name: 'Fast' }]);
+  });
+});
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const request = require('supertest');
+const db = require('../db');
+const migrator = require('../utils/migrator');
+const UserModel = require('../models/userModel');
+const app = require('../app');
+
+const ADMIN = { email: 'admin@example.com', password: 'Adm1nPassword' };
+
+// Migrated database with the initial admin, as the server has on startup
+const setupDatabase = async () => {
+  await db.connect();
+  await migrator.migrate();
+  await UserModel.ensureAdmin();
+};
+
+const teardownDatabase = async () => {
+  await db.close();
+  for (const suffix of ['', '-wal', '-shm']) {
+    fs.rmSync(`${process.env.DB_PATH}${suffix}`, { force: true });
+  }
+};
+
+const login = async ({ email, password }) => {
+  const res = await request(app).post('/auth/login').send({ email, password });
+  if (res.status !== 200) {
+    throw new Error(`Login failed for ${email}: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.data.accessToken;
+};
+
+// Supertest agent that sends the token on every request
+const as = (token) => {
+  const withAuth = (method) => (url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  return {
+    get: withAuth('get'),
+    post: withAuth('post'),
+    put: withAuth('put'),
+    patch: withAuth('patch'),
+    delete: withAuth('delete')
+  };
+};
+
+const loginAdmin = () => login(ADMIN);
+
+let userCount = 0;
+
+// User names only take letters, so number them alphabetically: a, b, ..., z, ba, bb
+const alphaCount = (n) => (n >= 26 ? alphaCount(Math.floor(n / 26)) : '') + String.fromCharCode(97 + (n % 26));
+
+// Create a user with the given role through the API and log them in
+const createUser = async (adminToken, role = 'customer') => {
+  userCount++;
+  const credentials = {
+    name: `Test ${role} ${alphaCount(userCount)}`,
+    email: `${role}${userCount}@example.com`,
+    password: 'Passw0rdTest'
+  };
+
+  const res = await as(adminToken).post('/users').send({ ...credentials, role });
+  if (res.status !== 201) {
+    throw new Error(`Creating ${role} failed: ${JSON.stringify(res.body)}`);
+  }
+
+  return { id: res.body.data.id, token: await login(credentials), ...credentials };
+};
+
+const createProduct = async (adminToken, data = {}) => {
+  const res = await as(adminToken).post('/products').send({ name: 'Widget', price: 10, stockQuantity: 20, ...data });
+  if (res.status !== 201) {
+    throw new Error(`Creating product failed: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.data;
+};
+
+module.exports = {
+  app,
+  request,
+  ADMIN,
+  setupDatabase,
+  teardownDatabase,
+  login,
+  loginAdmin,
+  as,
+  createUser,
+  createProduct
+};
@@ -0,0 +1,115 @@
+const { EventEmitter } = require('events');
+const IdempotencyModel = require('../models/idempotencyModel');
+const { idempotency } = require('../utils/idempotency');
+const { setupDatabase, teardownDatabase, loginAdmin, as, createUser, createProduct } = require('./helpers');
+
+describe('Idempotency keys', () => {
+  let adminToken;
+  let admin;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+  });
+
+  afterAll(teardownDatabase);
+
+  it('replays the stored response instead of placing the order again', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 10 });
+    const send = (body) => admin.post('/orders').set('Idempotency-Key', 'order-1').send(body);
+
+    const first = await send({ product_id: product.id, quantity: 2 });
+    // Same body with its keys in a different order
+    const retry = await send({ quantity: 2, product_id: product.id });
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data.id).toBe(first.body.data.id);
+    expect((await admin.get(`/products/${product.id}`)).body.data.stock.reserved).toBe(2);
+  });
+
+  it('returns 422 when a key is reused for a different request', async () => {
+    const product = await createProduct(adminToken);
+
+    await admin.post('/orders').set('Idempotency-Key', 'order-2').send({ product_id: product.id, quantity: 1 });
+    const res = await admin.post('/orders').set('Idempotency-Key', 'order-2').send({ product_id: product.id, quantity: 3 });
+
+    expect(res.status).toBe(422);
+  });
+
+  it('covers the file sent to an import', async () => {
+    const importFile = (csv) => admin.post('/products/import?dry_run=true')
+      .set('Idempotency-Key', 'import-1')
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    const first = await importFile('name,price\nToaster,25\n');
+    const sameFile = await importFile('name,price\nToaster,25\n');
+    const otherFile = await importFile('name,price\nBlender,40\n');
+
+    expect(first.status).toBe(200);
+    expect(sameFile.headers['idempotent-replayed']).toBe('true');
+    expect(otherFile.status).toBe(422);
+  });
+
+  it('keeps keys of different users apart', async () => {
+    const product = await createProduct(adminToken);
+    const customer = await createUser(adminToken);
+
+    const mine = await admin.post('/orders').set('Idempotency-Key', 'shared').send({ product_id: product.id, quantity: 1 });
+    const theirs = await as(customer.token).post('/orders').set('Idempotency-Key', 'shared').send({ product_id: product.id, quantity: 1 });
+
+    expect(theirs.status).toBe(201);
+    expect(theirs.body.data.id).not.toBe(mine.body.data.id);
+  });
+
+  describe('when the client disconnects early', () => {
+    const user = { id: 4242 };
+
+    // The parts of an Express request and response the middleware uses
+    const fakeExchange = (key) => {
+      const req = { method: 'POST', originalUrl: '/orders', body: { quantity: 1 }, user, _body: true };
+      req.get = (header) => ({ 'Idempotency-Key': key })[header];
+
+      const res = new EventEmitter();
+      res.statusCode = 200;
+      res.writableFinished = false;
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = () => res;
+
+      return { req, res };
+    };
+
+    const run = async (key) => {
+      const exchange = fakeExchange(key);
+      await new Promise(resolve => idempotency(exchange.req, exchange.res, resolve));
+      return exchange;
+    };
+
+    // settle() runs asynchronously after the response is handed over
+    const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    it('stores the response the handler sends after the disconnect', async () => {
+      const { res } = await run('abort-1');
+
+      res.emit('close');
+      res.status(201).json({ success: true, data: { id: 1 } });
+      await flush();
+
+      const record = await IdempotencyModel.find(`user:${user.id}`, 'abort-1');
+      expect(record).toMatchObject({ status: 'completed', response_status: 201 });
+    });
+
+    it('frees the key when the handler then fails', async () => {
+      const { res } = await run('abort-2');
+
+      res.emit('close');
+      res.status(500).json({ success: false });
+      await flush();
+
+      expect(await IdempotencyModel.find(`user:${user.id}`, 'abort-2')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createUser, createProduct } = require('./helpers');
+
+describe('Inventory movements', () => {
+  let adminToken;
+  let admin;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+  });
+
+  afterAll(teardownDatabase);
+
+  it('records every stock change with its reason, balance and reference', async () => {
+    const staff = await createUser(adminToken, 'staff');
+    const product = await createProduct(adminToken, { stockQuantity: 10 });
+
+    await as(staff.token).post(`/products/${product.id}/stock`).send({ operation: 'add', quantity: 5, note: 'Delivery 42' });
+    await admin.post(`/products/${product.id}/stock`).send({ operation: 'subtract', quantity: 2 });
+    const order = (await admin.post('/orders').send({ product_id: product.id, quantity: 3 })).body.data;
+    await admin.patch(`/orders/${order.id}/status`).send({ status: 'confirmed' });
+    await admin.post(`/orders/${order.id}/cancel`).send({});
+
+    const res = await admin.get(`/products/${product.id}/movements?limit=100`);
+
+    expect(res.status).toBe(200);
+    const ledger = [...res.body.data].sort((a, b) => a.id - b.id);
+    expect(ledger.map(movement => [movement.reason, movement.delta, movement.balanceAfter])).toEqual([
+      ['restock', 10, 10],
+      ['restock', 5, 15],
+      ['manual_adjustment', -2, 13],
+      ['order', -3, 10],
+      ['cancellation', 3, 13]
+    ]);
+    expect(ledger[1].actor).toMatchObject({ id: staff.id });
+    expect(ledger[3].reference).toEqual({ type: 'order', id: order.id });
+  });
+
+  it('does not record reservations, which leave on-hand stock alone', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 4 });
+    await admin.post('/orders').send({ product_id: product.id, quantity: 1 });
+
+    const res = await admin.get(`/products/${product.id}/movements`);
+
+    expect(res.body.data.map(movement => movement.reason)).toEqual(['restock']);
+  });
+
+  it('filters by reason', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 4 });
+    await admin.post(`/products/${product.id}/stock`).send({ operation: 'subtract', quantity: 1 });
+
+    const res = await admin.get(`/products/${product.id}/movements?reason=manual_adjustment`);
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].delta).toBe(-1);
+  });
+
+  it('is not visible to customers', async () => {
+    const customer = await createUser(adminToken);
+    const product = await createProduct(adminToken);
+
+    const res = await as(customer.token).get(`/products/${product.id}/movements`);
+
+    expect(res.status).toBe(403);
+  });
+});
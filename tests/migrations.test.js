@@ -0,0 +1,137 @@
+const db = require('../db');
+const migrator = require('../utils/migrator');
+const UserModel = require('../models/userModel');
+const { teardownDatabase, loginAdmin, as } = require('./helpers');
+
+// The schema db.js created before migrations existed
+const LEGACY_SCHEMA = [
+  `CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL CHECK(length(name) > 0),
+    email TEXT UNIQUE NOT NULL CHECK(email LIKE '%_@_%._%'),
+    phone TEXT,
+    address TEXT,
+    status TEXT DEFAULT 'active' CHECK(status IN ('active', 'inactive', 'suspended')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE products (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL CHECK(length(name) > 0),
+    description TEXT,
+    price DECIMAL(10, 2) NOT NULL CHECK(price >= 0.01),
+    category TEXT DEFAULT 'general',
+    stockQuantity INTEGER DEFAULT 0 CHECK(stockQuantity >= 0),
+    sku TEXT UNIQUE,
+    status TEXT DEFAULT 'available' CHECK(status IN ('available', 'out_of_stock', 'discontinued')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE orders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    product_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL CHECK(quantity > 0),
+    unit_price DECIMAL(10, 2) NOT NULL,
+    total_price DECIMAL(10, 2) NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'confirmed', 'shipped', 'delivered', 'cancelled')),
+    order_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE RESTRICT,
+    FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT
+  )`,
+  'CREATE INDEX idx_users_email ON users(email)',
+  'CREATE INDEX idx_orders_user_id ON orders(user_id)',
+  'CREATE INDEX idx_orders_product_id ON orders(product_id)',
+  `CREATE TRIGGER users_updated_at AFTER UPDATE ON users FOR EACH ROW
+   BEGIN UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id; END`,
+  `CREATE TRIGGER update_stock_on_order AFTER INSERT ON orders FOR EACH ROW
+   BEGIN
+     UPDATE products
+     SET stockQuantity = stockQuantity - NEW.quantity,
+         status = CASE WHEN stockQuantity - NEW.quantity <= 0 THEN 'out_of_stock' ELSE status END
+     WHERE id = NEW.product_id;
+   END`
+];
+
+const columnsOf = async (table) => (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+describe('Migrations', () => {
+  beforeAll(async () => {
+    await db.connect();
+
+    for (const statement of LEGACY_SCHEMA) {
+      await db.run(statement);
+    }
+
+    await db.run("INSERT INTO users (name, email) VALUES ('Old Customer', 'old@example.com')");
+    await db.run("INSERT INTO products (name, price, category, stockQuantity, sku) VALUES ('Lamp', 20, 'Home', 10, 'LAMP-1')");
+    await db.run("INSERT INTO products (name, price, category, stockQuantity) VALUES ('Rug', 45.5, 'Home', 3)");
+    await db.run("INSERT INTO orders (user_id, product_id, quantity, unit_price, total_price, status) VALUES (1, 1, 2, 20, 40, 'pending')");
+    await db.run("INSERT INTO orders (user_id, product_id, quantity, unit_price, total_price, status) VALUES (1, 2, 1, 45.5, 45.5, 'delivered')");
+  });
+
+  afterAll(teardownDatabase);
+
+  it('upgrades a database created before migrations existed', async () => {
+    await migrator.migrate();
+
+    expect(await migrator.pending()).toEqual([]);
+    expect(await columnsOf('users')).toEqual(expect.arrayContaining(['password_hash', 'role']));
+    expect(await columnsOf('orders')).not.toEqual(expect.arrayContaining(['product_id']));
+
+    const items = await db.all('SELECT order_id, product_id, quantity, unit_price, line_total FROM order_items ORDER BY order_id');
+    expect(items).toEqual([
+      { order_id: 1, product_id: 1, quantity: 2, unit_price: 20, line_total: 40 },
+      { order_id: 2, product_id: 2, quantity: 1, unit_price: 45.5, line_total: 45.5 }
+    ]);
+
+    const user = await db.get('SELECT role, status FROM users WHERE id = 1');
+    expect(user).toEqual({ role: 'customer', status: 'active' });
+
+    const trigger = await db.get("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name = 'update_stock_on_order'");
+    expect(trigger).toBeUndefined();
+  });
+
+  it('serves the upgraded orders and stock through the API', async () => {
+    await UserModel.ensureAdmin();
+    const admin = as(await loginAdmin());
+
+    const order = await admin.get('/orders/1');
+    expect(order.body.data).toMatchObject({ userId: 1, totalPrice: 40, status: 'pending' });
+    expect(order.body.data.items).toEqual([expect.objectContaining({ productId: 1, quantity: 2, unitPrice: 20 })]);
+
+    // The old trigger already took stock for the pending order, so cancelling gives it back
+    expect((await admin.get('/products/1')).body.data.stock).toEqual({ onHand: 8, reserved: 0, available: 8 });
+    await admin.post('/orders/1/cancel').send({});
+    expect((await admin.get('/products/1')).body.data.stock).toEqual({ onHand: 10, reserved: 0, available: 10 });
+
+    // New orders reserve stock without the trigger taking it a second time
+    await admin.post('/orders').send({ product_id: 2, quantity: 1 });
+    expect((await admin.get('/products/2')).body.data.stock).toEqual({ onHand: 2, reserved: 1, available: 1 });
+  });
+
+  it('rolls every migration back and applies them again', async () => {
+    const versions = (await migrator.status()).map(migration => migration.version);
+
+    const reverted = await migrator.rollback(versions.length);
+    expect(reverted.map(row => row.version)).toEqual([...versions].reverse());
+
+    const tables = await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+    expect(tables.map(table => table.name)).toEqual(['schema_migrations']);
+
+    const applied = await migrator.migrate();
+    expect(applied.map(migration => migration.version)).toEqual(versions);
+    expect(await migrator.pending()).toEqual([]);
+  });
+
+  it('rolls back and re-applies a single migration', async () => {
+    const [last] = await migrator.rollback(1);
+    expect(await migrator.pending()).toEqual([expect.objectContaining({ version: last.version })]);
+
+    await migrator.migrate();
+    expect(await migrator.pending()).toEqual([]);
+  });
+});
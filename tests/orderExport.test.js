@@ -0,0 +1,105 @@
+const ExcelJS = require('exceljs');
+const OrderModel = require('../models/orderModel');
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct, createUser } = require('./helpers');
+
+const parseCsv = (text) => text.trim().split(/\r?\n/).map(line => line.split(','));
+
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Order export', () => {
+  let adminToken;
+  let admin;
+  let desk;
+  let chair;
+  const orders = [];
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+    desk = await createProduct(adminToken, { name: 'Desk', sku: 'DESK1', price: 100, stockQuantity: 50 });
+    chair = await createProduct(adminToken, { name: 'Chair', sku: 'CHAIR1', price: 40, stockQuantity: 50 });
+
+    orders.push((await admin.post('/orders').send({
+      items: [{ product_id: desk.id, quantity: 1 }, { product_id: chair.id, quantity: 2 }]
+    })).body.data);
+    orders.push((await admin.post('/orders').send({ product_id: chair.id, quantity: 1 })).body.data);
+    orders.push((await admin.post('/orders').send({ product_id: desk.id, quantity: 3 })).body.data);
+    await admin.patch(`/orders/${orders[2].id}/status`).send({ status: 'confirmed' });
+  });
+
+  afterAll(teardownDatabase);
+
+  it('writes one CSV row per order line', async () => {
+    const res = await admin.get('/orders/export?sort=id&order=ASC');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const [header, ...rows] = parseCsv(res.text);
+    const column = (row, name) => row[header.indexOf(name)];
+
+    expect(header.slice(0, 3)).toEqual(['orderId', 'orderDate', 'status']);
+    expect(rows.map(row => [column(row, 'orderId'), column(row, 'sku'), column(row, 'quantity'), column(row, 'lineTotal')])).toEqual([
+      [String(orders[0].id), 'DESK1', '1', '100'],
+      [String(orders[0].id), 'CHAIR1', '2', '80'],
+      [String(orders[1].id), 'CHAIR1', '1', '40'],
+      [String(orders[2].id), 'DESK1', '3', '300']
+    ]);
+    expect(column(rows[1], 'totalPrice')).toBe(String(orders[0].totalPrice));
+  });
+
+  it('applies the filters of GET /orders', async () => {
+    const byStatus = parseCsv((await admin.get('/orders/export?status=pending&product_id=' + desk.id)).text);
+    expect(byStatus.slice(1).map(row => row[0])).toEqual([String(orders[0].id), String(orders[0].id)]);
+
+    const byAmount = parseCsv((await admin.get('/orders/export?total_price[lt]=100')).text);
+    expect(byAmount.slice(1).map(row => row[0])).toEqual([String(orders[1].id)]);
+
+    const none = parseCsv((await admin.get('/orders/export?status=cancelled')).text);
+    expect(none).toHaveLength(1);
+  });
+
+  it('writes the same rows to an XLSX workbook', async () => {
+    const res = await admin.get('/orders/export?format=xlsx&sort=id&order=ASC').buffer(true).parse(binary);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const sheet = workbook.getWorksheet('Orders');
+
+    expect(sheet.rowCount).toBe(5);
+    expect(sheet.getRow(1).getCell(1).value).toBe('orderId');
+    expect(sheet.getRow(5).getCell(1).value).toBe(orders[2].id);
+  });
+
+  it('reads every matching order exactly once across batches', async () => {
+    const ids = [];
+    for await (const batch of OrderModel.findAllInBatches({ include_details: true }, 2)) {
+      expect(batch.length).toBeLessThanOrEqual(2);
+      ids.push(...batch.map(order => order.id));
+    }
+
+    expect(ids.sort((a, b) => a - b)).toEqual(orders.map(order => order.id));
+  });
+
+  it('is only available to admin and staff', async () => {
+    const customer = await createUser(adminToken, 'customer');
+    const res = await as(customer.token).get('/orders/export');
+
+    expect(res.status).toBe(403);
+  });
+
+  it('rejects an unknown format', async () => {
+    const res = await admin.get('/orders/export?format=pdf');
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,50 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createUser, createProduct } = require('./helpers');
+
+describe('Order status history', () => {
+  let adminToken;
+  let admin;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+  });
+
+  afterAll(teardownDatabase);
+
+  it('records every transition in order with its actor and note', async () => {
+    const staff = await createUser(adminToken, 'staff');
+    const product = await createProduct(adminToken);
+    const order = (await admin.post('/orders').send({ product_id: product.id, quantity: 1 })).body.data;
+
+    await as(staff.token).patch(`/orders/${order.id}/status`).send({ status: 'confirmed', notes: 'Paid by card' });
+    await admin.post(`/orders/${order.id}/cancel`).send({ reason: 'Out of delivery area' });
+
+    const res = await admin.get(`/orders/${order.id}/history`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(entry => [entry.fromStatus, entry.toStatus, entry.note])).toEqual([
+      [null, 'pending', null],
+      ['pending', 'confirmed', 'Paid by card'],
+      ['confirmed', 'cancelled', 'Out of delivery area']
+    ]);
+    expect(res.body.data[1].changedBy).toMatchObject({ id: staff.id, email: staff.email });
+    expect(res.body.data.every(entry => entry.changedAt)).toBe(true);
+  });
+
+  it('does not record a rejected transition', async () => {
+    const product = await createProduct(adminToken);
+    const order = (await admin.post('/orders').send({ product_id: product.id, quantity: 1 })).body.data;
+
+    await admin.patch(`/orders/${order.id}/status`).send({ status: 'shipped' });
+
+    const res = await admin.get(`/orders/${order.id}/history`);
+    expect(res.body.data).toHaveLength(1);
+  });
+
+  it('returns 404 for an unknown order', async () => {
+    const res = await admin.get('/orders/999999/history');
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,72 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Order status transitions', () => {
+  let adminToken;
+  let admin;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+  });
+
+  afterAll(teardownDatabase);
+
+  const placeOrder = async (quantity = 2) => {
+    const product = await createProduct(adminToken, { stockQuantity: 10 });
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity });
+    return { product, order: res.body.data };
+  };
+
+  it('moves an order through confirmed, shipped and delivered', async () => {
+    const { order } = await placeOrder();
+
+    for (const status of ['confirmed', 'shipped', 'delivered']) {
+      const res = await admin.patch(`/orders/${order.id}/status`).send({ status });
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe(status);
+    }
+  });
+
+  it('rejects a transition the order cannot make with 409', async () => {
+    const { order } = await placeOrder();
+
+    const skipped = await admin.patch(`/orders/${order.id}/status`).send({ status: 'delivered' });
+    expect(skipped.status).toBe(409);
+    expect(skipped.body.error).toBe('Cannot change status from pending to delivered');
+
+    await admin.post(`/orders/${order.id}/cancel`).send({});
+    const revived = await admin.patch(`/orders/${order.id}/status`).send({ status: 'confirmed' });
+    expect(revived.status).toBe(409);
+  });
+
+  it('returns 404 for an unknown order', async () => {
+    const status = await admin.patch('/orders/999999/status').send({ status: 'confirmed' });
+    const cancel = await admin.post('/orders/999999/cancel').send({});
+
+    expect(status.status).toBe(404);
+    expect(cancel.status).toBe(404);
+  });
+
+  it('cancelling gives the stock back and cannot be repeated', async () => {
+    const { product, order } = await placeOrder(4);
+    expect((await admin.get(`/products/${product.id}`)).body.data.stock.available).toBe(6);
+
+    const res = await admin.post(`/orders/${order.id}/cancel`).send({ reason: 'Changed my mind' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('cancelled');
+    expect((await admin.get(`/products/${product.id}`)).body.data.stock.available).toBe(10);
+
+    const again = await admin.post(`/orders/${order.id}/cancel`).send({});
+    expect(again.status).toBe(409);
+    expect((await admin.get(`/products/${product.id}`)).body.data.stock.available).toBe(10);
+  });
+
+  it('validates the requested status', async () => {
+    const { order } = await placeOrder();
+
+    const res = await admin.patch(`/orders/${order.id}/status`).send({ status: 'lost' });
+
+    expect(res.status).toBe(400);
+  });
+});
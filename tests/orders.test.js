@@ -0,0 +1,73 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Multi-line orders', () => {
+  let adminToken;
+  let admin;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+  });
+
+  afterAll(teardownDatabase);
+
+  it('totals every line and snapshots unit prices', async () => {
+    const mug = await createProduct(adminToken, { name: 'Mug', price: 4.5, stockQuantity: 10 });
+    const lamp = await createProduct(adminToken, { name: 'Lamp', price: 19.99, stockQuantity: 5 });
+
+    const res = await admin.post('/orders').send({
+      items: [
+        { product_id: mug.id, quantity: 3 },
+        { product_id: lamp.id, quantity: 2 }
+      ]
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.itemCount).toBe(2);
+    expect(res.body.data.totalQuantity).toBe(5);
+    expect(res.body.data.totalPrice).toBe(53.48);
+    expect(res.body.data.items.map(item => [item.productId, item.unitPrice, item.lineTotal])).toEqual([
+      [mug.id, 4.5, 13.5],
+      [lamp.id, 19.99, 39.98]
+    ]);
+
+    // A later price change leaves the order alone
+    await admin.patch(`/products/${mug.id}`).send({ price: 6 });
+    const order = await admin.get(`/orders/${res.body.data.id}`);
+    expect(order.body.data.items[0].unitPrice).toBe(4.5);
+  });
+
+  it('takes stock for every line', async () => {
+    const a = await createProduct(adminToken, { name: 'Desk', stockQuantity: 10 });
+    const b = await createProduct(adminToken, { name: 'Chair', stockQuantity: 10 });
+
+    await admin.post('/orders').send({ items: [{ product_id: a.id, quantity: 4 }, { product_id: b.id, quantity: 1 }] });
+
+    const [resA, resB] = await Promise.all([admin.get(`/products/${a.id}`), admin.get(`/products/${b.id}`)]);
+    expect(resA.body.data.stock.available).toBe(6);
+    expect(resB.body.data.stock.available).toBe(9);
+  });
+
+  it('creates nothing when one line cannot be filled', async () => {
+    const a = await createProduct(adminToken, { name: 'Plenty', stockQuantity: 10 });
+    const b = await createProduct(adminToken, { name: 'Scarce', stockQuantity: 1 });
+    const before = await admin.get('/orders?limit=100');
+
+    const res = await admin.post('/orders').send({ items: [{ product_id: a.id, quantity: 2 }, { product_id: b.id, quantity: 5 }] });
+
+    expect(res.status).toBe(400);
+    const after = await admin.get('/orders?limit=100');
+    expect(after.body.pagination.total).toBe(before.body.pagination.total);
+    expect((await admin.get(`/products/${a.id}`)).body.data.stock.available).toBe(10);
+  });
+
+  it('still accepts a single product_id and quantity', async () => {
+    const product = await createProduct(adminToken, { price: 2.5 });
+
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 4 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.totalPrice).toBe(10);
+  });
+});
@@ -0,0 +1,100 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Cursor pagination', () => {
+  let adminToken;
+  let admin;
+  let product;
+  let cheapProduct;
+  const orderIds = [];
+
+  const placeOrder = async (quantity, orderedProduct = product) => {
+    const res = await admin.post('/orders').send({ product_id: orderedProduct.id, quantity });
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+
+  const pageThrough = async (firstUrl, betweenPages = async () => {}) => {
+    const rows = [];
+    let res = await admin.get(firstUrl);
+
+    for (;;) {
+      expect(res.status).toBe(200);
+      rows.push(...res.body.data);
+      if (!res.body.pagination.nextCursor) {
+        break;
+      }
+      await betweenPages();
+      res = await admin.get(`/orders?limit=${res.body.pagination.limit}&cursor=${res.body.pagination.nextCursor}`);
+    }
+
+    return { rows, last: res.body.pagination };
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+    product = await createProduct(adminToken, { price: 10, stockQuantity: 1000 });
+    cheapProduct = await createProduct(adminToken, { name: 'Washer', price: 1, stockQuantity: 1000 });
+
+    // Several orders share each total, so ties are broken by id
+    for (const quantity of [1, 2, 2, 3, 3, 3, 1]) {
+      orderIds.push((await placeOrder(quantity)).id);
+    }
+  });
+
+  afterAll(teardownDatabase);
+
+  it('returns every row once, in sort order with ties broken by id in the same direction', async () => {
+    const { rows, last } = await pageThrough('/orders?limit=2&sort=-total_price');
+
+    expect(rows.map(order => order.id).sort((a, b) => a - b)).toEqual(orderIds);
+    expect(rows.map(order => order.totalPrice)).toEqual([30, 30, 30, 20, 20, 10, 10]);
+    for (let i = 1; i < rows.length; i++) {
+      if (rows[i].totalPrice === rows[i - 1].totalPrice) {
+        expect(rows[i].id).toBeLessThan(rows[i - 1].id);
+      }
+    }
+
+    expect(last.hasNextPage).toBe(false);
+    expect(last.nextCursor).toBeNull();
+    expect(last.total).toBeUndefined();
+  });
+
+  it('neither skips nor repeats rows when orders are added between pages', async () => {
+    const added = [];
+    const { rows } = await pageThrough('/orders?limit=3&sort=-total_price', async () => {
+      // One order sorts before the pages already read, the other after every order so far
+      added.push(await placeOrder(9), await placeOrder(1, cheapProduct));
+    });
+
+    const ids = rows.map(order => order.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toEqual(expect.arrayContaining(orderIds));
+    expect(ids).not.toContain(added[0].id);
+    expect(ids).toContain(added[added.length - 1].id);
+  });
+
+  it('keeps the sort of the first request when later pages send another one', async () => {
+    const first = await admin.get('/orders?limit=2&sort=id&order=ASC');
+    const second = await admin.get(`/orders?limit=2&sort=-total_price&cursor=${first.body.pagination.nextCursor}`);
+
+    expect(second.status).toBe(200);
+    expect(second.body.data.map(order => order.id)).toEqual([orderIds[2], orderIds[3]]);
+  });
+
+  it('rejects a cursor it did not issue', async () => {
+    const res = await admin.get('/orders?limit=2&cursor=bm90LWEtY3Vyc29y');
+
+    expect(res.status).toBe(400);
+  });
+
+  it('still pages by offset without a cursor', async () => {
+    const res = await admin.get('/orders?page=2&limit=3&sort=id&order=ASC');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(order => order.id)).toEqual(orderIds.slice(3, 6));
+    expect(res.body.pagination).toMatchObject({ page: 2, limit: 3, hasPrevPage: true, hasNextPage: true });
+    expect(res.body.pagination.total).toBeGreaterThanOrEqual(orderIds.length);
+  });
+});
@@ -0,0 +1,93 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Product import and export', () => {
+  let adminToken;
+  let admin;
+
+  const importCsv = (csv, query = '') => admin.post(`/products/import${query}`)
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+
+  const productCount = async () => (await admin.get('/products?limit=1')).body.pagination.total;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+
+    await admin.post('/categories').send({ name: 'Electronics' });
+    await createProduct(adminToken, { name: 'Wired Mouse', sku: 'MS200', price: 15, stockQuantity: 10 });
+  });
+
+  afterAll(teardownDatabase);
+
+  const file = [
+    'sku,name,description,price,category,stockQuantity',
+    'KB100,Wireless Keyboard,Compact keyboard,49.99,electronics,25',
+    'MS200,Wired Mouse,,19.50,electronics,40',
+    'BAD1,Broken,,cheap,electronics,1',
+    'XX1,Gadget,,10,gadgets,1'
+  ].join('\n');
+
+  it('reports what a dry run would do without saving anything', async () => {
+    const before = await productCount();
+
+    const res = await importCsv(file, '?dry_run=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ dryRun: true, totalRows: 4, created: 1, updated: 1, failed: 2 });
+    expect(res.body.data.errors).toEqual([
+      { line: 4, sku: 'BAD1', errors: [{ field: 'price', message: '"price" must be a number' }] },
+      expect.objectContaining({ line: 5, sku: 'XX1' })
+    ]);
+    expect(await productCount()).toBe(before);
+    expect((await admin.get('/products?sku=MS200')).body.data[0].price).toBe(15);
+  });
+
+  it('saves the good rows and skips the bad ones', async () => {
+    const before = await productCount();
+
+    const res = await importCsv(file);
+
+    expect(res.body.data).toMatchObject({ dryRun: false, created: 1, updated: 1, failed: 2 });
+    expect(await productCount()).toBe(before + 1);
+
+    const mouse = (await admin.get('/products?sku=MS200')).body.data[0];
+    expect(mouse).toMatchObject({ price: 19.5, stockQuantity: 40, category: 'Electronics' });
+    expect((await admin.get('/products?sku=KB100')).body.data[0].name).toBe('Wireless Keyboard');
+  });
+
+  it('reads JSON lines and rejects a SKU repeated in one file', async () => {
+    const res = await admin.post('/products/import?dry_run=true')
+      .set('Content-Type', 'application/x-ndjson')
+      .send('{"sku":"LMP1","name":"Desk Lamp","price":30}\n{"sku":"LMP1","name":"Desk Lamp","price":31}\n');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ totalRows: 2, created: 1, failed: 1 });
+    expect(res.body.data.errors[0].line).toBe(2);
+  });
+
+  it('rejects other content types and empty files', async () => {
+    const json = await admin.post('/products/import').send({ name: 'Lamp', price: 30 });
+    expect(json.status).toBe(415);
+
+    const empty = await importCsv('sku,name,price\n');
+    expect(empty.status).toBe(400);
+    expect(empty.body.error).toBe('Import file contains no product rows');
+  });
+
+  it('exports the filtered catalogue as CSV and defuses formulas', async () => {
+    await createProduct(adminToken, { name: '=SUM(A1)', sku: 'EVIL1', price: 1 });
+
+    const res = await admin.get('/products/export?sort=-name');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    const lines = res.text.trim().split(/\r?\n/);
+    expect(lines[0]).toMatch(/^id,sku,name,/);
+    expect(lines.find(line => line.includes('EVIL1'))).toContain(",'=SUM(A1),");
+
+    const filtered = await admin.get('/products/export?category=electronics');
+    expect(filtered.text.trim().split(/\r?\n/)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,129 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct, createUser } = require('./helpers');
+
+describe('Product reports', () => {
+  let adminToken;
+  let admin;
+  let customer;
+  let desk;
+  let chair;
+  let lamp;
+  let stool;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+    customer = await createUser(adminToken, 'customer');
+
+    const furniture = (await admin.post('/categories').send({ name: 'Furniture' })).body.data;
+    await admin.post('/categories').send({ name: 'Seating', parentId: furniture.id });
+    await admin.post('/categories').send({ name: 'Lighting' });
+
+    desk = await createProduct(adminToken, { name: 'Desk', price: 100, stockQuantity: 20, category: 'furniture' });
+    chair = await createProduct(adminToken, { name: 'Chair', price: 40, stockQuantity: 8, category: 'seating' });
+    stool = await createProduct(adminToken, { name: 'Stool', price: 20, stockQuantity: 2, category: 'seating' });
+    lamp = await createProduct(adminToken, { name: 'Lamp', price: 30, stockQuantity: 5, category: 'lighting' });
+
+    // Desk: 4 units sold in one order and one cancelled order; chair: 3 units sold
+    const sold = (await admin.post('/orders').send({
+      items: [{ product_id: desk.id, quantity: 4 }, { product_id: chair.id, quantity: 3 }]
+    })).body.data;
+    await admin.patch(`/orders/${sold.id}/status`).send({ status: 'confirmed' });
+
+    const cancelled = (await admin.post('/orders').send({ product_id: desk.id, quantity: 1 })).body.data;
+    await admin.post(`/orders/${cancelled.id}/cancel`).send({});
+
+    // Held by a pending order, so it counts against available stock
+    await admin.post('/orders').send({ product_id: lamp.id, quantity: 3 });
+
+    await admin.delete(`/products/${stool.id}`);
+  });
+
+  afterAll(teardownDatabase);
+
+  describe('GET /products/categories', () => {
+    it('counts the products filed directly under each category', async () => {
+      const res = await as(customer.token).get('/products/categories');
+
+      expect(res.status).toBe(200);
+      const bySlug = Object.fromEntries(res.body.data.map(category => [category.slug, category]));
+      expect(bySlug.furniture).toMatchObject({ productCount: 1, availableCount: 1, averagePrice: 100 });
+      expect(bySlug.seating).toMatchObject({ productCount: 2, availableCount: 1, averagePrice: 30 });
+      expect(bySlug.seating.parentId).toBe(bySlug.furniture.id);
+      expect(bySlug.lighting.productCount).toBe(1);
+    });
+  });
+
+  describe('GET /products/low-stock', () => {
+    it('lists products with available stock at or below the threshold, lowest first', async () => {
+      const res = await admin.get('/products/low-stock?threshold=5');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(product => [product.name, product.stock.available])).toEqual([
+        ['Lamp', 2],
+        ['Chair', 5]
+      ]);
+      expect(res.body.count).toBe(2);
+    });
+
+    it('leaves out discontinued products and honours the threshold', async () => {
+      const res = await admin.get('/products/low-stock?threshold=1');
+
+      expect(res.body.data).toEqual([]);
+    });
+
+    it('is not available to customers', async () => {
+      const res = await as(customer.token).get('/products/low-stock');
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /analytics/products', () => {
+    it('reports units sold, revenue, cancellations and turnover per product', async () => {
+      const res = await admin.get('/analytics/products');
+
+      expect(res.status).toBe(200);
+      expect(res.body.pagination.total).toBe(4);
+
+      const [first, second] = res.body.data.products;
+      expect(first).toMatchObject({
+        productId: desk.id,
+        orderCount: 2,
+        cancelledOrders: 1,
+        cancellationRate: 50,
+        unitsSold: 4,
+        revenue: 400,
+        stock: { opening: 0, closing: 16, current: 16 },
+        stockTurnover: 0.5
+      });
+      expect(second).toMatchObject({ productId: chair.id, unitsSold: 3, revenue: 120, cancellationRate: 0 });
+    });
+
+    it('includes products that did not sell', async () => {
+      const res = await admin.get('/analytics/products?sort=units_sold&order=ASC');
+      const unsold = res.body.data.products.filter(product => product.unitsSold === 0);
+
+      expect(unsold.map(product => product.productId)).toEqual([stool.id]);
+      expect(unsold[0].stockTurnover).toBe(0);
+    });
+
+    it('filters by category including subcategories and sorts by the chosen column', async () => {
+      const res = await admin.get('/analytics/products?category=furniture&sort=cancellation_rate');
+
+      expect(res.body.data.products.map(product => product.productId)).toEqual([desk.id, chair.id, stool.id]);
+    });
+
+    it('counts nothing outside the period', async () => {
+      const res = await admin.get('/analytics/products?date_from=2020-01-01&date_to=2020-01-31');
+
+      expect(res.body.data.products.every(product => product.unitsSold === 0 && product.stockTurnover === null)).toBe(true);
+    });
+
+    it('rejects an unknown sort column', async () => {
+      const res = await admin.get('/analytics/products?sort=price');
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createUser, createProduct } = require('./helpers');
+
+describe('Product maintenance', () => {
+  let adminToken;
+  let admin;
+  let staff;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+    staff = as((await createUser(adminToken, 'staff')).token);
+  });
+
+  afterAll(teardownDatabase);
+
+  it('updates only the fields sent', async () => {
+    const product = await createProduct(adminToken, { name: 'Kettle', price: 30, stockQuantity: 7 });
+
+    const res = await staff.patch(`/products/${product.id}`).send({ price: 27.5 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ name: 'Kettle', price: 27.5, stockQuantity: 7, status: 'available' });
+  });
+
+  it('adds and subtracts stock without going below zero', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 5 });
+
+    const added = await staff.post(`/products/${product.id}/stock`).send({ operation: 'add', quantity: 3 });
+    expect(added.body.data.stockQuantity).toBe(8);
+
+    const tooMany = await staff.post(`/products/${product.id}/stock`).send({ operation: 'subtract', quantity: 9 });
+    expect(tooMany.status).toBe(400);
+    expect((await admin.get(`/products/${product.id}`)).body.data.stockQuantity).toBe(8);
+  });
+
+  it('discontinues through DELETE unless orders are still open', async () => {
+    const product = await createProduct(adminToken);
+    const order = (await admin.post('/orders').send({ product_id: product.id, quantity: 1 })).body.data;
+
+    const blocked = await admin.delete(`/products/${product.id}`);
+    expect(blocked.status).toBe(409);
+
+    await admin.post(`/orders/${order.id}/cancel`).send({});
+    const res = await admin.delete(`/products/${product.id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('discontinued');
+  });
+
+  it('cannot discontinue through PUT or PATCH', async () => {
+    const product = await createProduct(adminToken);
+    await admin.post('/orders').send({ product_id: product.id, quantity: 1 });
+
+    for (const client of [staff, admin]) {
+      const patched = await client.patch(`/products/${product.id}`).send({ status: 'discontinued' });
+      const put = await client.put(`/products/${product.id}`).send({ status: 'discontinued' });
+      expect(patched.status).toBe(400);
+      expect(put.status).toBe(400);
+    }
+
+    const current = await admin.get(`/products/${product.id}`);
+    expect(current.body.data.status).toBe('available');
+  });
+
+  it('does not bring a discontinued product back through PUT or PATCH', async () => {
+    const product = await createProduct(adminToken);
+    await admin.delete(`/products/${product.id}`);
+
+    const patched = await staff.patch(`/products/${product.id}`).send({ status: 'available' });
+    expect(patched.status).toBe(409);
+    expect(patched.body.error).toBe('Cannot change the status of a discontinued product');
+
+    const put = await admin.put(`/products/${product.id}`).send({ status: 'available', price: 12 });
+    expect(put.status).toBe(409);
+
+    const restocked = await staff.patch(`/products/${product.id}`).send({ stockQuantity: 50 });
+    expect(restocked.status).toBe(200);
+    expect(restocked.body.data.status).toBe('discontinued');
+  });
+
+  it('recomputes the status when PUT or PATCH sets the stock quantity', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 5 });
+
+    const emptied = await staff.patch(`/products/${product.id}`).send({ stockQuantity: 0 });
+    expect(emptied.body.data).toMatchObject({ stockQuantity: 0, status: 'out_of_stock' });
+
+    const restocked = await admin.put(`/products/${product.id}`).send({ stockQuantity: 50, price: 12 });
+    expect(restocked.body.data).toMatchObject({ stockQuantity: 50, status: 'available' });
+
+    const explicit = await staff.patch(`/products/${product.id}`).send({ stockQuantity: 0, status: 'available' });
+    expect(explicit.body.data.status).toBe('available');
+  });
+
+  it('returns 404 for an unknown product', async () => {
+    expect((await admin.patch('/products/999999').send({ price: 1 })).status).toBe(404);
+    expect((await admin.delete('/products/999999')).status).toBe(404);
+  });
+});
@@ -0,0 +1,140 @@
+const db = require('../db');
+const PromotionModel = require('../models/promotionModel');
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct, createUser } = require('./helpers');
+
+describe('Promotions', () => {
+  let adminToken;
+  let admin;
+  let product;
+
+  const createPromotion = async (data) => {
+    const res = await admin.post('/promotions').send(data);
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+
+  const deactivate = (promotion) => admin.patch(`/promotions/${promotion.id}`).send({ status: 'inactive' });
+
+  // Lets another order use up a promotion after this one has been priced, but before it is saved
+  const useUpAfterPricing = (promotion) => {
+    const calculateDiscounts = PromotionModel.calculateDiscounts;
+    return jest.spyOn(PromotionModel, 'calculateDiscounts').mockImplementationOnce(async (...args) => {
+      const discounts = await calculateDiscounts.apply(PromotionModel, args);
+      await db.run('UPDATE promotions SET times_used = usage_limit WHERE id = ?', [promotion.id]);
+      return discounts;
+    });
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+    product = await createProduct(adminToken, { price: 50, stockQuantity: 1000 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(teardownDatabase);
+
+  it('applies automatic promotions and a coupon together', async () => {
+    const automatic = await createPromotion({ name: 'Five off', type: 'fixed_amount', value: 5 });
+    const coupon = await createPromotion({ code: 'save10', name: 'Ten percent', type: 'percentage', value: 10 });
+
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 2, coupon_code: 'SAVE10' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.discounts.map(discount => [discount.code, discount.amount])).toEqual([[null, 5], ['SAVE10', 10]]);
+    expect(res.body.data.discountTotal).toBe(15);
+
+    await deactivate(automatic);
+    await deactivate(coupon);
+  });
+
+  it('rejects a coupon over its usage limit and gives back uses of cancelled orders', async () => {
+    const coupon = await createPromotion({ code: 'ONCE', name: 'Once only', type: 'fixed_amount', value: 5, usageLimit: 1 });
+
+    const first = await admin.post('/orders').send({ product_id: product.id, quantity: 1, coupon_code: 'once' });
+    expect(first.status).toBe(201);
+
+    const second = await admin.post('/orders').send({ product_id: product.id, quantity: 1, coupon_code: 'once' });
+    expect(second.status).toBe(400);
+    expect(second.body.error).toBe('Coupon code ONCE has reached its usage limit');
+
+    await admin.post(`/orders/${first.body.data.id}/cancel`).send({});
+
+    const third = await admin.post('/orders').send({ product_id: product.id, quantity: 1, coupon_code: 'once' });
+    expect(third.status).toBe(201);
+
+    await deactivate(coupon);
+  });
+
+  it('limits uses per customer', async () => {
+    const coupon = await createPromotion({ code: 'WELCOME', name: 'Welcome', type: 'fixed_amount', value: 5, perUserLimit: 1 });
+    const [alice, bob] = [await createUser(adminToken, 'customer'), await createUser(adminToken, 'customer')];
+
+    expect((await as(alice.token).post('/orders').send({ product_id: product.id, quantity: 1, coupon_code: 'WELCOME' })).status).toBe(201);
+    expect((await as(bob.token).post('/orders').send({ product_id: product.id, quantity: 1, coupon_code: 'WELCOME' })).status).toBe(201);
+
+    const again = await as(alice.token).post('/orders').send({ product_id: product.id, quantity: 1, coupon_code: 'WELCOME' });
+    expect(again.status).toBe(400);
+    expect(again.body.error).toBe('Coupon code WELCOME has already been used the maximum number of times');
+
+    await deactivate(coupon);
+  });
+
+  it('skips automatic promotions the order does not qualify for', async () => {
+    const bigSpend = await createPromotion({ name: 'Big spender', type: 'percentage', value: 20, minSubtotal: 200 });
+
+    const small = await admin.post('/orders').send({ product_id: product.id, quantity: 1 });
+    expect(small.body.data.discounts).toEqual([]);
+
+    const large = await admin.post('/orders').send({ product_id: product.id, quantity: 4 });
+    expect(large.body.data.discountTotal).toBe(40);
+
+    await deactivate(bigSpend);
+  });
+
+  it('prices an order again without an automatic promotion that ran out while it was placed', async () => {
+    const flash = await createPromotion({ name: 'Flash sale', type: 'fixed_amount', value: 10, usageLimit: 1 });
+    useUpAfterPricing(flash);
+    const ordersBefore = (await admin.get('/orders?limit=1')).body.pagination.total;
+
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 1 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.discounts).toEqual([]);
+    expect(res.body.data.discountTotal).toBe(0);
+    expect(res.body.data.totalPrice).toBe(res.body.data.subtotal + res.body.data.taxTotal + res.body.data.shippingTotal);
+
+    expect((await admin.get('/orders?limit=1')).body.pagination.total).toBe(ordersBefore + 1);
+
+    await deactivate(flash);
+  });
+
+  it('still fails the order when a coupon runs out while it is placed', async () => {
+    const coupon = await createPromotion({ code: 'LASTONE', name: 'Last one', type: 'fixed_amount', value: 10, usageLimit: 1 });
+    useUpAfterPricing(coupon);
+    const reservedBefore = (await admin.get(`/products/${product.id}`)).body.data.stock.reserved;
+
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 1, coupon_code: 'LASTONE' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Coupon code LASTONE has reached its usage limit');
+    expect((await admin.get(`/products/${product.id}`)).body.data.stock.reserved).toBe(reservedBefore);
+
+    await deactivate(coupon);
+  });
+
+  it('gives a limited automatic promotion to exactly one of two racing orders', async () => {
+    const flash = await createPromotion({ name: 'Flash sale two', type: 'fixed_amount', value: 10, usageLimit: 1 });
+
+    const results = await Promise.all([
+      admin.post('/orders').send({ product_id: product.id, quantity: 1 }),
+      admin.post('/orders').send({ product_id: product.id, quantity: 1 })
+    ]);
+
+    expect(results.map(res => res.status)).toEqual([201, 201]);
+    expect(results.map(res => res.body.data.discountTotal).sort()).toEqual([0, 10]);
+    expect((await admin.get(`/promotions/${flash.id}`)).body.data.timesUsed).toBe(1);
+  });
+});
@@ -0,0 +1,82 @@
+const { resources, parseSort, buildFilters } = require('../utils/queryBuilder');
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Query builder', () => {
+  it('appends id as a tie-breaker in the direction of the last field', () => {
+    expect(parseSort(resources.orders, '-total_price,created_at', 'ASC')).toEqual([
+      { field: 'total_price', order: 'DESC' },
+      { field: 'created_at', order: 'ASC' },
+      { field: 'id', order: 'ASC' }
+    ]);
+  });
+
+  it('rejects fields and operators outside the whitelist', () => {
+    expect(() => parseSort(resources.orders, 'notes')).toThrow('Invalid sort field: notes');
+    expect(() => parseSort(resources.products, 'sku')).toThrow('Invalid sort field: sku');
+    expect(() => buildFilters(resources.users, { password_hash: 'x' })).toThrow('Invalid filter field: password_hash');
+    expect(() => buildFilters(resources.orders, { status: { gt: 'pending' } })).toThrow('Invalid filter operator: status[gt]');
+  });
+
+  it('binds every value as a parameter', () => {
+    const { conditions, params } = buildFilters(resources.orders, {
+      status: { in: ['pending', 'confirmed'] },
+      total_price: { gte: 100 }
+    });
+
+    expect(conditions).toEqual(['o.status IN (?, ?)', 'o.total_price >= ?']);
+    expect(params).toEqual(['pending', 'confirmed', 100]);
+  });
+});
+
+describe('Sorting and filtering list endpoints', () => {
+  let admin;
+  const orders = [];
+
+  beforeAll(async () => {
+    await setupDatabase();
+    const adminToken = await loginAdmin();
+    admin = as(adminToken);
+    const product = await createProduct(adminToken, { price: 10, stockQuantity: 100 });
+
+    for (const quantity of [1, 3, 5, 2]) {
+      orders.push((await admin.post('/orders').send({ product_id: product.id, quantity })).body.data);
+    }
+    await admin.patch(`/orders/${orders[1].id}/status`).send({ status: 'confirmed' });
+    await admin.patch(`/orders/${orders[3].id}/status`).send({ status: 'confirmed' });
+  });
+
+  afterAll(teardownDatabase);
+
+  it.each([
+    ['an unknown sort field', '/orders?sort=-notes'],
+    ['a field that can only be filtered', '/products?sort=sku'],
+    ['an unknown operator', '/orders?total_price[like]=10'],
+    ['an operator the field type does not allow', '/orders?status[gt]=pending'],
+    ['a value of the wrong type', '/orders?total_price[gte]=cheap'],
+    ['a status that does not exist', '/users?status=banned']
+  ])('rejects %s with 400', async (description, url) => {
+    const res = await admin.get(url);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+
+  it('combines an in filter with a range filter', async () => {
+    const res = await admin.get('/orders?status[in]=pending,confirmed&total_price[gte]=25&sort=id&order=ASC');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(order => order.id)).toEqual([orders[1].id, orders[2].id]);
+  });
+
+  it('sorts by several fields', async () => {
+    const res = await admin.get('/orders?sort=status,-total_price&order=ASC');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(order => [order.status, order.totalPrice])).toEqual([
+      ['confirmed', 30],
+      ['confirmed', 20],
+      ['pending', 50],
+      ['pending', 10]
+    ]);
+  });
+});
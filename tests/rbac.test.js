@@ -0,0 +1,81 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createUser, createProduct } = require('./helpers');
+
+describe('Role-based access control', () => {
+  let adminToken;
+  let admin;
+  let staff;
+  let alice;
+  let bob;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+    staff = await createUser(adminToken, 'staff');
+    alice = await createUser(adminToken, 'customer');
+    bob = await createUser(adminToken, 'customer');
+  });
+
+  afterAll(teardownDatabase);
+
+  const expectForbidden = (res) => {
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ success: false, message: 'Forbidden' });
+  };
+
+  it('only lets admins create and discontinue products', async () => {
+    const product = await createProduct(adminToken);
+
+    expectForbidden(await as(staff.token).post('/products').send({ name: 'Gadget', price: 5 }));
+    expectForbidden(await as(alice.token).post('/products').send({ name: 'Gadget', price: 5 }));
+    expectForbidden(await as(staff.token).delete(`/products/${product.id}`));
+
+    expect((await admin.delete(`/products/${product.id}`)).status).toBe(200);
+  });
+
+  it('lets staff but not customers update products', async () => {
+    const product = await createProduct(adminToken);
+
+    expect((await as(staff.token).patch(`/products/${product.id}`).send({ price: 12 })).status).toBe(200);
+    expectForbidden(await as(alice.token).patch(`/products/${product.id}`).send({ price: 1 }));
+  });
+
+  it('shows customers their own orders only', async () => {
+    const product = await createProduct(adminToken);
+    const aliceOrder = (await as(alice.token).post('/orders').send({ product_id: product.id, quantity: 1 })).body.data;
+    await as(bob.token).post('/orders').send({ product_id: product.id, quantity: 1 });
+
+    const list = await as(alice.token).get('/orders');
+    expect(list.body.data.map(order => order.userId)).toEqual([alice.id]);
+
+    // Filtering by another customer is ignored rather than leaking their orders
+    const filtered = await as(alice.token).get(`/orders?user_id=${bob.id}`);
+    expect(filtered.body.data.every(order => order.userId === alice.id)).toBe(true);
+
+    expectForbidden(await as(bob.token).get(`/orders/${aliceOrder.id}`));
+    expect((await as(staff.token).get(`/orders/${aliceOrder.id}`)).status).toBe(200);
+  });
+
+  it('stops customers from ordering for someone else or moving orders along', async () => {
+    const product = await createProduct(adminToken);
+
+    expectForbidden(await as(alice.token).post('/orders').send({ user_id: bob.id, product_id: product.id, quantity: 1 }));
+
+    const order = (await as(alice.token).post('/orders').send({ product_id: product.id, quantity: 1 })).body.data;
+    expectForbidden(await as(alice.token).patch(`/orders/${order.id}/status`).send({ status: 'confirmed' }));
+    expectForbidden(await as(bob.token).post(`/orders/${order.id}/cancel`).send({}));
+
+    expect((await as(staff.token).patch(`/orders/${order.id}/status`).send({ status: 'confirmed' })).status).toBe(200);
+    expectForbidden(await as(alice.token).post(`/orders/${order.id}/cancel`).send({}));
+  });
+
+  it('keeps customers to their own user record', async () => {
+    expectForbidden(await as(alice.token).get('/users'));
+    expectForbidden(await as(alice.token).get(`/users/${bob.id}`));
+    expectForbidden(await as(alice.token).patch(`/users/${bob.id}`).send({ name: 'Mallory' }));
+    expectForbidden(await as(staff.token).post('/users').send({ name: 'New Staff', email: 'new@example.com', password: 'Passw0rdTest' }));
+
+    expect((await as(alice.token).get(`/users/${alice.id}`)).status).toBe(200);
+    expect((await as(staff.token).get('/users')).status).toBe(200);
+  });
+});
@@ -0,0 +1,65 @@
+const db = require('../db');
+const OrderModel = require('../models/orderModel');
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Stock reservations', () => {
+  let adminToken;
+  let admin;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+  });
+
+  afterAll(teardownDatabase);
+
+  const stockOf = async (productId) => (await admin.get(`/products/${productId}`)).body.data.stock;
+
+  it('holds stock for a pending order and takes it on confirmation', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 10 });
+    const order = (await admin.post('/orders').send({ product_id: product.id, quantity: 3 })).body.data;
+
+    expect(await stockOf(product.id)).toEqual({ onHand: 10, reserved: 3, available: 7 });
+
+    await admin.patch(`/orders/${order.id}/status`).send({ status: 'confirmed' });
+    expect(await stockOf(product.id)).toEqual({ onHand: 7, reserved: 0, available: 7 });
+  });
+
+  it('does not let reservations oversell a product', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 5 });
+    await admin.post('/orders').send({ product_id: product.id, quantity: 4 });
+
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 2 });
+
+    expect(res.status).toBe(400);
+    expect(await stockOf(product.id)).toEqual({ onHand: 5, reserved: 4, available: 1 });
+  });
+
+  it('puts stock back when a confirmed order is cancelled', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 10 });
+    const order = (await admin.post('/orders').send({ product_id: product.id, quantity: 2 })).body.data;
+    await admin.patch(`/orders/${order.id}/status`).send({ status: 'confirmed' });
+
+    await admin.post(`/orders/${order.id}/cancel`).send({});
+
+    expect(await stockOf(product.id)).toEqual({ onHand: 10, reserved: 0, available: 10 });
+  });
+
+  it('cancels pending orders whose reservation has expired', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 10 });
+    const order = (await admin.post('/orders').send({ product_id: product.id, quantity: 6 })).body.data;
+    const fresh = (await admin.post('/orders').send({ product_id: product.id, quantity: 1 })).body.data;
+
+    await db.run('UPDATE stock_reservations SET expires_at = ? WHERE order_id = ?', ['2000-01-01 00:00:00', order.id]);
+    const expired = await OrderModel.expireReservations();
+
+    expect(expired).toBe(1);
+    expect((await admin.get(`/orders/${order.id}`)).body.data.status).toBe('cancelled');
+    expect((await admin.get(`/orders/${fresh.id}`)).body.data.status).toBe('pending');
+    expect(await stockOf(product.id)).toEqual({ onHand: 10, reserved: 1, available: 9 });
+
+    const confirm = await admin.patch(`/orders/${order.id}/status`).send({ status: 'confirmed' });
+    expect(confirm.status).toBe(409);
+  });
+});
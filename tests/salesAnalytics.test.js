@@ -0,0 +1,136 @@
+const db = require('../db');
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct, createUser } = require('./helpers');
+
+describe('Sales analytics', () => {
+  let adminToken;
+  let admin;
+  let desk;
+  let chair;
+  let alice;
+  let bob;
+  const orders = {};
+
+  const placeOrder = async (customer, product, quantity, orderDate) => {
+    const res = await as(customer.token).post('/orders').send({ product_id: product.id, quantity });
+    expect(res.status).toBe(201);
+    await db.run('UPDATE orders SET order_date = ? WHERE id = ?', [orderDate, res.body.data.id]);
+    return res.body.data;
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+
+    await admin.post('/categories').send({ name: 'Furniture' });
+    await admin.post('/categories').send({ name: 'Seating' });
+    desk = await createProduct(adminToken, { name: 'Desk', price: 100, stockQuantity: 50, category: 'furniture' });
+    chair = await createProduct(adminToken, { name: 'Chair', price: 40, stockQuantity: 50, category: 'seating' });
+    alice = await createUser(adminToken, 'customer');
+    bob = await createUser(adminToken, 'customer');
+
+    orders.first = await placeOrder(alice, desk, 1, '2024-01-02 10:00:00');
+    orders.second = await placeOrder(bob, chair, 2, '2024-01-09 12:00:00');
+    orders.cancelled = await placeOrder(alice, desk, 3, '2024-01-09 15:00:00');
+    orders.previous = await placeOrder(bob, chair, 1, '2023-12-20 09:00:00');
+    orders.after = await placeOrder(alice, chair, 1, '2024-01-15 00:00:00');
+
+    await admin.post(`/orders/${orders.cancelled.id}/cancel`).send({});
+  });
+
+  afterAll(teardownDatabase);
+
+  const report = async (query) => {
+    const res = await admin.get(`/analytics/sales?${query}`);
+    expect(res.status).toBe(200);
+    return res.body.data;
+  };
+
+  it('totals the period without cancelled orders and compares it with the one before', async () => {
+    const data = await report('date_from=2024-01-01&date_to=2024-01-14');
+    const revenue = orders.first.subtotal + orders.second.subtotal;
+
+    expect(data.period).toEqual({ from: '2024-01-01', to: '2024-01-14', interval: 'day' });
+    expect(data.totals).toEqual({
+      orderCount: 2,
+      revenue,
+      totalPaid: orders.first.totalPrice + orders.second.totalPrice,
+      averageOrderValue: Math.round(revenue / 2 * 100) / 100,
+      unitsSold: 3
+    });
+    expect(data.previousPeriod).toMatchObject({
+      from: '2023-12-18',
+      to: '2023-12-31',
+      totals: { orderCount: 1, revenue: orders.previous.subtotal, unitsSold: 1 }
+    });
+    expect(data.change.orderCount).toBe(100);
+    expect(data.change.unitsSold).toBe(200);
+  });
+
+  it('fills in empty buckets of the time series', async () => {
+    const daily = await report('date_from=2024-01-01&date_to=2024-01-14');
+    expect(daily.series).toHaveLength(14);
+    expect(daily.series[0]).toEqual({ bucket: '2024-01-01', orderCount: 0, revenue: 0, totalPaid: 0 });
+    expect(daily.series[1]).toEqual({
+      bucket: '2024-01-02', orderCount: 1, revenue: orders.first.subtotal, totalPaid: orders.first.totalPrice
+    });
+
+    const weekly = await report('date_from=2024-01-01&date_to=2024-01-14&interval=week');
+    expect(weekly.series.map(bucket => [bucket.bucket, bucket.orderCount])).toEqual([['2024-01-01', 1], ['2024-01-08', 1]]);
+
+    const monthly = await report('date_from=2023-12-15&date_to=2024-01-20&interval=month');
+    expect(monthly.series.map(bucket => [bucket.bucket, bucket.orderCount])).toEqual([['2023-12-01', 1], ['2024-01-01', 3]]);
+  });
+
+  it('breaks sales down by status and category and ranks products and customers', async () => {
+    const data = await report('date_from=2024-01-01&date_to=2024-01-14&top=1');
+
+    expect(data.byStatus.map(row => [row.status, row.orderCount])).toEqual([['pending', 2], ['cancelled', 1]]);
+    expect(data.byCategory).toEqual([
+      { category: 'Furniture', orderCount: 1, unitsSold: 1, revenue: 100 },
+      { category: 'Seating', orderCount: 1, unitsSold: 2, revenue: 80 }
+    ]);
+    expect(data.topProducts).toEqual([
+      expect.objectContaining({ productId: desk.id, unitsSold: 1, revenue: 100 })
+    ]);
+    expect(data.topCustomers).toHaveLength(1);
+  });
+
+  it('reports revenue after discounts, adding up across categories and products', async () => {
+    await admin.post('/promotions').send({ code: 'DESKHALF', name: 'Half off desks', type: 'percentage', value: 50, productId: desk.id });
+    const res = await as(bob.token).post('/orders').send({
+      items: [{ product_id: desk.id, quantity: 1 }, { product_id: chair.id, quantity: 1 }],
+      coupon_code: 'DESKHALF'
+    });
+    expect(res.body.data.items.map(item => item.discountAmount)).toEqual([50, 0]);
+    await db.run('UPDATE orders SET order_date = ? WHERE id = ?', ['2024-03-05 10:00:00', res.body.data.id]);
+
+    const data = await report('date_from=2024-03-01&date_to=2024-03-31');
+
+    expect(data.totals).toMatchObject({ revenue: 90, totalPaid: res.body.data.totalPrice });
+    expect(data.byCategory.map(row => [row.category, row.revenue])).toEqual([['Furniture', 50], ['Seating', 40]]);
+    expect(data.topProducts.map(row => row.revenue)).toEqual([50, 40]);
+    expect(data.topCustomers).toEqual([expect.objectContaining({ userId: bob.id, revenue: 90 })]);
+  });
+
+  it('reports no change when there is nothing to compare with', async () => {
+    const data = await report('date_from=2023-01-01&date_to=2023-01-31');
+
+    expect(data.totals.orderCount).toBe(0);
+    expect(data.change).toEqual({ orderCount: null, revenue: null, averageOrderValue: null, unitsSold: null });
+  });
+
+  it('validates the period and interval', async () => {
+    const reversed = await admin.get('/analytics/sales?date_from=2024-02-01&date_to=2024-01-01');
+    expect(reversed.status).toBe(400);
+
+    const interval = await admin.get('/analytics/sales?interval=year');
+    expect(interval.status).toBe(400);
+  });
+
+  it('is only available to admin and staff', async () => {
+    const res = await as(alice.token).get('/analytics/sales');
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,82 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Product search', () => {
+  let adminToken;
+  let admin;
+  let keyboard;
+  let cable;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+
+    cable = await createProduct(adminToken, {
+      name: 'USB Cable',
+      description: 'Spare cable for any wireless keyboard dock'
+    });
+    keyboard = await createProduct(adminToken, {
+      name: 'Wireless Keyboard',
+      description: 'Compact wireless keyboard with backlight'
+    });
+    await createProduct(adminToken, { name: 'Café Table', description: 'Round and sturdy' });
+  });
+
+  afterAll(teardownDatabase);
+
+  it('ranks name matches above description matches', async () => {
+    const res = await admin.get('/products/search?q=wireless keyboard');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(product => product.id)).toEqual([keyboard.id, cable.id]);
+    expect(res.body.data[0].relevance).toBeGreaterThan(res.body.data[1].relevance);
+    expect(res.body.pagination.total).toBe(2);
+  });
+
+  it('wraps the matched words in mark tags', async () => {
+    const res = await admin.get('/products/search?q=wireless keyboard');
+
+    expect(res.body.data[0].highlights).toEqual({
+      name: '<mark>Wireless</mark> <mark>Keyboard</mark>',
+      description: 'Compact <mark>wireless</mark> <mark>keyboard</mark> with backlight'
+    });
+    expect(res.body.data[1].highlights.name).toBe('USB Cable');
+  });
+
+  it('matches the start of every word', async () => {
+    const prefix = await admin.get('/products/search?q=wire key');
+    expect(prefix.body.data.map(product => product.id)).toEqual([keyboard.id, cable.id]);
+
+    const allWords = await admin.get('/products/search?q=wire backl');
+    expect(allWords.body.data.map(product => product.id)).toEqual([keyboard.id]);
+
+    const middle = await admin.get('/products/search?q=less');
+    expect(middle.body.data).toEqual([]);
+  });
+
+  it('ignores accents and treats search operators as words', async () => {
+    const accent = await admin.get('/products/search?q=cafe');
+    expect(accent.body.data.map(product => product.name)).toEqual(['Café Table']);
+
+    const operator = await admin.get('/products/search?q=and');
+    expect(operator.status).toBe(200);
+    expect(operator.body.data.map(product => product.name)).toEqual(['Café Table']);
+  });
+
+  it('keeps the index up to date when a product is renamed', async () => {
+    await admin.put(`/products/${cable.id}`).send({ name: 'Lightning Lead' });
+
+    const renamed = await admin.get('/products/search?q=lightning');
+    expect(renamed.body.data.map(product => product.id)).toEqual([cable.id]);
+
+    const oldName = await admin.get('/products/search?q=usb');
+    expect(oldName.body.data).toEqual([]);
+  });
+
+  it('requires a letter or number in the query', async () => {
+    const res = await admin.get('/products/search?q=***');
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].message).toBe('Search query must contain at least one letter or number');
+  });
+});
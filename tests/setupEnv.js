@@ -0,0 +1,15 @@
+const os = require('os');
+const path = require('path');
+
+// Every test file gets its own SQLite database and a fresh module registry, so the
+// db singleton connects to that file only
+process.env.NODE_ENV = 'test';
+process.env.DB_CLIENT = 'sqlite';
+process.env.DB_PATH = path.join(os.tmpdir(), `oms-test-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.db`);
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_SALT_ROUNDS = '4';
+process.env.ADMIN_EMAIL = 'admin@example.com';
+process.env.ADMIN_PASSWORD = 'Adm1nPassword';
+process.env.RATE_LIMIT_MAX_REQUESTS = '100000';
+process.env.AUTH_RATE_LIMIT_MAX_REQUESTS = '100000';
+process.env.LOG_LEVEL = 'error';
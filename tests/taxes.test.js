@@ -0,0 +1,149 @@
+const OrderModel = require('../models/orderModel');
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Tax and shipping', () => {
+  let adminToken;
+  let admin;
+  let books;
+  let childrens;
+  let novel;
+  let picture;
+  let desk;
+
+  const createRule = async (data) => {
+    const res = await admin.post('/tax-rules').send(data);
+    expect(res.status).toBe(201);
+    return res.body.data;
+  };
+
+  const taxRateFor = async (product, region) => {
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 1, shipping_region: region });
+    expect(res.status).toBe(201);
+    return res.body.data.items[0].taxRate;
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+
+    books = (await admin.post('/categories').send({ name: 'Books' })).body.data;
+    childrens = (await admin.post('/categories').send({ name: 'Children', parentId: books.id })).body.data;
+    novel = await createProduct(adminToken, { name: 'Novel', price: 50, stockQuantity: 100, categoryId: books.id });
+    picture = await createProduct(adminToken, { name: 'Picture Book', price: 20, stockQuantity: 100, categoryId: childrens.id });
+    desk = await createProduct(adminToken, { name: 'Desk', price: 100, stockQuantity: 100 });
+
+    await createRule({ name: 'German VAT', region: 'DE', rate: 19 });
+    await createRule({ name: 'German books', region: 'de', categoryId: books.id, rate: 7 });
+    await createRule({ name: 'German children\'s books', region: 'DE', categoryId: childrens.id, rate: 0 });
+    await createRule({ name: 'Books everywhere', categoryId: books.id, rate: 2 });
+    await createRule({ name: 'US', region: 'US', rate: 5 });
+    await createRule({ name: 'California', region: 'US-CA', rate: 8 });
+  });
+
+  afterAll(teardownDatabase);
+
+  it('picks the rule with the closest region, then the closest category', async () => {
+    expect(await taxRateFor(desk, 'DE')).toBe(19);
+    expect(await taxRateFor(novel, 'DE')).toBe(7);
+    expect(await taxRateFor(picture, 'DE')).toBe(0);
+    expect(await taxRateFor(novel, 'FR')).toBe(2);
+    expect(await taxRateFor(picture, 'FR')).toBe(2);
+    expect(await taxRateFor(desk, 'FR')).toBe(0);
+  });
+
+  it('lets a country rule cover its subdivisions, and a subdivision rule win over it', async () => {
+    expect(await taxRateFor(desk, 'US-NY')).toBe(5);
+    expect(await taxRateFor(desk, 'us-ca')).toBe(8);
+    // The region decides before the category does
+    expect(await taxRateFor(novel, 'US-CA')).toBe(8);
+  });
+
+  it('taxes orders placed without a region only by rules for every region', async () => {
+    expect(await taxRateFor(novel, undefined)).toBe(2);
+    expect(await taxRateFor(desk, undefined)).toBe(0);
+  });
+
+  it('ignores inactive rules and leaves existing orders alone', async () => {
+    const rule = await createRule({ name: 'Luxembourg', region: 'LU', rate: 17 });
+    const before = await admin.post('/orders').send({ product_id: desk.id, quantity: 1, shipping_region: 'LU' });
+    expect(before.body.data.taxTotal).toBe(17);
+
+    await admin.patch(`/tax-rules/${rule.id}`).send({ status: 'inactive' });
+
+    expect(await taxRateFor(desk, 'LU')).toBe(0);
+    expect((await admin.get(`/orders/${before.body.data.id}`)).body.data.taxTotal).toBe(17);
+  });
+
+  it('taxes lines after sharing the discounts between them', async () => {
+    await admin.post('/promotions').send({ code: 'THIRTY', name: 'Thirty off', type: 'fixed_amount', value: 30 });
+
+    const res = await admin.post('/orders').send({
+      items: [{ product_id: desk.id, quantity: 1 }, { product_id: novel.id, quantity: 1 }],
+      shipping_region: 'DE',
+      coupon_code: 'THIRTY'
+    });
+
+    expect(res.body.data.items.map(item => item.taxAmount)).toEqual([15.2, 2.8]);
+    expect(res.body.data).toMatchObject({ subtotal: 150, discountTotal: 30, taxTotal: 18, totalPrice: 138 });
+  });
+
+  it('takes a scoped discount only off the tax of the lines it applies to', async () => {
+    await admin.post('/promotions').send({ code: 'KIDSHALF', name: 'Half off', type: 'percentage', value: 50, categoryId: childrens.id });
+    await admin.post('/promotions').send({ code: 'DESKTEN', name: 'Ten off', type: 'fixed_amount', value: 10, productId: desk.id });
+
+    const byCategory = await admin.post('/orders').send({
+      items: [{ product_id: picture.id, quantity: 5 }, { product_id: desk.id, quantity: 1 }],
+      shipping_region: 'DE',
+      coupon_code: 'KIDSHALF'
+    });
+    expect(byCategory.body.data.items.map(item => item.taxAmount)).toEqual([0, 19]);
+    expect(byCategory.body.data).toMatchObject({ subtotal: 200, discountTotal: 50, taxTotal: 19 });
+
+    const byProduct = await admin.post('/orders').send({
+      items: [{ product_id: novel.id, quantity: 1 }, { product_id: desk.id, quantity: 1 }],
+      shipping_region: 'DE',
+      coupon_code: 'DESKTEN'
+    });
+    expect(byProduct.body.data.items.map(item => item.taxAmount)).toEqual([3.5, 17.1]);
+    expect(byProduct.body.data).toMatchObject({ discountTotal: 10, taxTotal: 20.6 });
+  });
+
+  it('allows one rule per region and category pair', async () => {
+    const duplicate = await admin.post('/tax-rules').send({ name: 'Again', region: 'DE', categoryId: books.id, rate: 5 });
+    expect(duplicate.status).toBe(409);
+
+    const unknownCategory = await admin.post('/tax-rules').send({ name: 'Nowhere', region: 'AT', categoryId: 999, rate: 5 });
+    expect(unknownCategory.status).toBe(400);
+  });
+
+  describe('shipping', () => {
+    const { shippingFlatRate, freeShippingThreshold } = OrderModel;
+
+    beforeAll(() => {
+      OrderModel.shippingFlatRate = 4.99;
+      OrderModel.freeShippingThreshold = 100;
+    });
+
+    afterAll(() => {
+      OrderModel.shippingFlatRate = shippingFlatRate;
+      OrderModel.freeShippingThreshold = freeShippingThreshold;
+    });
+
+    it('charges the flat rate, untaxed, below the free shipping threshold', async () => {
+      const res = await admin.post('/orders').send({ product_id: novel.id, quantity: 1, shipping_region: 'DE' });
+
+      expect(res.body.data).toMatchObject({ subtotal: 50, taxTotal: 3.5, shippingTotal: 4.99, totalPrice: 58.49 });
+    });
+
+    it('ships free once the subtotal after discounts reaches the threshold', async () => {
+      const free = await admin.post('/orders').send({ product_id: novel.id, quantity: 2, shipping_region: 'FR' });
+      expect(free.body.data).toMatchObject({ subtotal: 100, shippingTotal: 0, totalPrice: 102 });
+
+      const discounted = await admin.post('/orders').send({
+        product_id: novel.id, quantity: 2, shipping_region: 'FR', coupon_code: 'THIRTY'
+      });
+      expect(discounted.body.data).toMatchObject({ discountTotal: 30, taxTotal: 1.4, shippingTotal: 4.99, totalPrice: 76.39 });
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const db = require('../db');
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Concurrent units of work', () => {
+  let adminToken;
+  let admin;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+  });
+
+  afterAll(teardownDatabase);
+
+  it('never sells more than is in stock when orders race', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 5 });
+
+    const results = await Promise.all(
+      Array.from({ length: 8 }, () => admin.post('/orders').send({ product_id: product.id, quantity: 1 }))
+    );
+
+    expect(results.filter(res => res.status === 201)).toHaveLength(5);
+    expect(results.filter(res => res.status === 400)).toHaveLength(3);
+    expect((await admin.get(`/products/${product.id}`)).body.data.stock).toEqual({ onHand: 5, reserved: 5, available: 0 });
+  });
+
+  it('keeps the orders of one request when another request rolls back', async () => {
+    const plenty = await createProduct(adminToken, { name: 'Plenty', stockQuantity: 50 });
+    const scarce = await createProduct(adminToken, { name: 'Scarce', stockQuantity: 1 });
+
+    const [ok, failed] = await Promise.all([
+      admin.post('/orders').send({ product_id: plenty.id, quantity: 2 }),
+      admin.post('/orders').send({ items: [{ product_id: plenty.id, quantity: 3 }, { product_id: scarce.id, quantity: 2 }] })
+    ]);
+
+    expect(ok.status).toBe(201);
+    expect(failed.status).toBe(400);
+    expect((await admin.get(`/orders/${ok.body.data.id}`)).status).toBe(200);
+    expect((await admin.get(`/products/${plenty.id}`)).body.data.stock.reserved).toBe(2);
+  });
+
+  it('adds up concurrent stock adjustments', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 0 });
+
+    await Promise.all(
+      Array.from({ length: 6 }, () => admin.post(`/products/${product.id}/stock`).send({ operation: 'add', quantity: 2 }))
+    );
+
+    expect((await admin.get(`/products/${product.id}`)).body.data.stockQuantity).toBe(12);
+    const movements = await admin.get(`/products/${product.id}/movements?limit=100`);
+    expect(movements.body.data.map(movement => movement.balanceAfter).sort((a, b) => a - b)).toEqual([2, 4, 6, 8, 10, 12]);
+  });
+
+  it('rolls back a savepoint without losing the rest of the transaction', async () => {
+    const product = await createProduct(adminToken, { stockQuantity: 1 });
+
+    await db.transaction(async (tx) => {
+      await tx.run('UPDATE products SET price = 99 WHERE id = ?', [product.id]);
+
+      await expect(tx.transaction(async (inner) => {
+        await inner.run('UPDATE products SET stock_quantity = -1 WHERE id = ?', [product.id]);
+      })).rejects.toThrow('CHECK constraint failed');
+    });
+
+    const saved = (await admin.get(`/products/${product.id}`)).body.data;
+    expect(saved.price).toBe(99);
+    expect(saved.stockQuantity).toBe(1);
+  });
+});
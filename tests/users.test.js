@@ -0,0 +1,121 @@
+const AuthModel = require('../models/authModel');
+const { request, app, ADMIN, setupDatabase, teardownDatabase, login, loginAdmin, as, createUser, createProduct } = require('./helpers');
+
+describe('User maintenance', () => {
+  let adminToken;
+  let admin;
+  let adminId;
+  let staff;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+    adminId = (await admin.get('/auth/me')).body.data.id;
+    staff = await createUser(adminToken, 'staff');
+  });
+
+  afterAll(teardownDatabase);
+
+  it('lets staff update a customer address', async () => {
+    const customer = await createUser(adminToken);
+
+    const res = await as(staff.token).patch(`/users/${customer.id}`).send({ address: '1 Main Street' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.address).toBe('1 Main Street');
+  });
+
+  it('keeps staff away from admin accounts', async () => {
+    const attempts = [
+      as(staff.token).patch(`/users/${adminId}`).send({ status: 'suspended' }),
+      as(staff.token).patch(`/users/${adminId}`).send({ name: 'Not The Admin' }),
+      as(staff.token).delete(`/users/${adminId}`)
+    ];
+
+    for (const res of await Promise.all(attempts)) {
+      expect(res.status).toBe(403);
+    }
+
+    expect((await request(app).post('/auth/login').send(ADMIN)).status).toBe(200);
+  });
+
+  it('only lets admins change role or status', async () => {
+    const customer = await createUser(adminToken);
+
+    expect((await as(staff.token).patch(`/users/${customer.id}`).send({ status: 'suspended' })).status).toBe(403);
+    expect((await as(staff.token).patch(`/users/${customer.id}`).send({ role: 'staff' })).status).toBe(403);
+    expect((await as(customer.token).patch(`/users/${customer.id}`).send({ role: 'admin' })).status).toBe(403);
+    expect((await admin.patch(`/users/${adminId}`).send({ status: 'inactive' })).status).toBe(403);
+
+    const promoted = await admin.patch(`/users/${customer.id}`).send({ role: 'staff' });
+    expect(promoted.body.data.role).toBe('staff');
+  });
+
+  it('refuses to deactivate or suspend a user with active orders', async () => {
+    const customer = await createUser(adminToken);
+    const product = await createProduct(adminToken);
+    const order = (await as(customer.token).post('/orders').send({ product_id: product.id, quantity: 1 })).body.data;
+
+    expect((await admin.patch(`/users/${customer.id}`).send({ status: 'inactive' })).status).toBe(409);
+    expect((await admin.patch(`/users/${customer.id}`).send({ status: 'suspended' })).status).toBe(409);
+    expect((await admin.delete(`/users/${customer.id}`)).status).toBe(409);
+    expect((await as(customer.token).get('/auth/me')).status).toBe(200);
+    expect((await admin.get(`/users/${customer.id}`)).body.data.status).toBe('active');
+
+    await admin.post(`/orders/${order.id}/cancel`).send({});
+    expect((await admin.patch(`/users/${customer.id}`).send({ status: 'suspended' })).status).toBe(200);
+  });
+
+  it('does not let an admin deactivate their own account', async () => {
+    const res = await admin.delete(`/users/${adminId}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('You cannot deactivate your own account');
+    expect((await admin.get('/auth/me')).status).toBe(200);
+  });
+
+  it('leaves the user active when revoking their sessions fails', async () => {
+    const customer = await createUser(adminToken);
+    const revoke = jest.spyOn(AuthModel, 'revokeAllForUser').mockRejectedValueOnce(new Error('disk I/O error'));
+
+    try {
+      expect((await admin.delete(`/users/${customer.id}`)).status).toBe(500);
+    } finally {
+      revoke.mockRestore();
+    }
+
+    expect((await admin.get(`/users/${customer.id}`)).body.data.status).toBe('active');
+    expect((await as(customer.token).get('/auth/me')).status).toBe(200);
+  });
+
+  it('ends the sessions of a suspended user', async () => {
+    const customer = await createUser(adminToken);
+    const { body } = await request(app).post('/auth/login').send({ email: customer.email, password: customer.password });
+
+    const res = await admin.patch(`/users/${customer.id}`).send({ status: 'suspended', phone: '+15551234567' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('suspended');
+
+    expect((await as(customer.token).get('/auth/me')).status).toBe(401);
+    expect((await request(app).post('/auth/refresh').send({ refresh_token: body.data.refreshToken })).status).toBe(401);
+    await expect(login(customer)).rejects.toThrow('Account is suspended');
+
+    const reactivated = await admin.patch(`/users/${customer.id}`).send({ status: 'active' });
+    expect(reactivated.body.data.status).toBe('active');
+    await expect(login(customer)).resolves.toEqual(expect.any(String));
+  });
+
+  it('reports order statistics and lists the orders of a user', async () => {
+    const customer = await createUser(adminToken);
+    const product = await createProduct(adminToken, { price: 7 });
+    await as(customer.token).post('/orders').send({ product_id: product.id, quantity: 2 });
+
+    const stats = await as(customer.token).get(`/users/${customer.id}/stats`);
+    const orders = await as(customer.token).get(`/users/${customer.id}/orders`);
+
+    expect(stats.status).toBe(200);
+    expect(orders.body.data).toHaveLength(1);
+    expect(orders.body.data[0].totalPrice).toBe(14);
+  });
+});
@@ -0,0 +1,117 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Product variants', () => {
+  let adminToken;
+  let admin;
+  let tee;
+  let small;
+  let large;
+
+  const getProduct = async (id) => (await admin.get(`/products/${id}`)).body.data;
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+
+    const res = await admin.post('/products').send({
+      name: 'Logo T-shirt',
+      price: 20,
+      variants: [
+        { sku: 'TEESRED', options: { size: 'S', colour: 'Red' }, stockQuantity: 3 },
+        { sku: 'TEEXLRED', options: { size: 'XL', colour: 'Red' }, price: 22, stockQuantity: 5 }
+      ]
+    });
+    expect(res.status).toBe(201);
+    tee = await getProduct(res.body.data.id);
+    [small, large] = tee.variants;
+  });
+
+  afterAll(teardownDatabase);
+
+  it('returns the variants and the option matrix with the product', async () => {
+    const product = await getProduct(tee.id);
+
+    expect(product.stockQuantity).toBe(8);
+    expect(product.variants.map(variant => [variant.sku, variant.price, variant.priceOverride, variant.stock.onHand])).toEqual([
+      ['TEESRED', 20, false, 3],
+      ['TEEXLRED', 22, true, 5]
+    ]);
+    expect(product.variantOptions).toEqual([
+      { name: 'size', values: ['S', 'XL'] },
+      { name: 'colour', values: ['Red'] }
+    ]);
+  });
+
+  it('rejects variants whose options clash with the others', async () => {
+    const otherNames = await admin.post(`/products/${tee.id}/variants`).send({ sku: 'TEEMBLU', options: { size: 'M' } });
+    expect(otherNames.status).toBe(400);
+    expect(otherNames.body.error).toBe('Variant options must be exactly: size, colour');
+
+    const sameValues = await admin.post(`/products/${tee.id}/variants`).send({ sku: 'TEESRED2', options: { colour: 'Red', size: 'S' } });
+    expect(sameValues.status).toBe(409);
+
+    const takenSku = await admin.post(`/products/${tee.id}/variants`).send({ sku: 'TEESRED', options: { size: 'M', colour: 'Red' } });
+    expect(takenSku.status).toBe(409);
+  });
+
+  it('shares SKUs between products and variants', async () => {
+    const res = await admin.post('/products').send({ name: 'Mug', price: 8, sku: 'TEEXLRED' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('only adds variants to products without stock of their own', async () => {
+    const mug = await createProduct(adminToken, { name: 'Mug', price: 8, stockQuantity: 4 });
+
+    const res = await admin.post(`/products/${mug.id}/variants`).send({ sku: 'MUGBLUE', options: { colour: 'Blue' } });
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe(`Product ${mug.id} still holds stock of its own; bring it to 0 before adding variants`);
+
+    const direct = await admin.post(`/products/${tee.id}/stock`).send({ operation: 'add', quantity: 1 });
+    expect(direct.status).toBe(400);
+  });
+
+  it('prices, reserves and confirms order lines per variant', async () => {
+    const res = await admin.post('/orders').send({
+      items: [
+        { product_id: tee.id, variant_id: small.id, quantity: 2 },
+        { product_id: tee.id, variant_id: large.id, quantity: 1 }
+      ]
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.data.items.map(item => [item.variantId, item.unitPrice])).toEqual([[small.id, 20], [large.id, 22]]);
+    expect(res.body.data.subtotal).toBe(62);
+
+    let product = await getProduct(tee.id);
+    expect(product.stock).toEqual({ onHand: 8, reserved: 3, available: 5 });
+    expect(product.variants[0].stock).toEqual({ onHand: 3, reserved: 2, available: 1 });
+
+    await admin.patch(`/orders/${res.body.data.id}/status`).send({ status: 'confirmed' });
+    product = await getProduct(tee.id);
+    expect(product.stock).toEqual({ onHand: 5, reserved: 0, available: 5 });
+    expect(product.variants.map(variant => variant.stock.onHand)).toEqual([1, 4]);
+
+    await admin.post(`/orders/${res.body.data.id}/cancel`).send({});
+    product = await getProduct(tee.id);
+    expect(product.variants.map(variant => variant.stock.onHand)).toEqual([3, 5]);
+  });
+
+  it('requires a variant, and enough of its stock, for products with variants', async () => {
+    const noVariant = await admin.post('/orders').send({ product_id: tee.id, quantity: 1 });
+    expect(noVariant.status).toBe(400);
+
+    const tooMany = await admin.post('/orders').send({ product_id: tee.id, variant_id: small.id, quantity: 4 });
+    expect(tooMany.status).toBe(400);
+    expect((await getProduct(tee.id)).stock.reserved).toBe(0);
+  });
+
+  it('adjusts stock per variant and keeps the product total in step', async () => {
+    const res = await admin.post(`/products/${tee.id}/variants/${small.id}/stock`).send({ operation: 'add', quantity: 7 });
+    expect(res.status).toBe(200);
+
+    const product = await getProduct(tee.id);
+    expect(product.variants[0].stock.onHand).toBe(10);
+    expect(product.stockQuantity).toBe(15);
+  });
+});
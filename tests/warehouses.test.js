@@ -0,0 +1,102 @@
+const { setupDatabase, teardownDatabase, loginAdmin, as, createProduct } = require('./helpers');
+
+describe('Warehouse allocation', () => {
+  let adminToken;
+  let admin;
+  let main;
+  let east;
+  let west;
+  let product;
+
+  const stockByWarehouse = async () => {
+    const res = await admin.get(`/products/${product.id}`);
+    return Object.fromEntries(res.body.data.stockByWarehouse.map(line => [line.warehouse.code, line.stock]));
+  };
+
+  beforeAll(async () => {
+    await setupDatabase();
+    adminToken = await loginAdmin();
+    admin = as(adminToken);
+
+    main = (await admin.get('/warehouses')).body.data.find(warehouse => warehouse.code === 'MAIN');
+    east = (await admin.post('/warehouses').send({ code: 'EAST', name: 'East', priority: 2 })).body.data;
+    west = (await admin.post('/warehouses').send({ code: 'WEST', name: 'West', priority: 3 })).body.data;
+
+    product = await createProduct(adminToken, { price: 10, stockQuantity: 4 });
+    await admin.post(`/products/${product.id}/stock`).send({ operation: 'add', quantity: 3, warehouseId: east.id });
+    await admin.post(`/products/${product.id}/stock`).send({ operation: 'add', quantity: 5, warehouseId: west.id });
+  });
+
+  afterAll(teardownDatabase);
+
+  it('ships a line from the first warehouse by priority that holds all of it', async () => {
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 3 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.items[0].warehouseId).toBe(main.id);
+    expect(res.body.data.items[0].allocations).toEqual([{ warehouseId: main.id, quantity: 3 }]);
+  });
+
+  it('prefers a lower-priority warehouse that holds all of a line to splitting it', async () => {
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 2 });
+
+    expect(res.body.data.items[0].allocations).toEqual([{ warehouseId: east.id, quantity: 2 }]);
+    await admin.post(`/orders/${res.body.data.id}/cancel`).send({});
+  });
+
+  let split;
+
+  it('splits a line across warehouses when none holds all of it', async () => {
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 6 });
+
+    expect(res.status).toBe(201);
+    split = res.body.data;
+    expect(split.items[0].warehouseId).toBeNull();
+    expect(split.items[0].allocations).toEqual([
+      { warehouseId: main.id, quantity: 1 },
+      { warehouseId: east.id, quantity: 3 },
+      { warehouseId: west.id, quantity: 2 }
+    ]);
+    expect(await stockByWarehouse()).toEqual({
+      MAIN: { onHand: 4, reserved: 4, available: 0 },
+      EAST: { onHand: 3, reserved: 3, available: 0 },
+      WEST: { onHand: 5, reserved: 2, available: 3 }
+    });
+  });
+
+  it('ships and returns a split line from each of its warehouses', async () => {
+    await admin.patch(`/orders/${split.id}/status`).send({ status: 'confirmed' });
+
+    let stock = await stockByWarehouse();
+    expect([stock.MAIN.onHand, stock.EAST.onHand, stock.WEST.onHand]).toEqual([3, 0, 3]);
+
+    const movements = await admin.get(`/products/${product.id}/movements?limit=100`);
+    const shipped = movements.body.data.filter(movement => movement.reason === 'order');
+    expect(shipped.map(movement => [movement.warehouseId, movement.delta]).sort()).toEqual(
+      [[main.id, -1], [east.id, -3], [west.id, -2]].sort()
+    );
+
+    await admin.post(`/orders/${split.id}/cancel`).send({});
+
+    stock = await stockByWarehouse();
+    expect([stock.MAIN.onHand, stock.EAST.onHand, stock.WEST.onHand]).toEqual([4, 3, 5]);
+  });
+
+  it('fails only when the active warehouses together hold too little', async () => {
+    await admin.patch(`/warehouses/${west.id}`).send({ status: 'inactive' });
+
+    // 1 available in MAIN and 3 in EAST, while WEST holds 5 it cannot ship
+    const res = await admin.post('/orders').send({ product_id: product.id, quantity: 5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(`Insufficient stock for product ${product.id} in active warehouses`);
+    expect((await stockByWarehouse()).EAST.reserved).toBe(0);
+    expect((await admin.get(`/products/${product.id}`)).body.data.stock.reserved).toBe(3);
+
+    const fits = await admin.post('/orders').send({ product_id: product.id, quantity: 4 });
+    expect(fits.body.data.items[0].allocations).toEqual([
+      { warehouseId: main.id, quantity: 1 },
+      { warehouseId: east.id, quantity: 3 }
+    ]);
+  });
+});
@@ -0,0 +1,135 @@
+const { logger } = require('./logger');
+const AuthModel = require('../models/authModel');
+const UserModel = require('../models/userModel');
+
+// Roles allowed to perform each action; ownership checks for customers live in the routers
+const PERMISSIONS = {
+  'users:list': ['admin', 'staff'],
+  'users:create': ['admin'],
+  'users:view_any': ['admin', 'staff'],
+  'users:update_any': ['admin', 'staff'],
+  'users:assign_role': ['admin'],
+  'users:change_status': ['admin'],
+  'users:manage_admins': ['admin'],
+  'users:deactivate': ['admin', 'staff'],
+  'products:create': ['admin'],
+  'products:update': ['admin', 'staff'],
+  'products:discontinue': ['admin'],
+  'products:import': ['admin'],
+  'products:export': ['admin', 'staff'],
+  'categories:manage': ['admin'],
+  'inventory:view': ['admin', 'staff'],
+  'inventory:transfer': ['admin', 'staff'],
+  'warehouses:manage': ['admin'],
+  'promotions:view': ['admin', 'staff'],
+  'promotions:manage': ['admin'],
+  'tax:view': ['admin', 'staff'],
+  'tax:manage': ['admin'],
+  'orders:view_any': ['admin', 'staff'],
+  'orders:create_any': ['admin', 'staff'],
+  'orders:transition': ['admin', 'staff'],
+  'orders:cancel_any': ['admin', 'staff'],
+  'orders:export': ['admin', 'staff'],
+  'analytics:view': ['admin', 'staff']
+};
+
+const hasPermission = (user, permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return Boolean(user) && allowedRoles.includes(user.role);
+};
+
+// Reject the request with a consistent 403 body
+const forbidden = (res, error = 'You do not have permission to perform this action') => {
+  return res.status(403).json({
+    success: false,
+    message: 'Forbidden',
+    error,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Reject the request with a consistent 401 body
+const unauthorized = (res, error) => {
+  return res.status(401).json({
+    success: false,
+    message: 'Authentication required',
+    error,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Verify the Bearer access token and attach the user to req.user
+const authenticate = async (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    logger.warn('Missing bearer token', { method: req.method, url: req.originalUrl, ip: req.ip });
+    return unauthorized(res, 'Missing or malformed Authorization header');
+  }
+
+  try {
+    const payload = AuthModel.verifyToken(token, 'access');
+
+    if (await AuthModel.isAccessTokenRevoked(payload.jti)) {
+      return unauthorized(res, 'Token has been revoked');
+    }
+
+    const user = await UserModel.findById(payload.sub);
+    if (!user) {
+      return unauthorized(res, 'User no longer exists');
+    }
+
+    if (user.status !== 'active') {
+      return unauthorized(res, `Account is ${user.status}`);
+    }
+
+    req.user = user;
+    req.auth = payload;
+
+    next();
+
+  } catch (error) {
+    logger.warn('Authentication failed', {
+      error: error.message,
+      method: req.method,
+      url: req.originalUrl,
+      ip: req.ip
+    });
+
+    if (error.message.includes('token') || error.message.includes('Token')) {
+      return unauthorized(res, error.message);
+    }
+
+    next(error);
+  }
+};
+
+// Allow the request only when the authenticated user's role grants the permission
+const authorize = (permission) => {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      logger.warn('Permission denied', {
+        userId: req.user?.id,
+        role: req.user?.role,
+        permission,
+        method: req.method,
+        url: req.originalUrl
+      });
+      return forbidden(res);
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  hasPermission,
+  forbidden,
+  PERMISSIONS
+};
@@ -0,0 +1,94 @@
+// Minimal RFC 4180 CSV reading and writing for spreadsheet imports and exports
+
+// Parse CSV text into records, remembering the file line each record starts on
+// so import errors can point at the spreadsheet row
+const parseCsv = (text) => {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endValue = () => {
+    values.push(value);
+    value = '';
+  };
+
+  const endRecord = () => {
+    endValue();
+    records.push({ line: recordLine, values });
+    values = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        value += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endValue();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      value += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Invalid CSV: unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  if (value !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  // Blank lines are not records
+  return records.filter(record => record.values.some(cell => cell.trim() !== ''));
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) || text.trim() !== text ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  toCsvLine
+};
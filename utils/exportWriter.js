@@ -0,0 +1,77 @@
+const ExcelJS = require('exceljs');
+const { once } = require('events');
+const { toCsvLine } = require('./csv');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Streams rows to an HTTP response as a CSV or XLSX download. Rows are written as they
+// arrive and the writer waits for the client to catch up, so exports of any size run
+// in constant memory.
+class ExportWriter {
+  constructor(res, { format = 'csv', filename, sheetName = 'Export', columns }) {
+    this.res = res;
+    this.format = format;
+    this.filename = `${filename}.${format}`;
+    this.sheetName = sheetName;
+    this.columns = columns;
+    this.started = false;
+  }
+
+  start() {
+    this.res.setHeader('Content-Type', CONTENT_TYPES[this.format]);
+    this.res.setHeader('Content-Disposition', `attachment; filename="${this.filename}"`);
+
+    if (this.format === 'xlsx') {
+      this.workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: this.res,
+        useStyles: false,
+        useSharedStrings: false
+      });
+      this.worksheet = this.workbook.addWorksheet(this.sheetName);
+      this.worksheet.addRow(this.columns).commit();
+    } else {
+      this.res.write(toCsvLine(this.columns));
+    }
+
+    this.started = true;
+  }
+
+  async writeRows(rows) {
+    if (!this.started) {
+      this.start();
+    }
+
+    if (this.format === 'xlsx') {
+      rows.forEach(row => this.worksheet.addRow(row).commit());
+    } else if (rows.length > 0) {
+      this.res.write(rows.map(toCsvLine).join(''));
+    }
+
+    if (this.res.writableNeedDrain) {
+      await Promise.race([once(this.res, 'drain'), once(this.res, 'close')]);
+    }
+  }
+
+  async end() {
+    if (!this.started) {
+      this.start();
+    }
+
+    if (this.format === 'xlsx') {
+      this.worksheet.commit();
+      await this.workbook.commit();
+    } else {
+      this.res.end();
+    }
+  }
+
+  // True once the client has gone away; callers should stop producing rows
+  get aborted() {
+    return this.res.destroyed;
+  }
+}
+
+module.exports = ExportWriter;
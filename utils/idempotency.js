@@ -0,0 +1,150 @@
+const { logger } = require('./logger');
+const IdempotencyModel = require('../models/idempotencyModel');
+
+const MAX_KEY_LENGTH = 255;
+
+const reject = (res, statusCode, message, error) => {
+  return res.status(statusCode).json({
+    success: false,
+    message,
+    error,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Requests this middleware has already taken on, so mounting it twice is harmless
+const handled = new WeakSet();
+
+// True while the request has a body that no body parser has read yet. body-parser sets
+// req._body once it has parsed one.
+const hasUnparsedBody = (req) => {
+  const hasBody = req.get('Transfer-Encoding') !== undefined || parseInt(req.get('Content-Length')) > 0;
+  return hasBody && !req._body;
+};
+
+// Make POST requests safe to retry: the first response for an Idempotency-Key is stored
+// and replayed for repeats, so a retried order is not placed twice.
+// Mount after authenticate so keys are scoped per user. The fingerprint covers the parsed
+// body, so routes that parse their own body (file uploads) mount it again after their
+// parser; until then it lets the request through untouched.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (req.method !== 'POST' || key === undefined || handled.has(req) || hasUnparsedBody(req)) {
+    return next();
+  }
+
+  handled.add(req);
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return reject(res, 400, 'Invalid Idempotency-Key', `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`);
+  }
+
+  const scope = req.user ? `user:${req.user.id}` : 'anonymous';
+  const path = req.originalUrl;
+  const fingerprint = IdempotencyModel.fingerprint(req.method, path, req.body);
+
+  try {
+    const existing = await IdempotencyModel.find(scope, key);
+
+    if (existing) {
+      return replay(req, res, existing, fingerprint);
+    }
+
+    const claimed = await IdempotencyModel.claim(scope, key, req.method, path, fingerprint);
+    if (!claimed) {
+      // Lost a race with a concurrent request using the same key
+      return replay(req, res, await IdempotencyModel.find(scope, key), fingerprint);
+    }
+
+  } catch (error) {
+    return next(error);
+  }
+
+  let responseBody;
+  let settled = false;
+  let aborted = false;
+
+  const settle = async () => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+
+    try {
+      // Server errors are not final, so leave the key free for another attempt
+      if (res.statusCode >= 500 || responseBody === undefined) {
+        await IdempotencyModel.release(scope, key);
+      } else {
+        await IdempotencyModel.complete(scope, key, res.statusCode, responseBody);
+      }
+    } catch (error) {
+      logger.error('Failed to store idempotent response', { error: error.message, scope, key, path });
+    }
+  };
+
+  const originalJson = res.json;
+  res.json = function(body) {
+    responseBody = body;
+    const result = originalJson.call(this, body);
+
+    // The client is gone, so 'finish' will not come; store the outcome for its retry
+    if (aborted) {
+      settle();
+    }
+
+    return result;
+  };
+
+  res.on('finish', settle);
+
+  // A client that disconnects before the response is sent never sees 'finish'. The
+  // handler may still be placing the order, so keep the key until it responds.
+  res.on('close', () => {
+    if (res.writableFinished) {
+      return;
+    }
+
+    aborted = true;
+    logger.warn('Client disconnected before idempotent response was sent', { scope, key, path });
+
+    if (responseBody !== undefined) {
+      settle();
+    }
+  });
+
+  next();
+};
+
+const replay = (req, res, record, fingerprint) => {
+  if (!record) {
+    return reject(res, 409, 'Request in progress', 'A request with this Idempotency-Key is still being processed');
+  }
+
+  if (record.fingerprint !== fingerprint) {
+    logger.warn('Idempotency-Key reused with a different request', {
+      key: record.idempotency_key,
+      scope: record.scope,
+      originalPath: record.path,
+      path: req.originalUrl
+    });
+    return reject(res, 422, 'Idempotency key mismatch', 'Idempotency-Key was already used for a different request');
+  }
+
+  if (record.status !== 'completed') {
+    return reject(res, 409, 'Request in progress', 'A request with this Idempotency-Key is still being processed');
+  }
+
+  logger.info('Replaying idempotent response', {
+    key: record.idempotency_key,
+    scope: record.scope,
+    path: record.path
+  });
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.response_status).json(JSON.parse(record.response_body));
+};
+
+module.exports = {
+  idempotency
+};
@@ -56,6 +56,21 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
+const SENSITIVE_FIELDS = ['password', 'refresh_token', 'accessToken', 'refreshToken'];
+
+// Mask credentials before a request body is written to the logs
+const redactSensitive = (data) => {
+  if (!data || typeof data !== 'object') return data;
+
+  const redacted = { ...data };
+  SENSITIVE_FIELDS.forEach(field => {
+    if (redacted[field] !== undefined) {
+      redacted[field] = '[REDACTED]';
+    }
+  });
+  return redacted;
+};
+
 const requestLogger = (req, res, next) => {
   const start = Date.now();
   
@@ -64,7 +79,7 @@ const requestLogger = (req, res, next) => {
     url: req.url,
     ip: req.ip || req.connection.remoteAddress,
     userAgent: req.get('User-Agent'),
-    body: req.method === 'POST' || req.method === 'PUT' ? req.body : undefined
+    body: req.method === 'POST' || req.method === 'PUT' ? redactSensitive(req.body) : undefined
   });
 
   const originalSend = res.send;
@@ -91,7 +106,7 @@ const errorLogger = (err, req, res, next) => {
     stack: err.stack,
     method: req.method,
     url: req.url,
-    body: req.body,
+    body: redactSensitive(req.body),
     ip: req.ip || req.connection.remoteAddress
   });
   
@@ -140,5 +155,6 @@ module.exports = {
   requestLogger,
   errorLogger,
   dbLogger,
-  metricsLogger
+  metricsLogger,
+  redactSensitive
 };
@@ -0,0 +1,144 @@
+const path = require('path');
+const fs = require('fs');
+const db = require('../db');
+const { logger } = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Applies the numbered files in migrations/ and tracks them in schema_migrations.
+// Each file exports async up(tx) and down(tx); each runs in its own transaction.
+class Migrator {
+  constructor() {
+    this.tableName = 'schema_migrations';
+  }
+
+  async ensureTable() {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  // All migration files, ordered by version
+  loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+      .map(file => {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) {
+          return null;
+        }
+
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          file
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  async getApplied() {
+    await this.ensureTable();
+    return db.all('SELECT * FROM schema_migrations ORDER BY version');
+  }
+
+  // Every known migration with whether and when it was applied
+  async status() {
+    const applied = new Map((await this.getApplied()).map(row => [row.version, row]));
+
+    return this.loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+  }
+
+  async pending() {
+    const migrations = await this.status();
+    return migrations.filter(migration => !migration.applied);
+  }
+
+  // Apply pending migrations in order, optionally stopping at a target version
+  async migrate(targetVersion = null) {
+    const applied = new Set((await this.getApplied()).map(row => row.version));
+    const toApply = this.loadMigrations().filter(migration =>
+      !applied.has(migration.version) && (targetVersion === null || migration.version <= targetVersion)
+    );
+
+    for (const migration of toApply) {
+      await this.run(migration, 'up');
+    }
+
+    return toApply;
+  }
+
+  // Revert the most recently applied migrations
+  async rollback(steps = 1) {
+    const migrations = new Map(this.loadMigrations().map(migration => [migration.version, migration]));
+    const toRevert = (await this.getApplied()).reverse().slice(0, steps);
+
+    for (const row of toRevert) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${row.version} (${row.name}) is missing`);
+      }
+
+      await this.run(migration, 'down');
+    }
+
+    return toRevert;
+  }
+
+  async run(migration, direction) {
+    const startTime = Date.now();
+    const definition = require(path.join(MIGRATIONS_DIR, migration.file));
+
+    if (typeof definition[direction] !== 'function') {
+      throw new Error(`Migration ${migration.file} does not define ${direction}()`);
+    }
+
+    try {
+      await db.transaction(async (tx) => {
+        await definition[direction](tx);
+
+        if (direction === 'up') {
+          await tx.run(
+            'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+            [migration.version, migration.name]
+          );
+        } else {
+          await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+      });
+
+    } catch (error) {
+      logger.error('Migration failed', {
+        migration: migration.file,
+        direction,
+        error: error.message
+      });
+      throw error;
+    }
+
+    logger.info(direction === 'up' ? 'Migration applied' : 'Migration rolled back', {
+      migration: migration.file,
+      duration: `${Date.now() - startTime}ms`
+    });
+  }
+}
+
+module.exports = new Migrator();
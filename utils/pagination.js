@@ -0,0 +1,76 @@
+const { columnFor, sortableFields } = require('./queryBuilder');
+
+// Keyset (cursor) pagination shared by the list endpoints.
+// A cursor is the sort spec plus the sort values of the last row of a page, so the next page
+// starts right after it no matter how many rows were inserted or deleted in the meantime.
+
+const SORT_ORDERS = ['ASC', 'DESC'];
+
+const encodeCursor = (spec, row) => {
+  const payload = {
+    s: spec.map(entry => [entry.field, entry.order]),
+    v: spec.map(entry => row[entry.field])
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Cursors come from clients, so every sort field is checked against the resource's
+// whitelist before it gets anywhere near the SQL
+const decodeCursor = (cursor, resource) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  const allowed = sortableFields(resource);
+  const valid = payload && typeof payload === 'object' &&
+    Array.isArray(payload.s) && Array.isArray(payload.v) &&
+    payload.s.length > 0 && payload.s.length === payload.v.length &&
+    payload.s.every(entry => Array.isArray(entry) && allowed.includes(entry[0]) && SORT_ORDERS.includes(entry[1])) &&
+    payload.v.every(value => typeof value === 'string' || typeof value === 'number') &&
+    payload.s[payload.s.length - 1][0] === 'id';
+
+  if (!valid) {
+    throw new Error('Invalid cursor');
+  }
+
+  return {
+    sort: payload.s.map(([field, order]) => ({ field, order })),
+    values: payload.v
+  };
+};
+
+// WHERE condition selecting the rows that come after the cursor in sort order:
+// (a > ?) OR (a = ? AND b < ?) OR (a = ? AND b = ? AND id > ?) ...
+const keysetCondition = (resource, keyset) => {
+  const branches = [];
+  const params = [];
+
+  keyset.sort.forEach((entry, index) => {
+    const parts = [];
+
+    keyset.sort.slice(0, index).forEach((previous, previousIndex) => {
+      parts.push(`${columnFor(resource, previous.field)} = ?`);
+      params.push(keyset.values[previousIndex]);
+    });
+
+    parts.push(`${columnFor(resource, entry.field)} ${entry.order === 'DESC' ? '<' : '>'} ?`);
+    params.push(keyset.values[index]);
+
+    branches.push(parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0]);
+  });
+
+  return {
+    condition: branches.length > 1 ? `(${branches.join(' OR ')})` : branches[0],
+    params
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  keysetCondition
+};
@@ -0,0 +1,190 @@
+// Declarative sorting and filtering for the list endpoints.
+// Only fields listed for a resource can reach the SQL, and only as column names taken from
+// this file; every client-supplied value is bound as a parameter.
+
+const OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'IN'
+};
+
+// Which operators make sense for each field type
+const TYPE_OPERATORS = {
+  integer: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'],
+  string: ['eq', 'ne', 'in'],
+  enum: ['eq', 'ne', 'in']
+};
+
+// Filterable and sortable fields per resource. Sortable fields must never be NULL,
+// because cursors compare against the last row's values. A field with a `hierarchy`
+// is filtered by the key of a tree node and matches rows under that node or any node below it.
+const resources = {
+  users: {
+    alias: null,
+    defaultSort: 'id',
+    defaultOrder: 'ASC',
+    fields: {
+      id: { type: 'integer', sortable: true },
+      name: { type: 'string', sortable: true },
+      email: { type: 'string', sortable: true },
+      role: { type: 'enum', values: ['admin', 'staff', 'customer'], sortable: true },
+      status: { type: 'enum', values: ['active', 'inactive', 'suspended'], sortable: true },
+      created_at: { type: 'date', sortable: true }
+    }
+  },
+
+  products: {
+    alias: null,
+    defaultSort: 'id',
+    defaultOrder: 'ASC',
+    fields: {
+      id: { type: 'integer', sortable: true },
+      name: { type: 'string', sortable: true },
+      price: { type: 'number', sortable: true },
+      category: {
+        type: 'string',
+        sortable: true,
+        hierarchy: { table: 'categories', key: 'slug', column: 'category_id' }
+      },
+      status: { type: 'enum', values: ['available', 'out_of_stock', 'discontinued'], sortable: true },
+      stock_quantity: { type: 'integer', sortable: true },
+      sku: { type: 'string', sortable: false },
+      created_at: { type: 'date', sortable: true }
+    }
+  },
+
+  orders: {
+    alias: 'o',
+    defaultSort: 'created_at',
+    defaultOrder: 'DESC',
+    fields: {
+      id: { type: 'integer', sortable: true },
+      user_id: { type: 'integer', sortable: true },
+      total_price: { type: 'number', sortable: true },
+      status: { type: 'enum', values: ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'], sortable: true },
+      order_date: { type: 'date', sortable: true },
+      created_at: { type: 'date', sortable: true }
+    }
+  }
+};
+
+const columnFor = (resource, field) => {
+  return resource.alias ? `${resource.alias}.${field}` : field;
+};
+
+const sortableFields = (resource) => {
+  return Object.keys(resource.fields).filter(field => resource.fields[field].sortable);
+};
+
+// "-total_price,created_at" -> [{ field: 'total_price', order: 'DESC' }, { field: 'created_at', order: 'ASC' }, { field: 'id', ... }]
+// Fields without a "-" use the legacy `order` parameter; id is appended as a tie-breaker.
+const parseSort = (resource, sort, order) => {
+  const defaultOrder = (order || resource.defaultOrder).toUpperCase();
+  const spec = [];
+
+  (sort || resource.defaultSort).split(',').forEach(term => {
+    const descending = term.startsWith('-');
+    const field = descending ? term.slice(1) : term;
+
+    if (!resource.fields[field] || !resource.fields[field].sortable) {
+      throw new Error(`Invalid sort field: ${field}`);
+    }
+
+    if (!spec.some(entry => entry.field === field)) {
+      spec.push({ field, order: descending ? 'DESC' : defaultOrder });
+    }
+  });
+
+  if (!spec.some(entry => entry.field === 'id')) {
+    spec.push({ field: 'id', order: spec[spec.length - 1].order });
+  }
+
+  return spec;
+};
+
+// Ids of the nodes whose key is one of `count` values, and of all their descendants
+const subtreeQuery = ({ table, key }, count) => `
+  WITH RECURSIVE subtree(id) AS (
+    SELECT id FROM ${table} WHERE ${key} IN (${Array(count).fill('?').join(', ')})
+    UNION ALL
+    SELECT node.id FROM ${table} node JOIN subtree ON node.parent_id = subtree.id
+  )
+  SELECT id FROM subtree
+`;
+
+const buildOrderBy = (resource, spec) => {
+  return 'ORDER BY ' + spec.map(entry => `${columnFor(resource, entry.field)} ${entry.order}`).join(', ');
+};
+
+// filters: { status: 'pending', total_price: { gte: 100 }, user_id: { in: [1, 2] } }
+const buildFilters = (resource, filters = {}) => {
+  const conditions = [];
+  const params = [];
+
+  Object.keys(filters).forEach(field => {
+    const definition = resource.fields[field];
+    if (!definition) {
+      throw new Error(`Invalid filter field: ${field}`);
+    }
+
+    const value = filters[field];
+    const operations = value !== null && typeof value === 'object' && !(value instanceof Date) ?
+      value :
+      { eq: value };
+
+    Object.keys(operations).forEach(operator => {
+      if (!TYPE_OPERATORS[definition.type].includes(operator)) {
+        throw new Error(`Invalid filter operator: ${field}[${operator}]`);
+      }
+
+      const column = columnFor(resource, field);
+      const operand = operations[operator];
+
+      if (definition.hierarchy) {
+        const values = operator === 'in' ? operand : [operand];
+        const negate = operator === 'ne' ? 'NOT ' : '';
+        conditions.push(`${columnFor(resource, definition.hierarchy.column)} ${negate}IN (${subtreeQuery(definition.hierarchy, values.length)})`);
+        params.push(...values);
+      } else if (operator === 'in') {
+        conditions.push(`${column} IN (${operand.map(() => '?').join(', ')})`);
+        params.push(...operand);
+      } else {
+        conditions.push(`${column} ${OPERATORS[operator]} ?`);
+        params.push(operand);
+      }
+    });
+  });
+
+  return { conditions, params };
+};
+
+// The filter fields present in an already validated query string
+const pickFilters = (resource, query) => {
+  const filters = {};
+
+  Object.keys(resource.fields).forEach(field => {
+    if (query[field] !== undefined) {
+      filters[field] = query[field];
+    }
+  });
+
+  return filters;
+};
+
+module.exports = {
+  OPERATORS,
+  TYPE_OPERATORS,
+  resources,
+  columnFor,
+  sortableFields,
+  parseSort,
+  buildOrderBy,
+  buildFilters,
+  pickFilters
+};
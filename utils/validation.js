@@ -1,5 +1,18 @@
 const Joi = require('joi');
-const { logger } = require('./logger');
+const { logger, redactSensitive } = require('./logger');
+const { resources, TYPE_OPERATORS, parseSort } = require('./queryBuilder');
+
+// Accepts comma-separated query values such as status[in]=pending,confirmed
+const ExtendedJoi = Joi.extend({
+  type: 'list',
+  base: Joi.array(),
+  coerce: {
+    from: 'string',
+    method(value) {
+      return { value: value.split(',').map(item => item.trim()) };
+    }
+  }
+});
 
 // Custom validation rules
 const customValidation = {
@@ -53,6 +66,16 @@ const customValidation = {
       'number.min': 'Quantity must be at least 1'
     }),
   
+  // Password validation
+  password: Joi.string()
+    .min(8)
+    .max(128)
+    .pattern(/^(?=.*[A-Za-z])(?=.*\d).+$/)
+    .messages({
+      'string.pattern.base': 'Password must contain at least one letter and one number',
+      'string.min': 'Password must be at least 8 characters long'
+    }),
+  
   // SKU validation
   sku: Joi.string()
     .alphanum()
@@ -61,11 +84,45 @@ const customValidation = {
     .uppercase()
     .allow('', null),
   
+  // Variant attributes such as { size: 'M', colour: 'Red' }
+  variantOptions: Joi.object()
+    .pattern(
+      Joi.string().trim().lowercase().pattern(/^[a-z][a-z0-9 _-]{0,29}$/),
+      Joi.string().trim().min(1).max(50).required()
+    )
+    .min(1)
+    .max(5)
+    .messages({
+      'object.min': 'A variant needs at least one option',
+      'object.max': 'A variant can have at most 5 options'
+    }),
+  
+  // Lower case words joined by single hyphens, as used in URLs
+  slug: Joi.string()
+    .max(60)
+    .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .messages({
+      'string.pattern.base': 'Slug may only contain lower case letters, numbers and single hyphens'
+    }),
+  
+  // ISO 3166 country ("DE") or country subdivision ("US-CA") code
+  region: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z]{2}(?:-[A-Z0-9]{1,3})?$/)
+    .messages({
+      'string.pattern.base': 'Region must be a country code such as DE, optionally with a subdivision such as US-CA'
+    }),
+  
   // Status validations
   userStatus: Joi.string()
     .valid('active', 'inactive', 'suspended')
     .default('active'),
   
+  userRole: Joi.string()
+    .valid('admin', 'staff', 'customer')
+    .default('customer'),
+  
   productStatus: Joi.string()
     .valid('available', 'out_of_stock', 'discontinued')
     .default('available'),
@@ -75,6 +132,71 @@ const customValidation = {
     .default('pending')
 };
 
+// Value schema for one filterable field: either a plain value (equality)
+// or an object of operators, e.g. total_price[gte]=100
+const filterValue = (definition) => {
+  const scalar = {
+    integer: Joi.number().integer(),
+    number: Joi.number(),
+    date: Joi.date().iso(),
+    string: Joi.string().max(100).trim(),
+    enum: Joi.string().valid(...(definition.values || []))
+  }[definition.type];
+
+  const operators = {};
+  TYPE_OPERATORS[definition.type].forEach(operator => {
+    operators[operator] = operator === 'in' ? ExtendedJoi.list().items(scalar).min(1).max(50) : scalar;
+  });
+
+  return Joi.alternatives().conditional(Joi.object(), {
+    // Unknown operators are rejected rather than silently stripped
+    then: Joi.object(operators).min(1).options({ stripUnknown: false }),
+    otherwise: scalar
+  });
+};
+
+// Query schema for a list endpoint: pagination, sorting and a filter per whitelisted field
+const listQuery = (resource, extraKeys = {}) => {
+  const keys = {
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    sort: Joi.string().max(200).custom((value, helpers) => {
+      try {
+        parseSort(resource, value);
+      } catch (error) {
+        return helpers.message(error.message);
+      }
+      return value;
+    }),
+    order: Joi.string().uppercase().valid('ASC', 'DESC'),
+    cursor: Joi.string().max(1000)
+  };
+
+  Object.keys(resource.fields).forEach(field => {
+    keys[field] = filterValue(resource.fields[field]);
+  });
+
+  return Joi.object(keys).keys(extraKeys);
+};
+
+// Legacy filters of GET /orders, shared with the export
+const orderQueryKeys = {
+  product_id: Joi.number().integer().positive(),
+  date_from: Joi.date().iso(),
+  date_to: Joi.date().iso(),
+  min_amount: Joi.number().min(0),
+  max_amount: Joi.number().min(0)
+};
+
+// A new variant, on its own or inline with a new product
+const variantKeys = {
+  sku: customValidation.sku.disallow('', null).required(),
+  options: customValidation.variantOptions.required(),
+  // Without a price of its own the variant sells at the product price
+  price: customValidation.price.allow(null),
+  stockQuantity: Joi.number().integer().min(0).default(0)
+};
+
 // Schema definitions
 const schemas = {
   // User schemas
@@ -82,55 +204,334 @@ const schemas = {
     name: customValidation.name.required(),
     email: customValidation.email.required(),
     phone: customValidation.phone,
-    address: Joi.string().max(200).trim().allow('', null)
+    address: Joi.string().max(200).trim().allow('', null),
+    password: customValidation.password,
+    role: customValidation.userRole
   }),
   
   updateUser: Joi.object({
     name: customValidation.name,
     phone: customValidation.phone,
     address: Joi.string().max(200).trim().allow('', null),
-    status: customValidation.userStatus
+    // No default here, otherwise every partial update would reactivate the user
+    status: Joi.string().valid('active', 'inactive', 'suspended'),
+    role: Joi.string().valid('admin', 'staff', 'customer')
   }).min(1),
   
+  // Auth schemas
+  register: Joi.object({
+    name: customValidation.name.required(),
+    email: customValidation.email.required(),
+    phone: customValidation.phone,
+    address: Joi.string().max(200).trim().allow('', null),
+    password: customValidation.password.required()
+  }),
+  
+  login: Joi.object({
+    email: Joi.string().email().trim().required(),
+    password: Joi.string().max(128).required()
+  }),
+  
+  refreshToken: Joi.object({
+    refresh_token: Joi.string().required()
+  }),
+  
+  logout: Joi.object({
+    refresh_token: Joi.string()
+  }),
+  
   // Product schemas
   createProduct: Joi.object({
     name: Joi.string().min(2).max(100).trim().required(),
     description: Joi.string().max(500).trim().allow('', null),
     price: customValidation.price.required(),
-    category: Joi.string().min(2).max(50).trim().default('general'),
-    stockQuantity: Joi.number().integer().min(0).default(0),
-    sku: customValidation.sku
-  }),
+    // A category name or slug, or its ID; products without either go to "general"
+    category: Joi.string().min(2).max(50).trim(),
+    categoryId: Joi.number().integer().positive(),
+    // Products with variants hold no stock of their own
+    stockQuantity: Joi.number().integer().min(0).default(0)
+      .when('variants', { is: Joi.exist(), then: Joi.forbidden() }),
+    sku: customValidation.sku,
+    variants: Joi.array().items(Joi.object(variantKeys)).min(1).max(100).unique('sku')
+      .messages({
+        'array.unique': 'Each variant needs its own SKU'
+      })
+  }).oxor('category', 'categoryId'),
   
   updateProduct: Joi.object({
     name: Joi.string().min(2).max(100).trim(),
     description: Joi.string().max(500).trim().allow('', null),
     price: customValidation.price,
     category: Joi.string().min(2).max(50).trim(),
+    categoryId: Joi.number().integer().positive(),
     stockQuantity: Joi.number().integer().min(0),
     sku: customValidation.sku,
-    status: customValidation.productStatus
+    // No default here, otherwise every partial update would reset the status. Discontinuing
+    // goes through DELETE /products/:id, which is admin-only and checks for open orders.
+    status: Joi.string().valid('available', 'out_of_stock')
+      .messages({ 'any.only': 'Status must be available or out_of_stock; use DELETE /products/:id to discontinue a product' })
+  }).min(1).oxor('category', 'categoryId'),
+  
+  // Variant schemas
+  createVariant: Joi.object(variantKeys),
+  
+  updateVariant: Joi.object({
+    sku: customValidation.sku.disallow('', null),
+    options: customValidation.variantOptions,
+    price: customValidation.price.allow(null)
+  }).min(1),
+  
+  variantParams: Joi.object({
+    id: Joi.number().integer().positive().required(),
+    variantId: Joi.number().integer().positive().required()
+  }),
+  
+  // Category schemas
+  createCategory: Joi.object({
+    name: Joi.string().min(2).max(50).trim().required(),
+    slug: customValidation.slug,
+    description: Joi.string().max(500).trim().allow('', null),
+    parentId: Joi.number().integer().positive().allow(null)
+  }),
+  
+  updateCategory: Joi.object({
+    name: Joi.string().min(2).max(50).trim(),
+    slug: customValidation.slug,
+    description: Joi.string().max(500).trim().allow('', null),
+    parentId: Joi.number().integer().positive().allow(null)
+  }).min(1),
+  
+  // Warehouse schemas
+  createWarehouse: Joi.object({
+    code: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).min(2).max(20).trim().required(),
+    name: Joi.string().min(2).max(100).trim().required(),
+    address: Joi.string().max(500).trim().allow('', null),
+    priority: Joi.number().integer().min(0).max(10000).default(100)
+  }),
+  
+  updateWarehouse: Joi.object({
+    name: Joi.string().min(2).max(100).trim(),
+    address: Joi.string().max(500).trim().allow('', null),
+    priority: Joi.number().integer().min(0).max(10000),
+    status: Joi.string().valid('active', 'inactive')
   }).min(1),
   
+  warehouseStockQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+  
+  createTransfer: Joi.object({
+    fromWarehouseId: Joi.number().integer().positive().required(),
+    toWarehouseId: Joi.number().integer().positive().invalid(Joi.ref('fromWarehouseId')).required()
+      .messages({ 'any.invalid': 'Destination warehouse must differ from the source' }),
+    productId: Joi.number().integer().positive().required(),
+    variantId: Joi.number().integer().positive(),
+    quantity: Joi.number().integer().positive().max(1000000).required(),
+    note: Joi.string().max(500).trim()
+  }),
+  
+  transfersQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    warehouse_id: Joi.number().integer().positive(),
+    product_id: Joi.number().integer().positive()
+  }),
+  
+  adjustStock: Joi.object({
+    operation: Joi.string().valid('add', 'subtract').required(),
+    quantity: Joi.number().integer().positive().max(1000000).required(),
+    reason: Joi.string().valid('restock', 'manual_adjustment'),
+    note: Joi.string().max(500).trim(),
+    warehouseId: Joi.number().integer().positive()
+  }),
+  
+  movementsQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    reason: Joi.string().valid('order', 'cancellation', 'manual_adjustment', 'restock', 'transfer'),
+    variant_id: Joi.number().integer().positive(),
+    warehouse_id: Joi.number().integer().positive(),
+    date_from: Joi.date().iso(),
+    date_to: Joi.date().iso().min(Joi.ref('date_from'))
+  }),
+  
   // Order schemas
+  // Accepts either an items array or the legacy single product_id/quantity pair
   createOrder: Joi.object({
-    user_id: Joi.number().integer().positive().required(),
-    product_id: Joi.number().integer().positive().required(),
-    quantity: customValidation.quantity.required(),
-    notes: Joi.string().max(200).trim().allow('', null)
-  }),
+    user_id: Joi.number().integer().positive(),
+    items: Joi.array()
+      .items(Joi.object({
+        product_id: Joi.number().integer().positive().required(),
+        // Required for products that have variants
+        variant_id: Joi.number().integer().positive(),
+        quantity: customValidation.quantity.required()
+      }))
+      .min(1)
+      .max(50)
+      .unique((a, b) => a.product_id === b.product_id && a.variant_id === b.variant_id)
+      .messages({
+        'array.unique': 'Each product or variant can only appear once per order'
+      }),
+    product_id: Joi.number().integer().positive(),
+    quantity: customValidation.quantity,
+    notes: Joi.string().max(200).trim().allow('', null),
+    coupon_code: Joi.string().max(30).trim(),
+    // Destination used to pick tax rules
+    shipping_region: customValidation.region
+  })
+    .xor('items', 'product_id')
+    .and('product_id', 'quantity'),
   
   updateOrderStatus: Joi.object({
     status: customValidation.orderStatus.required(),
     notes: Joi.string().max(200).trim().allow('', null)
   }),
   
+  cancelOrder: Joi.object({
+    reason: Joi.string().max(200).trim().allow('', null)
+  }),
+  
+  // Promotion schemas
+  // Without a code the promotion applies automatically to every order that qualifies
+  createPromotion: Joi.object({
+    code: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).min(3).max(30).trim()
+      .messages({ 'string.pattern.base': 'Code can only contain letters, numbers, hyphens and underscores' }),
+    name: Joi.string().min(2).max(100).trim().required(),
+    description: Joi.string().max(500).trim().allow('', null),
+    type: Joi.string().valid('percentage', 'fixed_amount', 'buy_x_get_y').required(),
+    value: Joi.when('type', {
+      switch: [
+        { is: 'percentage', then: Joi.number().positive().max(100).precision(2).required() },
+        { is: 'fixed_amount', then: customValidation.price.required() }
+      ],
+      otherwise: Joi.forbidden()
+    }),
+    buyQuantity: Joi.when('type', {
+      is: 'buy_x_get_y',
+      then: Joi.number().integer().min(1).max(100).required(),
+      otherwise: Joi.forbidden()
+    }),
+    getQuantity: Joi.when('type', {
+      is: 'buy_x_get_y',
+      then: Joi.number().integer().min(1).max(100).required(),
+      otherwise: Joi.forbidden()
+    }),
+    productId: Joi.number().integer().positive(),
+    categoryId: Joi.number().integer().positive(),
+    minSubtotal: customValidation.price,
+    usageLimit: Joi.number().integer().positive(),
+    perUserLimit: Joi.number().integer().positive(),
+    startsAt: Joi.date().iso(),
+    endsAt: Joi.date().iso().when('startsAt', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('startsAt')) })
+  }).oxor('productId', 'categoryId'),
+  
+  updatePromotion: Joi.object({
+    name: Joi.string().min(2).max(100).trim(),
+    description: Joi.string().max(500).trim().allow('', null),
+    value: Joi.number().positive().precision(2).max(999999.99),
+    minSubtotal: customValidation.price.allow(null),
+    usageLimit: Joi.number().integer().positive().allow(null),
+    perUserLimit: Joi.number().integer().positive().allow(null),
+    startsAt: Joi.date().iso().allow(null),
+    endsAt: Joi.date().iso().allow(null),
+    status: Joi.string().valid('active', 'inactive')
+  }).min(1),
+  
+  promotionListQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('active', 'inactive'),
+    type: Joi.string().valid('percentage', 'fixed_amount', 'buy_x_get_y')
+  }),
+  
+  // Tax rule schemas
+  // Without a region or category the rule applies to all of them
+  createTaxRule: Joi.object({
+    name: Joi.string().min(2).max(100).trim().required(),
+    region: customValidation.region,
+    categoryId: Joi.number().integer().positive(),
+    rate: Joi.number().min(0).max(100).precision(2).required()
+  }),
+  
+  updateTaxRule: Joi.object({
+    name: Joi.string().min(2).max(100).trim(),
+    rate: Joi.number().min(0).max(100).precision(2),
+    status: Joi.string().valid('active', 'inactive')
+  }).min(1),
+  
+  taxRuleListQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    region: customValidation.region,
+    category_id: Joi.number().integer().positive(),
+    status: Joi.string().valid('active', 'inactive')
+  }),
+  
   // Query parameter schemas
-  paginationQuery: Joi.object({
+  userListQuery: listQuery(resources.users, {
+    search: Joi.string().max(100).trim()
+  }),
+  
+  productListQuery: listQuery(resources.products, {
+    min_price: Joi.number().positive(),
+    max_price: Joi.number().positive(),
+    search: Joi.string().max(100).trim(),
+    in_stock_only: Joi.boolean().default(false)
+  }),
+  
+  productImportQuery: Joi.object({
+    format: Joi.string().valid('csv', 'jsonl'),
+    dry_run: Joi.boolean().default(false)
+  }),
+  
+  productSearchQuery: Joi.object({
+    q: Joi.string().trim().min(1).max(100).pattern(/[\p{L}\p{N}]/u).required().messages({
+      'string.pattern.base': 'Search query must contain at least one letter or number'
+    }),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  }),
+  
+  orderListQuery: listQuery(resources.orders, {
+    ...orderQueryKeys,
+    include_details: Joi.boolean().default(false)
+  }),
+  
+  orderExportQuery: listQuery(resources.orders, {
+    ...orderQueryKeys,
+    format: Joi.string().valid('csv', 'xlsx').default('csv')
+  }),
+  
+  // Whole days, both ends included
+  salesAnalyticsQuery: Joi.object({
+    date_from: Joi.date().iso(),
+    date_to: Joi.date().iso().min(Joi.ref('date_from')),
+    interval: Joi.string().valid('day', 'week', 'month').default('day'),
+    top: Joi.number().integer().min(1).max(50).default(10)
+  }),
+  
+  productPerformanceQuery: Joi.object({
+    date_from: Joi.date().iso(),
+    date_to: Joi.date().iso().min(Joi.ref('date_from')),
+    category: Joi.string().max(50),
+    sort: Joi.string().valid('revenue', 'units_sold', 'order_count', 'cancellation_rate', 'stock_turnover').default('revenue'),
+    order: Joi.string().uppercase().valid('ASC', 'DESC').default('DESC'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+  
+  lowStockQuery: Joi.object({
+    threshold: Joi.number().integer().min(0).max(100000).default(10),
+    warehouse_id: Joi.number().integer().positive(),
+    by_warehouse: Joi.boolean().default(false)
+  }),
+  
+  userOrdersQuery: Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
-    sort: Joi.string().valid('id', 'name', 'email', 'created_at', 'price', 'category', 'status').default('id'),
-    order: Joi.string().valid('ASC', 'DESC').default('ASC')
+    status: Joi.string().valid('pending', 'confirmed', 'shipped', 'delivered', 'cancelled'),
+    include_details: Joi.boolean().default(false)
   }),
   
   filterQuery: Joi.object({
@@ -155,7 +556,7 @@ const validate = (schema, property = 'body') => {
     // Log validation attempt
     logger.debug('Validating request data', {
       property,
-      data: dataToValidate,
+      data: redactSensitive(dataToValidate),
       endpoint: req.route?.path,
       method: req.method
     });
@@ -177,7 +578,7 @@ const validate = (schema, property = 'body') => {
         errors: validationErrors,
         endpoint: req.route?.path,
         method: req.method,
-        data: dataToValidate
+        data: redactSensitive(dataToValidate)
       });
       
       return res.status(400).json({
@@ -193,7 +594,7 @@ const validate = (schema, property = 'body') => {
     
     logger.debug('Validation successful', {
       property,
-      sanitizedData: value,
+      sanitizedData: redactSensitive(value),
       endpoint: req.route?.path
     });
     
@@ -223,8 +624,8 @@ const businessValidators = {
     }
   },
   
-  // Check if SKU is unique (for products)
-  async isSkuUnique(sku, excludeProductId = null) {
+  // Check if SKU is unique (for products and their variants, which share one SKU space)
+  async isSkuUnique(sku, excludeProductId = null, excludeVariantId = null) {
     if (!sku) return true;
     
     try {
@@ -238,7 +639,20 @@ const businessValidators = {
       }
       
       const existingProduct = await db.get(query, params);
-      return !existingProduct;
+      if (existingProduct) {
+        return false;
+      }
+      
+      query = 'SELECT id FROM product_variants WHERE sku = ?';
+      params = [sku];
+      
+      if (excludeVariantId) {
+        query += ' AND id != ?';
+        params.push(excludeVariantId);
+      }
+      
+      const existingVariant = await db.get(query, params);
+      return !existingVariant;
     } catch (error) {
       logger.error('Error checking SKU uniqueness', { sku, error: error.message });
       throw new Error('Unable to validate SKU uniqueness');
@@ -257,12 +671,13 @@ const businessValidators = {
     }
   },
   
-  // Check if product exists and has sufficient stock
-  async productAvailable(productId, requestedQuantity) {
+  // Check if product exists and has sufficient stock. Products with variants are sold per
+  // variant, so those need a variantId and the check runs against the variant's stock.
+  async productAvailable(productId, requestedQuantity, variantId = null) {
     try {
       const db = require('../db');
       const product = await db.get(
-        'SELECT id, name, price, stockQuantity, status FROM products WHERE id = ?', 
+        'SELECT id, name, price, category_id, stock_quantity, reserved_quantity, status FROM products WHERE id = ?', 
         [productId]
       );
       
@@ -270,20 +685,46 @@ const businessValidators = {
         return { available: false, reason: 'Product not found' };
       }
       
-      if (product.status !== 'available') {
-        return { available: false, reason: `Product is ${product.status}` };
+      if (product.status === 'discontinued') {
+        return { available: false, reason: 'Product is discontinued' };
+      }
+      
+      const variants = await db.get('SELECT COUNT(*) as count FROM product_variants WHERE product_id = ?', [productId]);
+      if (variants.count > 0 && !variantId) {
+        return { available: false, reason: 'Product has variants, choose one with variant_id' };
+      }
+      
+      let stock = product;
+      let variant = null;
+      if (variantId) {
+        variant = await db.get(
+          'SELECT id, sku, options, price, stock_quantity, reserved_quantity, status FROM product_variants WHERE id = ? AND product_id = ?',
+          [variantId, productId]
+        );
+        
+        if (!variant) {
+          return { available: false, reason: `Variant ${variantId} not found` };
+        }
+        
+        stock = variant;
       }
       
-      if (product.stockQuantity < requestedQuantity) {
+      if (stock.status !== 'available') {
+        return { available: false, reason: `${variant ? 'Variant' : 'Product'} is ${stock.status}` };
+      }
+      
+      // Stock held by other pending orders cannot be sold again
+      const availableQuantity = stock.stock_quantity - stock.reserved_quantity;
+      if (availableQuantity < requestedQuantity) {
         return { 
           available: false, 
-          reason: `Insufficient stock. Available: ${product.stockQuantity}, Requested: ${requestedQuantity}` 
+          reason: `Insufficient stock. Available: ${availableQuantity}, Requested: ${requestedQuantity}` 
         };
       }
       
-      return { available: true, product };
+      return { available: true, product, variant };
     } catch (error) {
-      logger.error('Error checking product availability', { productId, requestedQuantity, error: error.message });
+      logger.error('Error checking product availability', { productId, variantId, requestedQuantity, error: error.message });
       throw new Error('Unable to validate product availability');
     }
   }
@@ -294,7 +735,7 @@ const sanitize = {
   // Remove potentially harmful characters
   cleanString: (str) => {
     if (typeof str !== 'string') return str;
-    return str.trim().replace(/[<>\"']/g, '');
+    return str.trim().replace(/[<>"']/g, '');
   },
   
   // Normalize email
@@ -307,6 +748,18 @@ const sanitize = {
   formatPhone: (phone) => {
     if (!phone) return phone;
     return phone.replace(/\D/g, ''); // Remove all non-digits
+  },
+  
+  // "Home & Garden" -> "home-garden"; accents are dropped, not replaced
+  slugify: (text) => {
+    return String(text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60)
+      .replace(/-+$/, '');
   }
 };
 